@@ -121,6 +121,59 @@ public static class MetricsConstants
     
     #endregion
     
+    #region Refresh Constants
+    
+    /// <summary>Default dashboard auto-refresh interval in seconds</summary>
+    public const int DefaultRefreshIntervalSeconds = 3;
+    
+    /// <summary>Shortest auto-refresh interval a user can pick</summary>
+    public const int MinRefreshIntervalSeconds = 1;
+    
+    /// <summary>Longest auto-refresh interval a user can pick (5 minutes)</summary>
+    public const int MaxRefreshIntervalSeconds = 300;
+    
+    #endregion
+    
+    #region Streaming Constants
+    
+    /// <summary>Seconds between SSE keep-alive comments when no snapshot arrives</summary>
+    public const int StreamKeepAliveSeconds = 15;
+    
+    /// <summary>Client reconnect delay advertised to EventSource, in milliseconds</summary>
+    public const int StreamRetryMilliseconds = 5000;
+    
+    #endregion
+    
+    #region Downsampling Constants
+    
+    /// <summary>Smallest point count a downsampled chart series may be reduced to</summary>
+    public const int MinDownsamplePoints = 50;
+    
+    /// <summary>Largest point count a downsampled chart series may request</summary>
+    public const int MaxDownsamplePoints = 5000;
+    
+    #endregion
+    
+    #region Baseline Constants
+    
+    /// <summary>Closest a baseline overlay may be; newer data may still be only in the in-memory buffer</summary>
+    public const int MinBaselineOffsetSeconds = 3600;
+    
+    /// <summary>Furthest back a baseline overlay may look (the maximum retention period)</summary>
+    public const int MaxBaselineOffsetSeconds = 365 * 86400;
+    
+    #endregion
+    
+    #region Dashboard Layout Constants
+    
+    /// <summary>Columns in the dashboard grid; a widget spans 1 to this many</summary>
+    public const int DashboardColumns = 4;
+    
+    /// <summary>Most widgets a saved dashboard layout may hold</summary>
+    public const int MaxDashboardWidgets = 40;
+    
+    #endregion
+    
     #region Rate Limiting Constants
     
     /// <summary>Maximum requests per window per IP (increased for dashboard polling)</summary>
@@ -0,0 +1,175 @@
+using System.ComponentModel.DataAnnotations;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using PbSqlServerMonitoring.Configuration;
+using PbSqlServerMonitoring.Models;
+using PbSqlServerMonitoring.Security;
+using PbSqlServerMonitoring.Services;
+using static PbSqlServerMonitoring.Extensions.InputValidationExtensions;
+
+namespace PbSqlServerMonitoring.Controllers;
+
+/// <summary>
+/// Deployment and configuration change markers drawn on the dashboard charts.
+/// Reading is open to any signed-in user; posting requires an API key so CI
+/// pipelines can record releases.
+/// </summary>
+[ApiController]
+[Authorize]
+[Route("api/[controller]")]
+public sealed class AnnotationsController : ControllerBase
+{
+    /// <summary>Maximum window returned by one GET (matches the chart history limit)</summary>
+    private const int MaxRangeDays = 7;
+
+    private readonly AnnotationService _annotationService;
+    private readonly MultiConnectionService _multiConnectionService;
+    private readonly ILogger<AnnotationsController> _logger;
+
+    public AnnotationsController(
+        AnnotationService annotationService,
+        MultiConnectionService multiConnectionService,
+        ILogger<AnnotationsController> logger)
+    {
+        _annotationService = annotationService;
+        _multiConnectionService = multiConnectionService;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Gets the annotations of a connection between two timestamps.
+    /// </summary>
+    /// <param name="from">Start (ISO 8601, default: 2 days ago)</param>
+    /// <param name="to">End (ISO 8601, default: now)</param>
+    [HttpGet]
+    [ProducesResponseType(typeof(List<AnnotationResponse>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<IActionResult> GetAnnotations(
+        [FromHeader(Name = "X-Connection-Id")] string? connectionId,
+        [FromQuery] DateTime? from,
+        [FromQuery] DateTime? to,
+        CancellationToken cancellationToken)
+    {
+        var (isValid, sanitizedId, error) = ValidateConnectionId(connectionId);
+        if (!isValid) return BadRequest(ApiResponse.Error(error!));
+
+        var toUtc = to.HasValue ? ToUtc(to.Value) : DateTime.UtcNow;
+        var fromUtc = from.HasValue ? ToUtc(from.Value) : toUtc.AddSeconds(-MetricsConstants.MaxRangeSeconds);
+
+        if (fromUtc > toUtc)
+        {
+            return BadRequest(ApiResponse.Error("Invalid date range: 'from' must be before or equal to 'to'"));
+        }
+
+        if ((toUtc - fromUtc).TotalDays > MaxRangeDays)
+        {
+            return BadRequest(ApiResponse.Error($"Date range exceeds maximum of {MaxRangeDays} days"));
+        }
+
+        var annotations = await _annotationService.GetAsync(sanitizedId!, fromUtc, toUtc, cancellationToken);
+        return Ok(annotations.Select(MapToResponse).ToList());
+    }
+
+    /// <summary>
+    /// Records a deployment or configuration change marker.
+    /// Intended for CI pipelines authenticating with X-API-Key.
+    /// </summary>
+    /// <param name="request">Marker to add; timestamp defaults to now</param>
+    [HttpPost]
+    [Authorize(Policy = ApiKeyAuthenticationExtensions.ClientPolicyName)]
+    [ProducesResponseType(typeof(AnnotationResponse), StatusCodes.Status201Created)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    [ProducesResponseType(StatusCodes.Status404NotFound)]
+    public async Task<IActionResult> AddAnnotation([FromBody] CreateAnnotationRequest request, CancellationToken cancellationToken)
+    {
+        if (!ModelState.IsValid)
+        {
+            return BadRequest(ApiResponse.Error("Invalid request."));
+        }
+
+        var (isValid, sanitizedId, error) = ValidateConnectionId(request.ConnectionId);
+        if (!isValid) return BadRequest(ApiResponse.Error(error!));
+
+        if (_multiConnectionService.GetConnection(sanitizedId!) == null)
+        {
+            return NotFound(ApiResponse.Error("Connection not found"));
+        }
+
+        var kind = request.Kind.Trim().ToLowerInvariant();
+        if (!AnnotationKinds.All.Contains(kind))
+        {
+            return BadRequest(ApiResponse.Error($"Kind must be one of: {string.Join(", ", AnnotationKinds.All)}"));
+        }
+
+        var link = string.IsNullOrWhiteSpace(request.Link) ? null : request.Link.Trim();
+        if (link != null
+            && (!Uri.TryCreate(link, UriKind.Absolute, out var uri)
+                || (uri.Scheme != Uri.UriSchemeHttp && uri.Scheme != Uri.UriSchemeHttps)))
+        {
+            return BadRequest(ApiResponse.Error("Link must be an absolute http or https URL"));
+        }
+
+        var annotation = await _annotationService.AddAsync(new ChartAnnotationEntity
+        {
+            Timestamp = request.Timestamp.HasValue ? ToUtc(request.Timestamp.Value) : DateTime.UtcNow,
+            ConnectionId = sanitizedId!,
+            Kind = kind,
+            Title = request.Title.Trim(),
+            Link = link,
+            CreatedBy = User.Identity?.Name
+        }, cancellationToken);
+
+        _logger.LogInformation("Annotation {AnnotationId} posted by {CreatedBy}", annotation.Id, annotation.CreatedBy);
+
+        // No Location header: annotations are only read back by time window
+        return StatusCode(StatusCodes.Status201Created, MapToResponse(annotation));
+    }
+
+    private static DateTime ToUtc(DateTime value) =>
+        value.Kind == DateTimeKind.Utc ? value : value.ToUniversalTime();
+
+    private static AnnotationResponse MapToResponse(ChartAnnotationEntity annotation) => new()
+    {
+        Id = annotation.Id,
+        Timestamp = DateTime.SpecifyKind(annotation.Timestamp, DateTimeKind.Utc),
+        Kind = annotation.Kind,
+        Title = annotation.Title,
+        Link = annotation.Link,
+        CreatedBy = annotation.CreatedBy
+    };
+}
+
+/// <summary>
+/// Body of POST api/annotations.
+/// </summary>
+public sealed class CreateAnnotationRequest
+{
+    [Required]
+    [MaxLength(64)]
+    public string ConnectionId { get; set; } = "";
+
+    /// <summary>When the change happened; defaults to the time of the request</summary>
+    public DateTime? Timestamp { get; set; }
+
+    /// <summary>"deployment" or "config-change"</summary>
+    [Required]
+    [MaxLength(32)]
+    public string Kind { get; set; } = "";
+
+    [Required]
+    [MaxLength(200)]
+    public string Title { get; set; } = "";
+
+    [MaxLength(2048)]
+    public string? Link { get; set; }
+}
+
+public sealed class AnnotationResponse
+{
+    public long Id { get; set; }
+    public DateTime Timestamp { get; set; }
+    public string Kind { get; set; } = "";
+    public string Title { get; set; } = "";
+    public string? Link { get; set; }
+    public string? CreatedBy { get; set; }
+}
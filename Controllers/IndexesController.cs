@@ -3,6 +3,7 @@ using Microsoft.AspNetCore.Mvc;
 using Microsoft.Extensions.Caching.Memory;
 using PbSqlServerMonitoring.Configuration;
 using PbSqlServerMonitoring.Extensions;
+using PbSqlServerMonitoring.Filters;
 using PbSqlServerMonitoring.Models;
 using PbSqlServerMonitoring.Services;
 using static PbSqlServerMonitoring.Extensions.InputValidationExtensions;
@@ -39,6 +40,7 @@ public sealed class IndexesController : ControllerBase
     /// Results are cached for 5 minutes as index recommendations don't change frequently.
     /// </summary>
     [HttpGet("missing")]
+    [ConditionalGet]
     public async Task<IActionResult> GetMissingIndexes(
         [FromHeader(Name = "X-Connection-Id")] string? connectionId,
         [FromQuery] int top = MetricsConstants.DefaultTopN,
@@ -1,6 +1,7 @@
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
 using PbSqlServerMonitoring.Extensions;
+using PbSqlServerMonitoring.Filters;
 using PbSqlServerMonitoring.Models;
 using PbSqlServerMonitoring.Services;
 using static PbSqlServerMonitoring.Extensions.InputValidationExtensions;
@@ -33,6 +34,7 @@ public sealed class LocksController : ControllerBase
     /// Get current locks in the system with pagination
     /// </summary>
     [HttpGet("current")]
+    [ConditionalGet]
     public async Task<IActionResult> GetCurrentLocks(
         [FromHeader(Name = "X-Connection-Id")] string? connectionId,
         [FromQuery] int page = 1,
@@ -1,4 +1,6 @@
+using System.Text.Json;
 using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Http.Features;
 using Microsoft.AspNetCore.Mvc;
 using PbSqlServerMonitoring.Configuration;
 using PbSqlServerMonitoring.Extensions;
@@ -16,11 +18,23 @@ namespace PbSqlServerMonitoring.Controllers;
 [Route("api/[controller]")]
 public sealed class MetricsController : ControllerBase
 {
+    private static readonly JsonSerializerOptions StreamJsonOptions = new(JsonSerializerDefaults.Web);
+
     private readonly MetricsQueryService _queryService;
+    private readonly MetricsBroadcastService _broadcastService;
+    private readonly MultiConnectionService _multiConnectionService;
+    private readonly ConnectionEventService _eventService;
 
-    public MetricsController(MetricsQueryService queryService)
+    public MetricsController(
+        MetricsQueryService queryService,
+        MetricsBroadcastService broadcastService,
+        MultiConnectionService multiConnectionService,
+        ConnectionEventService eventService)
     {
         _queryService = queryService;
+        _broadcastService = broadcastService;
+        _multiConnectionService = multiConnectionService;
+        _eventService = eventService;
     }
 
     /// <summary>
@@ -29,6 +43,7 @@ public sealed class MetricsController : ControllerBase
     /// <param name="rangeSeconds">Time range in seconds (default: 60, max: 172800 = 2 days)</param>
     /// <param name="page">Page number (1-based, default: 1)</param>
     /// <param name="pageSize">Items per page (default: 100, max: 1000)</param>
+    /// <param name="since">Only return points newer than this timestamp (ISO 8601), for incremental updates</param>
     /// <returns>Paginated metrics data</returns>
     [HttpGet("history")]
     [ProducesResponseType(typeof(PagedResult<object>), StatusCodes.Status200OK)]
@@ -36,7 +51,8 @@ public sealed class MetricsController : ControllerBase
         [FromHeader(Name = "X-Connection-Id")] string? connectionId,
         [FromQuery] int rangeSeconds = MetricsConstants.DefaultRangeSeconds,
         [FromQuery] int page = 1,
-        [FromQuery] int pageSize = MetricsConstants.DefaultPageSize)
+        [FromQuery] int pageSize = MetricsConstants.DefaultPageSize,
+        [FromQuery] DateTime? since = null)
     {
         var (isValid, sanitizedId, error) = ValidateConnectionId(connectionId);
         if (!isValid) return BadRequest(ApiResponse.Error(error!));
@@ -45,7 +61,16 @@ public sealed class MetricsController : ControllerBase
         rangeSeconds = PaginationExtensions.ValidateRangeSeconds(rangeSeconds);
         (page, pageSize) = PaginationExtensions.ValidatePagination(page, pageSize);
         
-        var pageResult = await _queryService.GetMetricsPageAsync(rangeSeconds, page, pageSize, sanitizedId!);
+        PagedResult<MetricDataPoint> pageResult;
+        if (since.HasValue)
+        {
+            var sinceUtc = since.Value.Kind == DateTimeKind.Utc ? since.Value : since.Value.ToUniversalTime();
+            pageResult = await _queryService.GetMetricsSincePageAsync(sinceUtc, rangeSeconds, page, pageSize, sanitizedId!);
+        }
+        else
+        {
+            pageResult = await _queryService.GetMetricsPageAsync(rangeSeconds, page, pageSize, sanitizedId!);
+        }
 
         return Ok(new PagedResult<object>
         {
@@ -72,6 +97,10 @@ public sealed class MetricsController : ControllerBase
     /// <param name="to">End datetime (ISO 8601 format)</param>
     /// <param name="page">Page number (1-based)</param>
     /// <param name="pageSize">Items per page</param>
+    /// <param name="maxPoints">
+    /// When set, the whole range is returned as a single page of at most this many
+    /// points (50-5000); each point reports how many raw samples it summarises
+    /// </param>
     /// <returns>Paginated metrics within the specified date range</returns>
     [HttpGet("history/range")]
     [ProducesResponseType(typeof(PagedResult<object>), StatusCodes.Status200OK)]
@@ -81,7 +110,9 @@ public sealed class MetricsController : ControllerBase
         [FromQuery] DateTime from, 
         [FromQuery] DateTime to,
         [FromQuery] int page = 1,
-        [FromQuery] int pageSize = MetricsConstants.DefaultPageSize)
+        [FromQuery] int pageSize = MetricsConstants.DefaultPageSize,
+        [FromQuery] int? maxPoints = null,
+        CancellationToken cancellationToken = default)
     {
         var (isValid, sanitizedId, error) = ValidateConnectionId(connectionId);
         if (!isValid) return BadRequest(ApiResponse.Error(error!));
@@ -103,6 +134,21 @@ public sealed class MetricsController : ControllerBase
             return BadRequest(ApiResponse.Error($"Date range exceeds maximum of {maxRangeDays} days"));
         }
         
+        if (maxPoints.HasValue)
+        {
+            var targetPoints = Math.Clamp(maxPoints.Value, MetricsConstants.MinDownsamplePoints, MetricsConstants.MaxDownsamplePoints);
+            var samples = await _queryService.GetDownsampledMetricsByDateRangeAsync(fromUtc, toUtc, targetPoints, sanitizedId!, cancellationToken);
+
+            return Ok(new PagedResult<object>
+            {
+                Items = samples.Cast<object>().ToList(),
+                Page = 1,
+                PageSize = samples.Count,
+                TotalCount = samples.Count,
+                TotalPages = samples.Count == 0 ? 0 : 1
+            });
+        }
+        
         (page, pageSize) = PaginationExtensions.ValidatePagination(page, pageSize);
         
         var pageResult = await _queryService.GetMetricsByDateRangePageAsync(fromUtc, toUtc, page, pageSize, sanitizedId!);
@@ -125,6 +171,55 @@ public sealed class MetricsController : ControllerBase
         });
     }
 
+    /// <summary>
+    /// Gets a baseline for a chart window: the stored metrics from the same
+    /// window <paramref name="offsetSeconds"/> earlier, with timestamps shifted
+    /// forward so they overlay the current range.
+    /// </summary>
+    /// <param name="from">Start of the current window (ISO 8601 format)</param>
+    /// <param name="to">End of the current window (ISO 8601 format)</param>
+    /// <param name="offsetSeconds">How far back the baseline is, e.g. 86400 for yesterday (1 hour - 365 days)</param>
+    /// <param name="maxPoints">Downsample target (50-5000)</param>
+    [HttpGet("baseline")]
+    [ProducesResponseType(typeof(List<MetricSample>), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public async Task<IActionResult> GetBaseline(
+        [FromHeader(Name = "X-Connection-Id")] string? connectionId,
+        [FromQuery] DateTime from,
+        [FromQuery] DateTime to,
+        [FromQuery] int offsetSeconds = 86400,
+        [FromQuery] int maxPoints = 1000,
+        CancellationToken cancellationToken = default)
+    {
+        var (isValid, sanitizedId, error) = ValidateConnectionId(connectionId);
+        if (!isValid) return BadRequest(ApiResponse.Error(error!));
+
+        var fromUtc = from.Kind == DateTimeKind.Utc ? from : from.ToUniversalTime();
+        var toUtc = to.Kind == DateTimeKind.Utc ? to : to.ToUniversalTime();
+
+        if (fromUtc > toUtc)
+        {
+            return BadRequest(ApiResponse.Error("Invalid date range: 'from' must be before or equal to 'to'"));
+        }
+
+        var maxRangeDays = 7;
+        if ((toUtc - fromUtc).TotalDays > maxRangeDays)
+        {
+            return BadRequest(ApiResponse.Error($"Date range exceeds maximum of {maxRangeDays} days"));
+        }
+
+        if (offsetSeconds < MetricsConstants.MinBaselineOffsetSeconds || offsetSeconds > MetricsConstants.MaxBaselineOffsetSeconds)
+        {
+            return BadRequest(ApiResponse.Error(
+                $"offsetSeconds must be between {MetricsConstants.MinBaselineOffsetSeconds} and {MetricsConstants.MaxBaselineOffsetSeconds}"));
+        }
+
+        var targetPoints = Math.Clamp(maxPoints, MetricsConstants.MinDownsamplePoints, MetricsConstants.MaxDownsamplePoints);
+        var samples = await _queryService.GetBaselineAsync(fromUtc, toUtc, TimeSpan.FromSeconds(offsetSeconds), targetPoints, sanitizedId!, cancellationToken);
+
+        return Ok(samples);
+    }
+
     /// <summary>
     /// Gets the latest metric data point.
     /// </summary>
@@ -199,4 +294,97 @@ public sealed class MetricsController : ControllerBase
             TotalPages = pageResult.TotalPages
         });
     }
+
+    /// <summary>
+    /// Gets connection failures and recoveries noticed by metrics collection
+    /// and the connection health monitor (kept in memory since the last restart).
+    /// </summary>
+    /// <param name="rangeSeconds">Time range in seconds (default and max: 172800 = 2 days)</param>
+    [HttpGet("events")]
+    [ProducesResponseType(typeof(List<ConnectionEvent>), StatusCodes.Status200OK)]
+    public IActionResult GetConnectionEvents(
+        [FromHeader(Name = "X-Connection-Id")] string? connectionId,
+        [FromQuery] int rangeSeconds = MetricsConstants.MaxRangeSeconds)
+    {
+        var (isValid, sanitizedId, error) = ValidateConnectionId(connectionId);
+        if (!isValid) return BadRequest(ApiResponse.Error(error!));
+
+        rangeSeconds = PaginationExtensions.ValidateRangeSeconds(rangeSeconds);
+
+        return Ok(_eventService.GetEvents(sanitizedId!, DateTime.UtcNow.AddSeconds(-rangeSeconds)));
+    }
+
+    /// <summary>
+    /// Streams live metric snapshots for a connection as Server-Sent Events.
+    /// Every collection tick is pushed to all subscribers, so open dashboards
+    /// share one set of DMV queries instead of polling individually.
+    /// </summary>
+    /// <param name="connectionId">Connection to stream; passed in the query string because EventSource cannot set headers</param>
+    [HttpGet("stream")]
+    public async Task<IActionResult> Stream([FromQuery] string? connectionId, CancellationToken cancellationToken)
+    {
+        var (isValid, sanitizedId, error) = ValidateConnectionId(connectionId);
+        if (!isValid) return BadRequest(ApiResponse.Error(error!));
+
+        if (_multiConnectionService.GetConnection(sanitizedId!) == null)
+        {
+            return NotFound(ApiResponse.Error("Connection not found"));
+        }
+
+        Response.ContentType = "text/event-stream";
+        Response.Headers.CacheControl = "no-cache";
+        Response.Headers["X-Accel-Buffering"] = "no"; // Disable proxy buffering (nginx)
+        HttpContext.Features.Get<IHttpResponseBodyFeature>()?.DisableBuffering();
+
+        using var subscription = _broadcastService.Subscribe(sanitizedId!);
+
+        await Response.WriteAsync($"retry: {MetricsConstants.StreamRetryMilliseconds}\n\n", cancellationToken);
+        await Response.Body.FlushAsync(cancellationToken);
+
+        try
+        {
+            while (!cancellationToken.IsCancellationRequested)
+            {
+                using var keepAlive = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+                keepAlive.CancelAfter(TimeSpan.FromSeconds(MetricsConstants.StreamKeepAliveSeconds));
+
+                bool hasData;
+                try
+                {
+                    hasData = await subscription.Reader.WaitToReadAsync(keepAlive.Token);
+                }
+                catch (OperationCanceledException) when (!cancellationToken.IsCancellationRequested)
+                {
+                    // Idle: send a comment so proxies keep the connection open
+                    await Response.WriteAsync(": keep-alive\n\n", cancellationToken);
+                    await Response.Body.FlushAsync(cancellationToken);
+                    continue;
+                }
+
+                if (!hasData) break;
+
+                while (subscription.Reader.TryRead(out var m))
+                {
+                    var payload = JsonSerializer.Serialize(new
+                    {
+                        timestamp = m.Timestamp,
+                        cpu = m.CpuPercent,
+                        memory = m.MemoryMb,
+                        connections = m.ActiveConnections,
+                        blocked = m.BlockedProcesses,
+                        bufferHitRatio = m.BufferCacheHitRatio
+                    }, StreamJsonOptions);
+
+                    await Response.WriteAsync($"event: metrics\ndata: {payload}\n\n", cancellationToken);
+                }
+                await Response.Body.FlushAsync(cancellationToken);
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // Client disconnected
+        }
+
+        return new EmptyResult();
+    }
 }
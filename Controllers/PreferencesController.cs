@@ -0,0 +1,155 @@
+using System.Security.Claims;
+using Microsoft.AspNetCore.Authorization;
+using Microsoft.AspNetCore.Mvc;
+using PbSqlServerMonitoring.Configuration;
+using PbSqlServerMonitoring.Models;
+using PbSqlServerMonitoring.Services;
+
+namespace PbSqlServerMonitoring.Controllers;
+
+/// <summary>
+/// Per-user dashboard preferences (auto-refresh, widget layout, theme and other UI settings).
+/// The active connection has its own endpoint under /api/connections/active.
+/// </summary>
+[ApiController]
+[Authorize]
+[Route("api/[controller]")]
+public sealed class PreferencesController : ControllerBase
+{
+    private readonly UserPreferencesService _userPreferencesService;
+    private readonly ILogger<PreferencesController> _logger;
+
+    public PreferencesController(
+        UserPreferencesService userPreferencesService,
+        ILogger<PreferencesController> logger)
+    {
+        _userPreferencesService = userPreferencesService;
+        _logger = logger;
+    }
+
+    #region Endpoints
+
+    /// <summary>
+    /// Gets the current user's dashboard preferences.
+    /// </summary>
+    [HttpGet]
+    [ProducesResponseType(typeof(PreferencesResponse), StatusCodes.Status200OK)]
+    public IActionResult GetPreferences()
+    {
+        var prefs = _userPreferencesService.GetUserPreferences(GetUserIdentifier()) ?? new UserPreferences();
+        return Ok(MapToResponse(prefs));
+    }
+
+    /// <summary>
+    /// Updates the current user's dashboard preferences.
+    /// Only the fields present in the request are changed.
+    /// </summary>
+    [HttpPatch]
+    [ProducesResponseType(typeof(PreferencesResponse), StatusCodes.Status200OK)]
+    [ProducesResponseType(StatusCodes.Status400BadRequest)]
+    public IActionResult UpdatePreferences([FromBody] UpdatePreferencesRequest request)
+    {
+        if (request.RefreshIntervalSeconds is < MetricsConstants.MinRefreshIntervalSeconds
+            or > MetricsConstants.MaxRefreshIntervalSeconds)
+        {
+            return BadRequest(ApiResponse.Error(
+                $"Refresh interval must be between {MetricsConstants.MinRefreshIntervalSeconds} and {MetricsConstants.MaxRefreshIntervalSeconds} seconds"));
+        }
+
+        if (request.ChartThresholds != null && ChartThresholdMetrics.Validate(request.ChartThresholds) is { } thresholdError)
+        {
+            return BadRequest(ApiResponse.Error(thresholdError));
+        }
+
+        if (request.DashboardLayout != null && DashboardLayout.Validate(request.DashboardLayout) is { } layoutError)
+        {
+            return BadRequest(ApiResponse.Error(layoutError));
+        }
+
+        if (request.Theme != null && !ThemeNames.All.Contains(request.Theme))
+        {
+            return BadRequest(ApiResponse.Error(
+                $"Unknown theme '{request.Theme}'. Expected one of: {string.Join(", ", ThemeNames.All)}"));
+        }
+
+        var prefs = _userPreferencesService.UpdateUserPreferences(GetUserIdentifier(), p =>
+        {
+            if (request.RefreshIntervalSeconds.HasValue) p.RefreshIntervalSeconds = request.RefreshIntervalSeconds;
+            if (request.RefreshPaused.HasValue) p.RefreshPaused = request.RefreshPaused.Value;
+            if (request.ChartThresholds != null) p.ChartThresholds = request.ChartThresholds;
+            if (request.DashboardLayout != null) p.DashboardLayout = request.DashboardLayout;
+            if (request.Theme != null) p.Theme = request.Theme;
+        });
+
+        return Ok(MapToResponse(prefs));
+    }
+
+    #endregion
+
+    #region Helpers
+
+    private static PreferencesResponse MapToResponse(UserPreferences prefs)
+    {
+        return new PreferencesResponse
+        {
+            RefreshIntervalSeconds = prefs.RefreshIntervalSeconds ?? MetricsConstants.DefaultRefreshIntervalSeconds,
+            RefreshPaused = prefs.RefreshPaused,
+            ChartThresholds = prefs.ChartThresholds ?? new Dictionary<string, ChartThreshold>(),
+            DashboardLayout = prefs.DashboardLayout,
+            Theme = prefs.Theme ?? ThemeNames.System
+        };
+    }
+
+    /// <summary>
+    /// Gets the current user's ID from ASP.NET Core Identity.
+    /// </summary>
+    private string GetUserIdentifier()
+    {
+        var userId = User.FindFirstValue(ClaimTypes.NameIdentifier);
+
+        if (string.IsNullOrEmpty(userId))
+        {
+            // Fallback for edge cases (should not happen with [Authorize])
+            _logger.LogWarning("User ID not found in claims");
+            return "anonymous";
+        }
+
+        return userId;
+    }
+
+    #endregion
+}
+
+/// <summary>
+/// Dashboard preferences returned to the client.
+/// </summary>
+public sealed class PreferencesResponse
+{
+    public int RefreshIntervalSeconds { get; set; }
+    public bool RefreshPaused { get; set; }
+    public Dictionary<string, ChartThreshold> ChartThresholds { get; set; } = new();
+
+    /// <summary>Saved dashboard widgets in display order; null until the user customizes the dashboard</summary>
+    public List<DashboardWidgetLayout>? DashboardLayout { get; set; }
+
+    /// <summary>Colour theme, see <see cref="ThemeNames"/></summary>
+    public string Theme { get; set; } = ThemeNames.System;
+}
+
+/// <summary>
+/// Partial update of dashboard preferences; null fields are left unchanged.
+/// </summary>
+public sealed class UpdatePreferencesRequest
+{
+    public int? RefreshIntervalSeconds { get; set; }
+    public bool? RefreshPaused { get; set; }
+
+    /// <summary>Replaces all chart thresholds when present</summary>
+    public Dictionary<string, ChartThreshold>? ChartThresholds { get; set; }
+
+    /// <summary>Replaces the dashboard layout when present</summary>
+    public List<DashboardWidgetLayout>? DashboardLayout { get; set; }
+
+    /// <summary>One of <see cref="ThemeNames"/></summary>
+    public string? Theme { get; set; }
+}
@@ -2,6 +2,7 @@ using Microsoft.AspNetCore.Authorization;
 using Microsoft.AspNetCore.Mvc;
 using PbSqlServerMonitoring.Configuration;
 using PbSqlServerMonitoring.Extensions;
+using PbSqlServerMonitoring.Filters;
 using PbSqlServerMonitoring.Models;
 using PbSqlServerMonitoring.Services;
 using static PbSqlServerMonitoring.Extensions.InputValidationExtensions;
@@ -16,6 +17,9 @@ namespace PbSqlServerMonitoring.Controllers;
 [Route("api/[controller]")]
 public sealed class QueriesController : ControllerBase
 {
+    /// <summary>Maximum from/to window for query history (matches the chart history limit)</summary>
+    private const int MaxRangeDays = 7;
+
     private readonly QueryPerformanceService _queryService;
     private readonly MetricsQueryService _metricsQueryService;
     private readonly MultiConnectionService _multiConnectionService;
@@ -94,15 +98,19 @@ public sealed class QueriesController : ControllerBase
     }
 
     /// <summary>
-    /// Get history summary of top queries with pagination
+    /// Get history summary of top queries with pagination.
+    /// Pass from/to (UTC) to restrict it to a time window instead of the last N hours.
     /// </summary>
     [HttpGet("history")]
+    [ConditionalGet]
     public async Task<IActionResult> GetQueryHistory(
         [FromHeader(Name = "X-Connection-Id")] string? connectionId,
         [FromQuery] double hours = MetricsConstants.DefaultQueryHistoryHours, 
         [FromQuery] string sortBy = "cpu",
         [FromQuery] int page = 1,
-        [FromQuery] int pageSize = 50)
+        [FromQuery] int pageSize = 50,
+        [FromQuery] DateTime? from = null,
+        [FromQuery] DateTime? to = null)
     {
         try
         {
@@ -111,7 +119,25 @@ public sealed class QueriesController : ControllerBase
 
             (page, pageSize) = PaginationExtensions.ValidatePagination(page, pageSize, MetricsConstants.MaxSmallPageSize);
             
-            var results = await _metricsQueryService.GetQueryHistorySummaryAsync(hours, sanitizedId!, sortBy);
+            List<QueryPerformance> results;
+            if (from.HasValue || to.HasValue)
+            {
+                var toUtc = to.HasValue ? to.Value.ToUniversalTime() : DateTime.UtcNow;
+                var fromUtc = from.HasValue ? from.Value.ToUniversalTime() : toUtc.AddHours(-hours);
+                if (fromUtc > toUtc)
+                {
+                    return BadRequest(ApiResponse.Error("Invalid date range: 'from' must be before or equal to 'to'"));
+                }
+                if ((toUtc - fromUtc).TotalDays > MaxRangeDays)
+                {
+                    return BadRequest(ApiResponse.Error($"Date range exceeds maximum of {MaxRangeDays} days"));
+                }
+                results = await _metricsQueryService.GetQueryHistorySummaryAsync(fromUtc, toUtc, sanitizedId!, sortBy);
+            }
+            else
+            {
+                results = await _metricsQueryService.GetQueryHistorySummaryAsync(hours, sanitizedId!, sortBy);
+            }
             var pagedResult = results.ToPagedResult(page, pageSize, item => (object)item);
             
             return Ok(pagedResult);
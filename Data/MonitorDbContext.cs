@@ -16,6 +16,7 @@ public class MonitorDbContext : IdentityDbContext<ApplicationUser>
     public DbSet<BlockingHistoryEntity> BlockingHistory { get; set; } = null!;
     public DbSet<UserPreferenceEntity> UserPreferences { get; set; } = null!;
     public DbSet<ServerConnection> ServerConnections { get; set; } = null!;
+    public DbSet<ChartAnnotationEntity> ChartAnnotations { get; set; } = null!;
 
     protected override void OnModelCreating(ModelBuilder modelBuilder)
     {
@@ -79,6 +80,15 @@ public class MonitorDbContext : IdentityDbContext<ApplicationUser>
             .HasForeignKey(b => b.SnapshotId)
             .OnDelete(DeleteBehavior.Cascade);
             
+        // ============================================================
+        // ChartAnnotation Indexes
+        // ============================================================
+        
+        // Annotations are always read per connection for a time window
+        modelBuilder.Entity<ChartAnnotationEntity>()
+            .HasIndex(a => new { a.ConnectionId, a.Timestamp })
+            .HasDatabaseName("IX_ChartAnnotations_ConnectionId_Timestamp");
+            
         // ============================================================
         // ServerConnection Indexes
         // ============================================================
@@ -0,0 +1,72 @@
+using System.Security.Cryptography;
+using System.Text.Json;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.AspNetCore.Mvc.Filters;
+using Microsoft.Extensions.Options;
+
+namespace PbSqlServerMonitoring.Filters;
+
+/// <summary>
+/// Adds ETag / If-None-Match support to JSON GET endpoints.
+/// The tag is a hash of the serialized response, so a client revalidating
+/// unchanged data receives 304 Not Modified without a body.
+/// </summary>
+[AttributeUsage(AttributeTargets.Class | AttributeTargets.Method)]
+public sealed class ConditionalGetAttribute : ActionFilterAttribute
+{
+    public override async Task OnResultExecutionAsync(ResultExecutingContext context, ResultExecutionDelegate next)
+    {
+        var httpContext = context.HttpContext;
+
+        if (!HttpMethods.IsGet(httpContext.Request.Method) ||
+            context.Result is not ObjectResult { Value: not null } result ||
+            (result.StatusCode ?? StatusCodes.Status200OK) != StatusCodes.Status200OK)
+        {
+            await next();
+            return;
+        }
+
+        var jsonOptions = httpContext.RequestServices
+            .GetService<IOptions<JsonOptions>>()?.Value.JsonSerializerOptions;
+        var etag = ComputeETag(result.Value, jsonOptions);
+
+        // Responses are per user and per connection; let the client decide when to revalidate
+        httpContext.Response.Headers.ETag = etag;
+        httpContext.Response.Headers.CacheControl = "private, no-cache";
+        httpContext.Response.Headers.Vary = "X-Connection-Id";
+
+        if (IsMatch(httpContext.Request.Headers.IfNoneMatch.ToString(), etag))
+        {
+            context.Result = new StatusCodeResult(StatusCodes.Status304NotModified);
+        }
+
+        await next();
+    }
+
+    /// <summary>
+    /// Computes a weak ETag from the JSON representation of a response value.
+    /// </summary>
+    public static string ComputeETag(object value, JsonSerializerOptions? options = null)
+    {
+        var bytes = JsonSerializer.SerializeToUtf8Bytes(value, value.GetType(), options);
+        var hash = SHA256.HashData(bytes);
+        return $"W/\"{Convert.ToHexString(hash, 0, 16)}\"";
+    }
+
+    /// <summary>
+    /// Checks an If-None-Match header value against the current ETag.
+    /// Accepts "*", comma-separated lists and strong/weak forms of the same tag.
+    /// </summary>
+    public static bool IsMatch(string? ifNoneMatch, string etag)
+    {
+        if (string.IsNullOrWhiteSpace(ifNoneMatch)) return false;
+
+        var opaque = StripWeakPrefix(etag);
+        return ifNoneMatch
+            .Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+            .Any(candidate => candidate == "*" || StripWeakPrefix(candidate) == opaque);
+    }
+
+    private static string StripWeakPrefix(string tag) =>
+        tag.StartsWith("W/", StringComparison.Ordinal) ? tag[2..] : tag;
+}
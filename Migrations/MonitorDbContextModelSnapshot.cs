@@ -267,6 +267,51 @@ namespace PbSqlServerMonitoring.Migrations
                     b.ToTable("BlockingHistory");
                 });
 
+            modelBuilder.Entity("PbSqlServerMonitoring.Models.ChartAnnotationEntity", b =>
+                {
+                    b.Property<long>("Id")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("bigint");
+
+                    SqlServerPropertyBuilderExtensions.UseIdentityColumn(b.Property<long>("Id"));
+
+                    b.Property<string>("ConnectionId")
+                        .IsRequired()
+                        .HasMaxLength(64)
+                        .HasColumnType("nvarchar(64)");
+
+                    b.Property<DateTime>("CreatedAt")
+                        .HasColumnType("datetime2");
+
+                    b.Property<string>("CreatedBy")
+                        .HasMaxLength(128)
+                        .HasColumnType("nvarchar(128)");
+
+                    b.Property<string>("Kind")
+                        .IsRequired()
+                        .HasMaxLength(32)
+                        .HasColumnType("nvarchar(32)");
+
+                    b.Property<string>("Link")
+                        .HasMaxLength(2048)
+                        .HasColumnType("nvarchar(2048)");
+
+                    b.Property<DateTime>("Timestamp")
+                        .HasColumnType("datetime2");
+
+                    b.Property<string>("Title")
+                        .IsRequired()
+                        .HasMaxLength(200)
+                        .HasColumnType("nvarchar(200)");
+
+                    b.HasKey("Id");
+
+                    b.HasIndex("ConnectionId", "Timestamp")
+                        .HasDatabaseName("IX_ChartAnnotations_ConnectionId_Timestamp");
+
+                    b.ToTable("ChartAnnotations");
+                });
+
             modelBuilder.Entity("PbSqlServerMonitoring.Models.MetricSnapshotEntity", b =>
                 {
                     b.Property<long>("Id")
@@ -1,4 +1,6 @@
 using System.ComponentModel.DataAnnotations;
+using System.Text.RegularExpressions;
+using PbSqlServerMonitoring.Configuration;
 
 namespace PbSqlServerMonitoring.Models;
 
@@ -28,6 +30,21 @@ public sealed class MetricDataPoint
     public List<BlockingSnapshot> BlockedQueries { get; set; } = new();
 }
 
+/// <summary>
+/// Chart point standing in for one or more raw metric samples.
+/// </summary>
+public sealed class MetricSample
+{
+    public DateTime Timestamp { get; set; }
+    public double Cpu { get; set; }
+    public long Memory { get; set; }
+    public int Connections { get; set; }
+    public int Blocked { get; set; }
+    public long BufferHitRatio { get; set; }
+    /// <summary>Number of raw samples summarised by this point</summary>
+    public int Samples { get; set; } = 1;
+}
+
 /// <summary>
 /// Snapshot of query performance at a point in time.
 /// </summary>
@@ -67,6 +84,188 @@ public sealed class BlockingSnapshot
     public string? ExecutionPlan { get; set; }
 }
 
+/// <summary>
+/// A connection failure or recovery noticed by the collector or health monitor.
+/// </summary>
+public sealed class ConnectionEvent
+{
+    public DateTime Timestamp { get; set; }
+    public string ConnectionId { get; set; } = "";
+    /// <summary>What noticed it: see <see cref="ConnectionEventSources"/></summary>
+    public string Source { get; set; } = "";
+    /// <summary>See <see cref="ConnectionEventTypes"/></summary>
+    public string Type { get; set; } = "";
+    public string Message { get; set; } = "";
+}
+
+/// <summary>
+/// Values for <see cref="ConnectionEvent.Source"/>.
+/// </summary>
+public static class ConnectionEventSources
+{
+    public const string Collection = "collection";
+    public const string HealthCheck = "health-check";
+}
+
+/// <summary>
+/// Values for <see cref="ConnectionEvent.Type"/>.
+/// </summary>
+public static class ConnectionEventTypes
+{
+    public const string Failure = "failure";
+    public const string Recovered = "recovered";
+}
+
+/// <summary>
+/// Values for <see cref="ChartAnnotationEntity.Kind"/>.
+/// </summary>
+public static class AnnotationKinds
+{
+    public const string Deployment = "deployment";
+    public const string ConfigChange = "config-change";
+
+    public static readonly IReadOnlyList<string> All = [Deployment, ConfigChange];
+}
+
+/// <summary>
+/// Dashboard colour themes; "system" follows the browser's light/dark
+/// and contrast settings.
+/// </summary>
+public static class ThemeNames
+{
+    public const string System = "system";
+    public const string Dark = "dark";
+    public const string Light = "light";
+    public const string HighContrast = "high-contrast";
+
+    public static readonly IReadOnlyList<string> All = [System, Dark, Light, HighContrast];
+}
+
+/// <summary>
+/// Warning and critical levels for one chart series; null levels are not drawn.
+/// </summary>
+public sealed class ChartThreshold
+{
+    public double? Warning { get; set; }
+    public double? Critical { get; set; }
+}
+
+/// <summary>
+/// Series that accept thresholds (keys of <see cref="ChartThreshold"/> maps),
+/// named as in the chart data.
+/// </summary>
+public static class ChartThresholdMetrics
+{
+    public const string Cpu = "cpu";
+    public const string Memory = "memory";
+    public const string Connections = "connections";
+    public const string Blocked = "blocked";
+    public const string BufferHitRatio = "bufferHitRatio";
+
+    public static readonly IReadOnlyList<string> All = [Cpu, Memory, Connections, Blocked, BufferHitRatio];
+
+    /// <summary>Percentages, limited to 0-100</summary>
+    public static readonly IReadOnlyList<string> Percentages = [Cpu, BufferHitRatio];
+
+    /// <summary>Series where falling below a level is the problem</summary>
+    public static readonly IReadOnlyList<string> LowerIsWorse = [BufferHitRatio];
+
+    /// <summary>
+    /// Returns an error message for the first invalid threshold, or null when all are valid.
+    /// </summary>
+    public static string? Validate(IReadOnlyDictionary<string, ChartThreshold> thresholds)
+    {
+        foreach (var (metric, threshold) in thresholds)
+        {
+            if (!All.Contains(metric))
+            {
+                return $"Unknown chart '{metric}'. Expected one of: {string.Join(", ", All)}";
+            }
+
+            // JSON null slips past the non-nullable value type
+            if (threshold == null)
+            {
+                return $"Thresholds for '{metric}' must be an object, not null";
+            }
+
+            foreach (var level in new[] { threshold.Warning, threshold.Critical })
+            {
+                if (level is { } value && (!double.IsFinite(value) || value < 0))
+                {
+                    return $"Thresholds for '{metric}' must be zero or greater";
+                }
+                if (level > 100 && Percentages.Contains(metric))
+                {
+                    return $"Thresholds for '{metric}' must be between 0 and 100";
+                }
+            }
+
+            if (threshold is { Warning: { } warning, Critical: { } critical }
+                && (LowerIsWorse.Contains(metric) ? critical > warning : critical < warning))
+            {
+                return LowerIsWorse.Contains(metric)
+                    ? $"The critical level for '{metric}' must not be above the warning level"
+                    : $"The critical level for '{metric}' must not be below the warning level";
+            }
+        }
+
+        return null;
+    }
+}
+
+/// <summary>
+/// One widget on a user's dashboard. Layouts are lists of these in display order.
+/// </summary>
+public sealed class DashboardWidgetLayout
+{
+    /// <summary>Widget id from the dashboard's widget registry, e.g. "cpuChart"</summary>
+    public string Id { get; set; } = string.Empty;
+
+    /// <summary>Grid columns the widget spans</summary>
+    public int Width { get; set; }
+}
+
+/// <summary>
+/// Checks saved dashboard layouts. Widget ids are defined by the client's
+/// registry, so only their shape is checked here; the dashboard skips ids it
+/// no longer knows.
+/// </summary>
+public static partial class DashboardLayout
+{
+    [GeneratedRegex("^[a-zA-Z][a-zA-Z0-9-]{0,63}$", RegexOptions.Compiled)]
+    private static partial Regex WidgetIdRegex();
+
+    /// <summary>
+    /// Returns an error message for the first invalid widget, or null when the layout is valid.
+    /// </summary>
+    public static string? Validate(IReadOnlyList<DashboardWidgetLayout> widgets)
+    {
+        if (widgets.Count > MetricsConstants.MaxDashboardWidgets)
+        {
+            return $"A dashboard can hold at most {MetricsConstants.MaxDashboardWidgets} widgets";
+        }
+
+        var seen = new HashSet<string>(StringComparer.Ordinal);
+        foreach (var widget in widgets)
+        {
+            if (widget == null || !WidgetIdRegex().IsMatch(widget.Id ?? string.Empty))
+            {
+                return "Widget ids must start with a letter and contain only letters, digits and hyphens";
+            }
+            if (!seen.Add(widget.Id!))
+            {
+                return $"Widget '{widget.Id}' appears more than once";
+            }
+            if (widget.Width is < 1 or > MetricsConstants.DashboardColumns)
+            {
+                return $"Width of widget '{widget.Id}' must be between 1 and {MetricsConstants.DashboardColumns}";
+            }
+        }
+
+        return null;
+    }
+}
+
 /// <summary>
 /// Health information about internal data buffers.
 /// </summary>
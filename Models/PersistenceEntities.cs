@@ -93,6 +93,42 @@ public class BlockingHistoryEntity
     public string? ExecutionPlan { get; set; }
 }
 
+/// <summary>
+/// Deployment or configuration change marker drawn on the charts of a connection.
+/// </summary>
+[Table("ChartAnnotations")]
+public class ChartAnnotationEntity
+{
+    [Key]
+    public long Id { get; set; }
+
+    [Required]
+    public DateTime Timestamp { get; set; }
+
+    [Required]
+    [MaxLength(64)]
+    public string ConnectionId { get; set; } = "";
+
+    /// <summary>See <see cref="AnnotationKinds"/></summary>
+    [Required]
+    [MaxLength(32)]
+    public string Kind { get; set; } = "";
+
+    [Required]
+    [MaxLength(200)]
+    public string Title { get; set; } = "";
+
+    /// <summary>Optional http(s) link, e.g. to the release or pipeline run</summary>
+    [MaxLength(2048)]
+    public string? Link { get; set; }
+
+    /// <summary>Identity that posted the marker</summary>
+    [MaxLength(128)]
+    public string? CreatedBy { get; set; }
+
+    public DateTime CreatedAt { get; set; } = DateTime.UtcNow;
+}
+
 [Table("UserPreferences")]
 public class UserPreferenceEntity
 {
@@ -0,0 +1,169 @@
+using System.Security.Claims;
+using Microsoft.AspNetCore.DataProtection;
+using Microsoft.AspNetCore.Http;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Logging;
+using Moq;
+using PbSqlServerMonitoring.Controllers;
+using PbSqlServerMonitoring.Data;
+using PbSqlServerMonitoring.Models;
+using PbSqlServerMonitoring.Services;
+
+namespace PbSqlServerMonitoring.Tests.Controllers;
+
+/// <summary>
+/// Unit tests for AnnotationsController
+/// </summary>
+public class AnnotationsControllerTests : IDisposable
+{
+    private const string ConnectionId = "0a1b2c3d4e5f6789";
+
+    private readonly ServiceProvider _serviceProvider;
+    private readonly MultiConnectionService _multiConnectionService;
+    private readonly AnnotationsController _controller;
+
+    public AnnotationsControllerTests()
+    {
+        var services = new ServiceCollection();
+        services.AddDbContext<MonitorDbContext>(options =>
+            options.UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString()));
+        _serviceProvider = services.BuildServiceProvider();
+        var scopeFactory = _serviceProvider.GetRequiredService<IServiceScopeFactory>();
+
+        using (var scope = scopeFactory.CreateScope())
+        {
+            var context = scope.ServiceProvider.GetRequiredService<MonitorDbContext>();
+            context.ServerConnections.Add(new ServerConnection { Id = ConnectionId, Name = "Test", Server = "localhost" });
+            context.SaveChanges();
+        }
+
+        var protection = new Mock<IDataProtectionProvider>();
+        protection.Setup(p => p.CreateProtector(It.IsAny<string>())).Returns(new Mock<IDataProtector>().Object);
+        var configuration = new Mock<IConfiguration>();
+        configuration
+            .Setup(c => c.GetSection(It.IsAny<string>()))
+            .Returns(new Mock<IConfigurationSection>().Object);
+
+        _multiConnectionService = new MultiConnectionService(
+            protection.Object, scopeFactory, new Mock<ILogger<MultiConnectionService>>().Object, configuration.Object);
+
+        _controller = new AnnotationsController(
+            new AnnotationService(scopeFactory, new Mock<ILogger<AnnotationService>>().Object),
+            _multiConnectionService,
+            new Mock<ILogger<AnnotationsController>>().Object)
+        {
+            ControllerContext = new ControllerContext
+            {
+                HttpContext = new DefaultHttpContext
+                {
+                    User = new ClaimsPrincipal(new ClaimsIdentity([new Claim(ClaimTypes.Name, "ci-pipeline")], "ApiKey"))
+                }
+            }
+        };
+    }
+
+    public void Dispose()
+    {
+        _multiConnectionService.Dispose();
+        _serviceProvider.Dispose();
+        GC.SuppressFinalize(this);
+    }
+
+    private static CreateAnnotationRequest CreateRequest(string kind = AnnotationKinds.Deployment, string? link = null) => new()
+    {
+        ConnectionId = ConnectionId,
+        Kind = kind,
+        Title = "Release 1.4.2",
+        Link = link
+    };
+
+    #region AddAnnotation Tests
+
+    [Fact]
+    public async Task AddAnnotation_UnknownKind_ReturnsBadRequest()
+    {
+        // Arrange
+        var request = CreateRequest(kind: "outage");
+
+        // Act
+        var result = await _controller.AddAnnotation(request, CancellationToken.None);
+
+        // Assert
+        var badRequest = Assert.IsType<BadRequestObjectResult>(result);
+        Assert.Contains(AnnotationKinds.Deployment, Assert.IsType<ApiResponse>(badRequest.Value).Message);
+    }
+
+    [Theory]
+    [InlineData("javascript:alert(1)")]
+    [InlineData("ftp://example.com/release")]
+    [InlineData("/relative/path")]
+    public async Task AddAnnotation_NonHttpLink_ReturnsBadRequest(string link)
+    {
+        // Arrange
+        var request = CreateRequest(link: link);
+
+        // Act
+        var result = await _controller.AddAnnotation(request, CancellationToken.None);
+
+        // Assert
+        Assert.IsType<BadRequestObjectResult>(result);
+    }
+
+    [Fact]
+    public async Task AddAnnotation_UnknownConnection_ReturnsNotFound()
+    {
+        // Arrange
+        var request = CreateRequest();
+        request.ConnectionId = "ffffffffffffffff";
+
+        // Act
+        var result = await _controller.AddAnnotation(request, CancellationToken.None);
+
+        // Assert
+        Assert.IsType<NotFoundObjectResult>(result);
+    }
+
+    [Fact]
+    public async Task AddAnnotation_TrimsAndLowercasesKind()
+    {
+        // Arrange
+        var request = CreateRequest(kind: "  Config-Change ", link: "https://ci.example.com/runs/42");
+
+        // Act
+        var result = await _controller.AddAnnotation(request, CancellationToken.None);
+
+        // Assert
+        var created = Assert.IsType<ObjectResult>(result);
+        Assert.Equal(StatusCodes.Status201Created, created.StatusCode);
+        var annotation = Assert.IsType<AnnotationResponse>(created.Value);
+        Assert.Equal(AnnotationKinds.ConfigChange, annotation.Kind);
+        Assert.Equal("ci-pipeline", annotation.CreatedBy);
+
+        var stored = await _controller.GetAnnotations(ConnectionId, null, null, CancellationToken.None);
+        var list = Assert.IsType<List<AnnotationResponse>>(Assert.IsType<OkObjectResult>(stored).Value);
+        Assert.Equal(AnnotationKinds.ConfigChange, Assert.Single(list).Kind);
+    }
+
+    #endregion
+
+    #region GetAnnotations Tests
+
+    [Fact]
+    public async Task GetAnnotations_RangeOverMaximum_ReturnsBadRequest()
+    {
+        // Arrange
+        var to = DateTime.UtcNow;
+        var from = to.AddDays(-8);
+
+        // Act
+        var result = await _controller.GetAnnotations(ConnectionId, from, to, CancellationToken.None);
+
+        // Assert
+        Assert.IsType<BadRequestObjectResult>(result);
+    }
+
+    #endregion
+}
@@ -0,0 +1,107 @@
+using Microsoft.AspNetCore.DataProtection;
+using Microsoft.AspNetCore.Hosting;
+using Microsoft.AspNetCore.Mvc;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.DependencyInjection;
+using Microsoft.Extensions.Logging;
+using Moq;
+using PbSqlServerMonitoring.Controllers;
+using PbSqlServerMonitoring.Models;
+using PbSqlServerMonitoring.Services;
+
+namespace PbSqlServerMonitoring.Tests.Controllers;
+
+/// <summary>
+/// Unit tests for QueriesController
+/// </summary>
+public class QueriesControllerTests
+{
+    private const string ConnectionId = "0a1b2c3d4e5f6789";
+
+    private readonly Mock<IMetricsPersistenceService> _mockPersistence = new();
+    private readonly QueriesController _controller;
+
+    public QueriesControllerTests()
+    {
+        var protector = new Mock<IDataProtector>();
+        var protection = new Mock<IDataProtectionProvider>();
+        protection.Setup(p => p.CreateProtector(It.IsAny<string>())).Returns(protector.Object);
+
+        var configuration = new Mock<IConfiguration>();
+        configuration
+            .Setup(c => c.GetSection(It.IsAny<string>()))
+            .Returns(new Mock<IConfigurationSection>().Object);
+
+        var environment = new Mock<IWebHostEnvironment>();
+        environment.Setup(e => e.EnvironmentName).Returns("Development");
+
+        var connectionService = new ConnectionService(
+            protection.Object, configuration.Object, environment.Object, new Mock<ILogger<ConnectionService>>().Object);
+
+        _mockPersistence
+            .Setup(p => p.GetQueryHistoryAsync(It.IsAny<int>(), It.IsAny<string>()))
+            .ReturnsAsync(new List<QuerySnapshot>());
+
+        _controller = new QueriesController(
+            new QueryPerformanceService(connectionService, new Mock<ILogger<QueryPerformanceService>>().Object),
+            new MetricsQueryService(
+                new MetricsBufferService(new Mock<ILogger<MetricsBufferService>>().Object),
+                _mockPersistence.Object,
+                connectionService,
+                new Mock<ILogger<MetricsQueryService>>().Object),
+            new MultiConnectionService(
+                protection.Object,
+                new Mock<IServiceScopeFactory>().Object,
+                new Mock<ILogger<MultiConnectionService>>().Object,
+                configuration.Object),
+            new Mock<ILogger<QueriesController>>().Object);
+    }
+
+    #region Query History Range Tests
+
+    [Fact]
+    public async Task GetQueryHistory_RangeOverSevenDays_ReturnsBadRequestWithoutLoading()
+    {
+        // Arrange
+        var from = new DateTime(2000, 1, 1, 0, 0, 0, DateTimeKind.Utc);
+        var to = new DateTime(2026, 1, 1, 0, 0, 0, DateTimeKind.Utc);
+
+        // Act
+        var result = await _controller.GetQueryHistory(ConnectionId, from: from, to: to);
+
+        // Assert
+        var badRequest = Assert.IsType<BadRequestObjectResult>(result);
+        var error = Assert.IsType<ApiResponse>(badRequest.Value);
+        Assert.Contains("7 days", error.Message);
+        _mockPersistence.Verify(p => p.GetQueryHistoryAsync(It.IsAny<int>(), It.IsAny<string>()), Times.Never);
+    }
+
+    [Fact]
+    public async Task GetQueryHistory_RangeWithinSevenDays_ReturnsOk()
+    {
+        // Arrange
+        var to = DateTime.UtcNow;
+        var from = to.AddDays(-7);
+
+        // Act
+        var result = await _controller.GetQueryHistory(ConnectionId, from: from, to: to);
+
+        // Assert
+        Assert.IsType<OkObjectResult>(result);
+    }
+
+    [Fact]
+    public async Task GetQueryHistory_FromAfterTo_ReturnsBadRequest()
+    {
+        // Arrange
+        var to = DateTime.UtcNow;
+
+        // Act
+        var result = await _controller.GetQueryHistory(ConnectionId, from: to.AddHours(1), to: to);
+
+        // Assert
+        Assert.IsType<BadRequestObjectResult>(result);
+    }
+
+    #endregion
+}
@@ -0,0 +1,76 @@
+using PbSqlServerMonitoring.Filters;
+using Xunit;
+
+namespace PbSqlServerMonitoring.Tests.Filters;
+
+/// <summary>
+/// Unit tests for ConditionalGetAttribute ETag generation and matching.
+/// </summary>
+public class ConditionalGetAttributeTests
+{
+    #region ComputeETag Tests
+
+    [Fact]
+    public void ComputeETag_SameValue_ReturnsSameTag()
+    {
+        // Arrange
+        var first = new { Items = new[] { 1, 2, 3 }, TotalCount = 3 };
+        var second = new { Items = new[] { 1, 2, 3 }, TotalCount = 3 };
+
+        // Act & Assert
+        Assert.Equal(
+            ConditionalGetAttribute.ComputeETag(first),
+            ConditionalGetAttribute.ComputeETag(second));
+    }
+
+    [Fact]
+    public void ComputeETag_DifferentValue_ReturnsDifferentTag()
+    {
+        // Arrange
+        var first = new { Items = new[] { 1, 2, 3 }, TotalCount = 3 };
+        var second = new { Items = new[] { 1, 2, 4 }, TotalCount = 3 };
+
+        // Act & Assert
+        Assert.NotEqual(
+            ConditionalGetAttribute.ComputeETag(first),
+            ConditionalGetAttribute.ComputeETag(second));
+    }
+
+    [Fact]
+    public void ComputeETag_ReturnsWeakQuotedTag()
+    {
+        // Act
+        var etag = ConditionalGetAttribute.ComputeETag(new { Value = 42 });
+
+        // Assert
+        Assert.StartsWith("W/\"", etag);
+        Assert.EndsWith("\"", etag);
+    }
+
+    #endregion
+
+    #region IsMatch Tests
+
+    [Theory]
+    [InlineData(null)]
+    [InlineData("")]
+    [InlineData("W/\"other\"")]
+    public void IsMatch_NoMatchingTag_ReturnsFalse(string? ifNoneMatch)
+    {
+        // Act & Assert
+        Assert.False(ConditionalGetAttribute.IsMatch(ifNoneMatch, "W/\"abc\""));
+    }
+
+    [Theory]
+    [InlineData("W/\"abc\"")]
+    [InlineData("\"abc\"")]
+    [InlineData("\"x\", W/\"abc\"")]
+    [InlineData("*")]
+    public void IsMatch_MatchingTag_ReturnsTrue(string ifNoneMatch)
+    {
+        // Act & Assert
+        Assert.True(ConditionalGetAttribute.IsMatch(ifNoneMatch, "W/\"abc\""));
+    }
+
+    #endregion
+}
@@ -0,0 +1,103 @@
+using PbSqlServerMonitoring.Models;
+
+namespace PbSqlServerMonitoring.Tests.Models;
+
+/// <summary>
+/// Unit tests for ChartThresholdMetrics validation
+/// </summary>
+public class ChartThresholdMetricsTests
+{
+    [Fact]
+    public void Validate_ValidThresholds_ReturnsNull()
+    {
+        // Arrange
+        var thresholds = new Dictionary<string, ChartThreshold>
+        {
+            [ChartThresholdMetrics.Memory] = new() { Warning = 12000, Critical = 15000 },
+            [ChartThresholdMetrics.Blocked] = new() { Critical = 1 },
+            [ChartThresholdMetrics.BufferHitRatio] = new() { Warning = 98, Critical = 95 }
+        };
+
+        // Act
+        var error = ChartThresholdMetrics.Validate(thresholds);
+
+        // Assert
+        Assert.Null(error);
+    }
+
+    [Fact]
+    public void Validate_UnknownMetric_ReturnsError()
+    {
+        // Arrange
+        var thresholds = new Dictionary<string, ChartThreshold>
+        {
+            ["diskQueue"] = new() { Warning = 5 }
+        };
+
+        // Act
+        var error = ChartThresholdMetrics.Validate(thresholds);
+
+        // Assert
+        Assert.NotNull(error);
+        Assert.Contains("diskQueue", error);
+    }
+
+    [Fact]
+    public void Validate_NullThreshold_ReturnsError()
+    {
+        // Arrange - what {"chartThresholds":{"cpu":null}} deserializes to
+        var thresholds = new Dictionary<string, ChartThreshold>
+        {
+            [ChartThresholdMetrics.Cpu] = null!
+        };
+
+        // Act
+        var error = ChartThresholdMetrics.Validate(thresholds);
+
+        // Assert
+        Assert.NotNull(error);
+        Assert.Contains(ChartThresholdMetrics.Cpu, error);
+    }
+
+    [Theory]
+    [InlineData(-1)]
+    [InlineData(101)]
+    [InlineData(double.NaN)]
+    public void Validate_PercentageOutOfRange_ReturnsError(double level)
+    {
+        // Arrange
+        var thresholds = new Dictionary<string, ChartThreshold>
+        {
+            [ChartThresholdMetrics.Cpu] = new() { Warning = level }
+        };
+
+        // Act & Assert
+        Assert.NotNull(ChartThresholdMetrics.Validate(thresholds));
+    }
+
+    [Fact]
+    public void Validate_CriticalBelowWarning_ReturnsError()
+    {
+        // Arrange
+        var thresholds = new Dictionary<string, ChartThreshold>
+        {
+            [ChartThresholdMetrics.Cpu] = new() { Warning = 90, Critical = 80 }
+        };
+
+        // Act & Assert
+        Assert.NotNull(ChartThresholdMetrics.Validate(thresholds));
+    }
+
+    [Fact]
+    public void Validate_LowerIsWorseCriticalAboveWarning_ReturnsError()
+    {
+        // Arrange
+        var thresholds = new Dictionary<string, ChartThreshold>
+        {
+            [ChartThresholdMetrics.BufferHitRatio] = new() { Warning = 95, Critical = 98 }
+        };
+
+        // Act & Assert
+        Assert.NotNull(ChartThresholdMetrics.Validate(thresholds));
+    }
+}
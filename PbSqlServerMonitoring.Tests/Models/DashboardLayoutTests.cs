@@ -0,0 +1,95 @@
+using PbSqlServerMonitoring.Configuration;
+using PbSqlServerMonitoring.Models;
+
+namespace PbSqlServerMonitoring.Tests.Models;
+
+/// <summary>
+/// Unit tests for DashboardLayout validation
+/// </summary>
+public class DashboardLayoutTests
+{
+    [Fact]
+    public void Validate_ValidLayout_ReturnsNull()
+    {
+        // Arrange
+        var widgets = new List<DashboardWidgetLayout>
+        {
+            new() { Id = "stat-cpu", Width = 1 },
+            new() { Id = "cpuChart", Width = 2 },
+            new() { Id = "topCpu", Width = MetricsConstants.DashboardColumns }
+        };
+
+        // Act
+        var error = DashboardLayout.Validate(widgets);
+
+        // Assert
+        Assert.Null(error);
+    }
+
+    [Fact]
+    public void Validate_EmptyLayout_ReturnsNull()
+    {
+        // Act & Assert
+        Assert.Null(DashboardLayout.Validate(new List<DashboardWidgetLayout>()));
+    }
+
+    [Theory]
+    [InlineData("")]
+    [InlineData("1chart")]
+    [InlineData("cpu chart")]
+    [InlineData("<script>")]
+    public void Validate_InvalidId_ReturnsError(string id)
+    {
+        // Arrange
+        var widgets = new List<DashboardWidgetLayout> { new() { Id = id, Width = 1 } };
+
+        // Act & Assert
+        Assert.NotNull(DashboardLayout.Validate(widgets));
+    }
+
+    [Theory]
+    [InlineData(0)]
+    [InlineData(MetricsConstants.DashboardColumns + 1)]
+    public void Validate_WidthOutOfRange_ReturnsError(int width)
+    {
+        // Arrange
+        var widgets = new List<DashboardWidgetLayout> { new() { Id = "cpuChart", Width = width } };
+
+        // Act
+        var error = DashboardLayout.Validate(widgets);
+
+        // Assert
+        Assert.NotNull(error);
+        Assert.Contains("cpuChart", error);
+    }
+
+    [Fact]
+    public void Validate_DuplicateWidget_ReturnsError()
+    {
+        // Arrange
+        var widgets = new List<DashboardWidgetLayout>
+        {
+            new() { Id = "cpuChart", Width = 2 },
+            new() { Id = "cpuChart", Width = 1 }
+        };
+
+        // Act
+        var error = DashboardLayout.Validate(widgets);
+
+        // Assert
+        Assert.NotNull(error);
+        Assert.Contains("more than once", error);
+    }
+
+    [Fact]
+    public void Validate_TooManyWidgets_ReturnsError()
+    {
+        // Arrange
+        var widgets = Enumerable.Range(0, MetricsConstants.MaxDashboardWidgets + 1)
+            .Select(i => new DashboardWidgetLayout { Id = $"widget-{i}", Width = 1 })
+            .ToList();
+
+        // Act & Assert
+        Assert.NotNull(DashboardLayout.Validate(widgets));
+    }
+}
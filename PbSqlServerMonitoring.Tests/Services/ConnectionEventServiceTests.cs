@@ -0,0 +1,105 @@
+using PbSqlServerMonitoring.Models;
+using PbSqlServerMonitoring.Services;
+
+namespace PbSqlServerMonitoring.Tests.Services;
+
+/// <summary>
+/// Unit tests for ConnectionEventService
+/// </summary>
+public class ConnectionEventServiceTests
+{
+    private const string ConnectionId = "test-connection-id";
+
+    private readonly ConnectionEventService _service = new();
+
+    #region Failure Tests
+
+    [Fact]
+    public void RecordFailure_RepeatedFailures_RecordsOnlyFirst()
+    {
+        // Act
+        _service.RecordFailure(ConnectionId, ConnectionEventSources.Collection, "Login failed");
+        _service.RecordFailure(ConnectionId, ConnectionEventSources.Collection, "Login failed");
+        _service.RecordFailure(ConnectionId, ConnectionEventSources.Collection, "Login failed");
+
+        // Assert
+        var events = _service.GetEvents(ConnectionId, DateTime.UtcNow.AddMinutes(-1));
+        var failure = Assert.Single(events);
+        Assert.Equal(ConnectionEventTypes.Failure, failure.Type);
+        Assert.Equal("Login failed", failure.Message);
+    }
+
+    [Fact]
+    public void RecordFailure_DifferentSources_TrackedSeparately()
+    {
+        // Act
+        _service.RecordFailure(ConnectionId, ConnectionEventSources.Collection, "Timeout");
+        _service.RecordFailure(ConnectionId, ConnectionEventSources.HealthCheck, "Timeout");
+
+        // Assert
+        Assert.Equal(2, _service.GetEvents(ConnectionId, DateTime.UtcNow.AddMinutes(-1)).Count);
+    }
+
+    #endregion
+
+    #region Recovery Tests
+
+    [Fact]
+    public void RecordSuccess_AfterFailure_RecordsRecovery()
+    {
+        // Arrange
+        _service.RecordFailure(ConnectionId, ConnectionEventSources.HealthCheck, "Timeout");
+
+        // Act
+        _service.RecordSuccess(ConnectionId, ConnectionEventSources.HealthCheck);
+        _service.RecordSuccess(ConnectionId, ConnectionEventSources.HealthCheck);
+
+        // Assert
+        var events = _service.GetEvents(ConnectionId, DateTime.UtcNow.AddMinutes(-1));
+        Assert.Equal(
+            new[] { ConnectionEventTypes.Failure, ConnectionEventTypes.Recovered },
+            events.Select(e => e.Type));
+    }
+
+    [Fact]
+    public void RecordSuccess_WithoutFailure_RecordsNothing()
+    {
+        // Act
+        _service.RecordSuccess(ConnectionId, ConnectionEventSources.Collection);
+
+        // Assert
+        Assert.Empty(_service.GetEvents(ConnectionId, DateTime.MinValue));
+    }
+
+    #endregion
+
+    #region Query Tests
+
+    [Fact]
+    public void GetEvents_OtherConnection_ReturnsEmpty()
+    {
+        // Arrange
+        _service.RecordFailure(ConnectionId, ConnectionEventSources.Collection, "Timeout");
+
+        // Act
+        var events = _service.GetEvents("other-connection-id", DateTime.MinValue);
+
+        // Assert
+        Assert.Empty(events);
+    }
+
+    [Fact]
+    public void GetEvents_OnlyReturnsEventsSinceCutoff()
+    {
+        // Arrange
+        _service.RecordFailure(ConnectionId, ConnectionEventSources.Collection, "Timeout");
+
+        // Act
+        var events = _service.GetEvents(ConnectionId, DateTime.UtcNow.AddMinutes(1));
+
+        // Assert
+        Assert.Empty(events);
+    }
+
+    #endregion
+}
@@ -0,0 +1,99 @@
+using Microsoft.Extensions.Logging;
+using Moq;
+using PbSqlServerMonitoring.Models;
+using PbSqlServerMonitoring.Services;
+
+namespace PbSqlServerMonitoring.Tests.Services;
+
+/// <summary>
+/// Unit tests for MetricsBroadcastService
+/// </summary>
+public class MetricsBroadcastServiceTests
+{
+    private readonly MetricsBroadcastService _service;
+
+    public MetricsBroadcastServiceTests()
+    {
+        _service = new MetricsBroadcastService(new Mock<ILogger<MetricsBroadcastService>>().Object);
+    }
+
+    private static MetricDataPoint CreateDataPoint(string connectionId = "test-connection-id", double cpu = 50.0)
+    {
+        return new MetricDataPoint
+        {
+            ConnectionId = connectionId,
+            ServerName = "TestServer",
+            DatabaseName = "TestDB",
+            Timestamp = DateTime.UtcNow,
+            CpuPercent = cpu
+        };
+    }
+
+    #region Publish Tests
+
+    [Fact]
+    public void Publish_DeliversToSubscribersOfSameConnection()
+    {
+        // Arrange
+        using var subscription = _service.Subscribe("test-connection-id");
+
+        // Act
+        _service.Publish(CreateDataPoint());
+
+        // Assert
+        Assert.True(subscription.Reader.TryRead(out var received));
+        Assert.Equal("test-connection-id", received!.ConnectionId);
+    }
+
+    [Fact]
+    public void Publish_IgnoresSubscribersOfOtherConnections()
+    {
+        // Arrange
+        using var subscription = _service.Subscribe("other-connection");
+
+        // Act
+        _service.Publish(CreateDataPoint());
+
+        // Assert
+        Assert.False(subscription.Reader.TryRead(out _));
+    }
+
+    [Fact]
+    public void Publish_SlowSubscriber_DropsOldestSnapshots()
+    {
+        // Arrange
+        using var subscription = _service.Subscribe("test-connection-id");
+
+        // Act
+        for (var i = 0; i < 100; i++)
+        {
+            _service.Publish(CreateDataPoint(cpu: i));
+        }
+
+        // Assert - newest snapshot is still delivered
+        MetricDataPoint? last = null;
+        while (subscription.Reader.TryRead(out var item)) last = item;
+        Assert.Equal(99, last!.CpuPercent);
+    }
+
+    #endregion
+
+    #region Subscription Tests
+
+    [Fact]
+    public void Dispose_RemovesSubscription()
+    {
+        // Arrange
+        var subscription = _service.Subscribe("test-connection-id");
+        Assert.Equal(1, _service.SubscriberCount);
+
+        // Act
+        subscription.Dispose();
+
+        // Assert
+        Assert.Equal(0, _service.SubscriberCount);
+        Assert.True(subscription.Reader.Completion.IsCompleted);
+    }
+
+    #endregion
+}
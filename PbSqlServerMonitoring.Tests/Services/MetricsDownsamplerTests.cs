@@ -0,0 +1,211 @@
+using PbSqlServerMonitoring.Models;
+using PbSqlServerMonitoring.Services;
+
+namespace PbSqlServerMonitoring.Tests.Services;
+
+/// <summary>
+/// Unit tests for MetricsDownsampler
+/// </summary>
+public class MetricsDownsamplerTests
+{
+    private static readonly DateTime Start = new(2026, 1, 1, 0, 0, 0, DateTimeKind.Utc);
+
+    private static List<MetricDataPoint> CreateSeries(int count, int intervalSeconds = 3)
+    {
+        return Enumerable.Range(0, count)
+            .Select(i => new MetricDataPoint
+            {
+                Timestamp = Start.AddSeconds(i * intervalSeconds),
+                CpuPercent = 10,
+                MemoryMb = 2048,
+                ActiveConnections = 20,
+                BlockedProcesses = 0,
+                BufferCacheHitRatio = 99
+            })
+            .ToList();
+    }
+
+    private static async IAsyncEnumerable<MetricDataPoint> Stream(IEnumerable<MetricDataPoint> points)
+    {
+        foreach (var point in points)
+        {
+            await Task.Yield();
+            yield return point;
+        }
+    }
+
+    #region Pass-through Tests
+
+    [Fact]
+    public void Downsample_FewerPointsThanTarget_ReturnsEveryPoint()
+    {
+        // Arrange
+        var points = CreateSeries(10);
+
+        // Act
+        var result = MetricsDownsampler.Downsample(points, 100);
+
+        // Assert
+        Assert.Equal(10, result.Count);
+        Assert.All(result, sample => Assert.Equal(1, sample.Samples));
+        Assert.Equal(points.Select(p => p.Timestamp), result.Select(s => s.Timestamp));
+    }
+
+    [Fact]
+    public void Downsample_EmptyInput_ReturnsEmptyList()
+    {
+        // Act
+        var result = MetricsDownsampler.Downsample(new List<MetricDataPoint>(), 100);
+
+        // Assert
+        Assert.Empty(result);
+    }
+
+    #endregion
+
+    #region Bucketing Tests
+
+    [Fact]
+    public void Downsample_MorePointsThanTarget_ReturnsAtMostTarget()
+    {
+        // Arrange
+        var points = CreateSeries(10_000);
+
+        // Act
+        var result = MetricsDownsampler.Downsample(points, 500);
+
+        // Assert
+        Assert.True(result.Count <= 500);
+        Assert.Equal(10_000, result.Sum(s => s.Samples));
+    }
+
+    [Fact]
+    public void Downsample_KeepsSpikesInEveryMetric()
+    {
+        // Arrange
+        var points = CreateSeries(10_000);
+        points[4321].CpuPercent = 97.5;
+        points[1234].BlockedProcesses = 6;
+        points[8765].BufferCacheHitRatio = 71;
+
+        // Act
+        var result = MetricsDownsampler.Downsample(points, 200);
+
+        // Assert
+        Assert.Equal(97.5, result.Max(s => s.Cpu));
+        Assert.Equal(6, result.Max(s => s.Blocked));
+        Assert.Equal(71, result.Min(s => s.BufferHitRatio));
+    }
+
+    [Fact]
+    public void Downsample_KeepsDipsAlongsideSpikes()
+    {
+        // Arrange - connections drop to zero while CPU spikes elsewhere
+        var points = CreateSeries(10_000);
+        points[2500].ActiveConnections = 0;
+        points[2600].ActiveConnections = 85;
+        points[7000].CpuPercent = 1;
+
+        // Act
+        var result = MetricsDownsampler.Downsample(points, 200);
+
+        // Assert
+        Assert.Equal(0, result.Min(s => s.Connections));
+        Assert.Equal(85, result.Max(s => s.Connections));
+        Assert.Equal(1, result.Min(s => s.Cpu));
+        Assert.Equal(10, result.Max(s => s.Cpu));
+    }
+
+    [Fact]
+    public void Downsample_KeepsExtremesInTheOrderTheyHappened()
+    {
+        // Arrange - a single bucket where CPU peaks before it bottoms out
+        var points = CreateSeries(100);
+        points[10].CpuPercent = 90;
+        points[80].CpuPercent = 2;
+
+        // Act
+        var result = MetricsDownsampler.Downsample(points, 2);
+
+        // Assert
+        Assert.Equal(2, result.Count);
+        Assert.Equal(new[] { 90.0, 2.0 }, result.Select(s => s.Cpu));
+        Assert.Equal(points[0].Timestamp, result[0].Timestamp);
+        Assert.Equal(points[^1].Timestamp, result[1].Timestamp);
+        Assert.Equal(100, result.Sum(s => s.Samples));
+    }
+
+    [Fact]
+    public void Downsample_TimestampsAreStrictlyAscending()
+    {
+        // Arrange
+        var points = CreateSeries(10_000);
+
+        // Act
+        var result = MetricsDownsampler.Downsample(points, 300);
+
+        // Assert
+        Assert.All(result.Zip(result.Skip(1)), pair => Assert.True(pair.First.Timestamp < pair.Second.Timestamp));
+    }
+
+    [Fact]
+    public void Downsample_CollectionGap_ProducesNoPointsInsideGap()
+    {
+        // Arrange - two hours of data with a one-hour outage in between
+        var points = CreateSeries(1200)
+            .Concat(CreateSeries(1200).Select(p =>
+            {
+                p.Timestamp = p.Timestamp.AddHours(2);
+                return p;
+            }))
+            .ToList();
+        var gapStart = Start.AddSeconds(1199 * 3);
+        var gapEnd = Start.AddHours(2);
+
+        // Act
+        var result = MetricsDownsampler.Downsample(points, 300);
+
+        // Assert
+        Assert.DoesNotContain(result, s => s.Timestamp > gapStart && s.Timestamp < gapEnd);
+    }
+
+    #endregion
+
+    #region Streaming Tests
+
+    [Fact]
+    public async Task DownsampleAsync_MatchesBucketingOverTheRequestedWindow()
+    {
+        // Arrange
+        var points = CreateSeries(10_000);
+        points[4321].CpuPercent = 97.5;
+        points[6000].ActiveConnections = 0;
+
+        // Act
+        var result = await MetricsDownsampler.DownsampleAsync(
+            Stream(points), Start, points[^1].Timestamp, 500);
+
+        // Assert
+        Assert.True(result.Count <= 500);
+        Assert.Equal(10_000, result.Sum(s => s.Samples));
+        Assert.Equal(97.5, result.Max(s => s.Cpu));
+        Assert.Equal(0, result.Min(s => s.Connections));
+    }
+
+    [Fact]
+    public async Task DownsampleAsync_SparseData_ReturnsEveryPoint()
+    {
+        // Arrange - ten points spread over a day
+        var points = CreateSeries(10, intervalSeconds: 8640);
+
+        // Act
+        var result = await MetricsDownsampler.DownsampleAsync(
+            Stream(points), Start, Start.AddDays(1), 500);
+
+        // Assert
+        Assert.Equal(points.Select(p => p.Timestamp), result.Select(s => s.Timestamp));
+        Assert.All(result, sample => Assert.Equal(1, sample.Samples));
+    }
+
+    #endregion
+}
@@ -0,0 +1,239 @@
+using Microsoft.AspNetCore.DataProtection;
+using Microsoft.AspNetCore.Hosting;
+using Microsoft.Extensions.Configuration;
+using Microsoft.Extensions.Logging;
+using Moq;
+using PbSqlServerMonitoring.Models;
+using PbSqlServerMonitoring.Services;
+
+namespace PbSqlServerMonitoring.Tests.Services;
+
+/// <summary>
+/// Unit tests for MetricsQueryService
+/// </summary>
+public class MetricsQueryServiceTests
+{
+    private const string ConnectionId = "0a1b2c3d4e5f6789";
+
+    private readonly Mock<IMetricsPersistenceService> _mockPersistence = new();
+    private readonly MetricsBufferService _bufferService;
+    private readonly MetricsQueryService _service;
+    private List<MetricDataPoint> _stored = new();
+
+    public MetricsQueryServiceTests()
+    {
+        var protection = new Mock<IDataProtectionProvider>();
+        protection.Setup(p => p.CreateProtector(It.IsAny<string>())).Returns(new Mock<IDataProtector>().Object);
+        var configuration = new Mock<IConfiguration>();
+        configuration
+            .Setup(c => c.GetSection(It.IsAny<string>()))
+            .Returns(new Mock<IConfigurationSection>().Object);
+
+        var connectionService = new ConnectionService(
+            protection.Object,
+            configuration.Object,
+            new Mock<IWebHostEnvironment>().Object,
+            new Mock<ILogger<ConnectionService>>().Object);
+
+        // The persistence mock behaves like the database over _stored
+        _mockPersistence
+            .Setup(p => p.GetMetricsByDateRangePagedAsync(
+                It.IsAny<DateTime>(), It.IsAny<DateTime>(), It.IsAny<string>(),
+                It.IsAny<int>(), It.IsAny<int>(), It.IsAny<bool>(), It.IsAny<bool>()))
+            .ReturnsAsync((DateTime from, DateTime to, string id, int skip, int take, bool blockedOnly, bool details) =>
+            {
+                var matches = StoredBetween(from, to);
+                return new PagedResult<MetricDataPoint>
+                {
+                    Items = matches.Skip(skip).Take(take).ToList(),
+                    Page = take == 0 ? 1 : skip / take + 1,
+                    PageSize = take,
+                    TotalCount = matches.Count,
+                    TotalPages = take == 0 ? 0 : (int)Math.Ceiling((double)matches.Count / take)
+                };
+            });
+        _mockPersistence
+            .Setup(p => p.GetLatestMetricTimestampAsync(It.IsAny<DateTime>(), It.IsAny<DateTime>(), It.IsAny<string>()))
+            .ReturnsAsync((DateTime from, DateTime to, string id) =>
+                StoredBetween(from, to).Select(p => (DateTime?)p.Timestamp).Max());
+        _mockPersistence
+            .Setup(p => p.StreamMetricsByDateRangeAsync(
+                It.IsAny<DateTime>(), It.IsAny<DateTime>(), It.IsAny<string>(), It.IsAny<CancellationToken>()))
+            .Returns((DateTime from, DateTime to, string id, CancellationToken token) =>
+                Stream(StoredBetween(from, to)));
+
+        _bufferService = new MetricsBufferService(new Mock<ILogger<MetricsBufferService>>().Object);
+        _service = new MetricsQueryService(
+            _bufferService,
+            _mockPersistence.Object,
+            connectionService,
+            new Mock<ILogger<MetricsQueryService>>().Object);
+    }
+
+    private List<MetricDataPoint> StoredBetween(DateTime from, DateTime to) =>
+        _stored.Where(p => p.Timestamp >= from && p.Timestamp <= to).OrderBy(p => p.Timestamp).ToList();
+
+    private static async IAsyncEnumerable<MetricDataPoint> Stream(IEnumerable<MetricDataPoint> points)
+    {
+        foreach (var point in points)
+        {
+            await Task.Yield();
+            yield return point;
+        }
+    }
+
+    private static MetricDataPoint CreateDataPoint(DateTime timestamp, double cpu = 25) => new()
+    {
+        ConnectionId = ConnectionId,
+        ServerName = "TestServer",
+        DatabaseName = "TestDB",
+        Timestamp = timestamp,
+        CpuPercent = cpu,
+        MemoryMb = 2048,
+        ActiveConnections = 20,
+        BufferCacheHitRatio = 99
+    };
+
+    private static DateTime Start => new(2026, 1, 15, 12, 0, 0, DateTimeKind.Utc);
+
+    /// <summary>
+    /// Puts a point in the recent buffer only, as after a successful save
+    /// </summary>
+    private void AddSavedToBuffer(MetricDataPoint point)
+    {
+        _bufferService.Enqueue(point);
+        _bufferService.DequeuePendingForSave();
+    }
+
+    #region GetMetricsSincePageAsync Tests
+
+    [Fact]
+    public async Task GetMetricsSincePageAsync_ExcludesPointAtSince()
+    {
+        // Arrange
+        var since = DateTime.UtcNow.AddSeconds(-30);
+        _stored = [CreateDataPoint(since.AddSeconds(-3)), CreateDataPoint(since)];
+        _bufferService.Enqueue(CreateDataPoint(since.AddSeconds(3)));
+
+        // Act
+        var result = await _service.GetMetricsSincePageAsync(since, 300, 1, 100, ConnectionId);
+
+        // Assert
+        var point = Assert.Single(result.Items);
+        Assert.Equal(since.AddSeconds(3), point.Timestamp);
+        Assert.Equal(1, result.TotalCount);
+    }
+
+    [Fact]
+    public async Task GetMetricsSincePageAsync_SinceBeforeWindow_ClampsToRange()
+    {
+        // Arrange - the caller last saw a point an hour ago but only shows 5 minutes
+        var now = DateTime.UtcNow;
+        var since = now.AddHours(-1);
+        _stored =
+        [
+            CreateDataPoint(now.AddMinutes(-30)),
+            CreateDataPoint(now.AddMinutes(-10)),
+            CreateDataPoint(now.AddMinutes(-4)),
+            CreateDataPoint(now.AddMinutes(-1))
+        ];
+
+        // Act
+        var result = await _service.GetMetricsSincePageAsync(since, 300, 1, 100, ConnectionId);
+
+        // Assert
+        Assert.Equal(
+            new[] { now.AddMinutes(-4), now.AddMinutes(-1) },
+            result.Items.Select(p => p.Timestamp));
+        _mockPersistence.Verify(p => p.GetMetricsByDateRangePagedAsync(
+            It.Is<DateTime>(from => from >= now.AddSeconds(-300)), It.IsAny<DateTime>(), ConnectionId,
+            It.IsAny<int>(), It.IsAny<int>(), It.IsAny<bool>(), It.IsAny<bool>()), Times.Once);
+    }
+
+    [Fact]
+    public async Task GetMetricsSincePageAsync_MergesBufferedPointsWithoutDuplicates()
+    {
+        // Arrange - two points are saved and still in the recent buffer,
+        // two more are waiting in both the recent buffer and the save queue
+        var now = DateTime.UtcNow;
+        var saved = new[] { CreateDataPoint(now.AddSeconds(-12)), CreateDataPoint(now.AddSeconds(-9)) };
+        _stored = saved.ToList();
+        foreach (var point in saved) AddSavedToBuffer(point);
+        _bufferService.Enqueue(CreateDataPoint(now.AddSeconds(-6)));
+        _bufferService.Enqueue(CreateDataPoint(now.AddSeconds(-3)));
+
+        // Act
+        var result = await _service.GetMetricsSincePageAsync(now.AddSeconds(-15), 300, 1, 100, ConnectionId);
+
+        // Assert
+        Assert.Equal(
+            new[] { now.AddSeconds(-12), now.AddSeconds(-9), now.AddSeconds(-6), now.AddSeconds(-3) },
+            result.Items.Select(p => p.Timestamp));
+        Assert.Equal(4, result.TotalCount);
+    }
+
+    [Fact]
+    public async Task GetMetricsSincePageAsync_PagesAcrossStoredAndBufferedPoints()
+    {
+        // Arrange
+        var now = DateTime.UtcNow;
+        _stored = [CreateDataPoint(now.AddSeconds(-12)), CreateDataPoint(now.AddSeconds(-9))];
+        _bufferService.Enqueue(CreateDataPoint(now.AddSeconds(-6)));
+        _bufferService.Enqueue(CreateDataPoint(now.AddSeconds(-3)));
+
+        // Act
+        var second = await _service.GetMetricsSincePageAsync(now.AddSeconds(-15), 300, 2, 3, ConnectionId);
+
+        // Assert
+        Assert.Equal(now.AddSeconds(-3), Assert.Single(second.Items).Timestamp);
+        Assert.Equal(4, second.TotalCount);
+        Assert.Equal(2, second.TotalPages);
+    }
+
+    #endregion
+
+    #region GetBaselineAsync Tests
+
+    [Fact]
+    public async Task GetBaselineAsync_ShiftsEarlierWindowOntoCurrentWindow()
+    {
+        // Arrange - one point in yesterday's window, one either side of it,
+        // and one in today's window that must not be picked up
+        var offset = TimeSpan.FromDays(1);
+        _stored =
+        [
+            CreateDataPoint(Start - offset - TimeSpan.FromMinutes(10), cpu: 5),
+            CreateDataPoint(Start - offset + TimeSpan.FromMinutes(10), cpu: 40),
+            CreateDataPoint(Start - offset + TimeSpan.FromMinutes(70), cpu: 5),
+            CreateDataPoint(Start + TimeSpan.FromMinutes(10), cpu: 90)
+        ];
+
+        // Act
+        var result = await _service.GetBaselineAsync(Start, Start.AddHours(1), offset, 100, ConnectionId);
+
+        // Assert
+        var sample = Assert.Single(result);
+        Assert.Equal(Start.AddMinutes(10), sample.Timestamp);
+        Assert.Equal(40, sample.Cpu);
+    }
+
+    [Fact]
+    public async Task GetBaselineAsync_RespectsMaxPoints()
+    {
+        // Arrange - an hour of 1.2 second samples, a week earlier
+        var offset = TimeSpan.FromDays(7);
+        _stored = Enumerable.Range(0, 3000)
+            .Select(i => CreateDataPoint(Start - offset + TimeSpan.FromMilliseconds(i * 1200), cpu: i % 100))
+            .ToList();
+
+        // Act
+        var result = await _service.GetBaselineAsync(Start, Start.AddHours(1), offset, 100, ConnectionId);
+
+        // Assert
+        Assert.InRange(result.Count, 1, 100);
+        Assert.Equal(3000, result.Sum(s => s.Samples));
+        Assert.All(result, s => Assert.InRange(s.Timestamp, Start, Start.AddHours(1)));
+    }
+
+    #endregion
+}
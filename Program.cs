@@ -59,14 +59,53 @@ builder.Services.AddIdentity<ApplicationUser, IdentityRole>(options =>
 .AddEntityFrameworkStores<MonitorDbContext>()
 .AddDefaultTokenProviders();
 
+// API calls get status codes instead of a redirect to a login page,
+// so the frontend can tell an expired session from other failures
+builder.Services.ConfigureApplicationCookie(options =>
+{
+    options.Events.OnRedirectToLogin = context =>
+    {
+        if (context.Request.Path.StartsWithSegments("/api"))
+        {
+            context.Response.StatusCode = StatusCodes.Status401Unauthorized;
+            return Task.CompletedTask;
+        }
+        context.Response.Redirect(context.RedirectUri);
+        return Task.CompletedTask;
+    };
+    options.Events.OnRedirectToAccessDenied = context =>
+    {
+        if (context.Request.Path.StartsWithSegments("/api"))
+        {
+            context.Response.StatusCode = StatusCodes.Status403Forbidden;
+            return Task.CompletedTask;
+        }
+        context.Response.Redirect(context.RedirectUri);
+        return Task.CompletedTask;
+    };
+});
+
+// Scripts and the CLI (tools/pbmon.js) authenticate with X-API-Key; browsers use the Identity cookie.
+// API keys are only honoured when Security:EnableAuthentication is on, otherwise the
+// handler's "authentication disabled" mode would let any header bypass the login.
+const string CookieOrApiKeyScheme = "CookieOrApiKey";
+var apiKeyAuthEnabled = builder.Configuration.GetValue<bool>("Security:EnableAuthentication", false);
+
 var authBuilder = builder.Services.AddAuthentication(options =>
 {
     // Default to cookies for web browser requests
-    options.DefaultAuthenticateScheme = IdentityConstants.ApplicationScheme;
+    options.DefaultAuthenticateScheme = CookieOrApiKeyScheme;
     options.DefaultSignInScheme = IdentityConstants.ApplicationScheme;
-    options.DefaultChallengeScheme = IdentityConstants.ApplicationScheme;
+    options.DefaultChallengeScheme = CookieOrApiKeyScheme;
 })
-    .AddApiKeyAuthentication();
+    .AddApiKeyAuthentication()
+    .AddPolicyScheme(CookieOrApiKeyScheme, "Cookie or API key", options =>
+    {
+        options.ForwardDefaultSelector = context =>
+            apiKeyAuthEnabled && context.Request.Headers.ContainsKey("X-API-Key")
+                ? ApiKeyAuthenticationExtensions.SchemeName
+                : IdentityConstants.ApplicationScheme;
+    });
 
 // Only add Google OAuth if credentials are configured
 var googleClientId = builder.Configuration["Authentication:Google:ClientId"];
@@ -82,7 +121,7 @@ if (!string.IsNullOrEmpty(googleClientId) && !string.IsNullOrEmpty(googleClientS
     });
 }
 
-builder.Services.AddAuthorization();
+builder.Services.AddAuthorization(options => options.AddApiKeyClientPolicy());
 
 // Configure token lifetimes (e.g., password reset links)
 var resetTokenMinutes = builder.Configuration.GetValue<int?>("PasswordReset:TokenLifetimeMinutes") ?? 5;
@@ -170,6 +209,9 @@ builder.Services.AddSingleton<IMetricsPersistenceService, SqlPersistenceService>
 // Register buffer management and query services
 builder.Services.AddSingleton<MetricsBufferService>();
 builder.Services.AddSingleton<MetricsQueryService>();
+builder.Services.AddSingleton<MetricsBroadcastService>();
+builder.Services.AddSingleton<ConnectionEventService>();
+builder.Services.AddSingleton<AnnotationService>();
 builder.Services.AddSingleton<UserPreferencesService>();
 
 // Register multi-connection service for managing multiple SQL Server connections
@@ -1,4 +1,5 @@
 using Microsoft.AspNetCore.Authentication;
+using Microsoft.AspNetCore.Authorization;
 using Microsoft.Extensions.Options;
 using System.Security.Claims;
 using System.Security.Cryptography;
@@ -116,6 +117,26 @@ public static class ApiKeyAuthenticationExtensions
 {
     public const string SchemeName = "ApiKey";
 
+    /// <summary>
+    /// Policy for endpoints meant for automation (e.g. CI posting deployment
+    /// markers): the caller must present a valid API key. The development
+    /// bypass still applies, but "authentication disabled" does not let
+    /// anonymous callers through.
+    /// </summary>
+    public const string ClientPolicyName = "ApiKeyClient";
+
+    /// <summary>
+    /// Registers <see cref="ClientPolicyName"/>.
+    /// </summary>
+    public static AuthorizationOptions AddApiKeyClientPolicy(this AuthorizationOptions options)
+    {
+        options.AddPolicy(ClientPolicyName, policy => policy
+            .AddAuthenticationSchemes(SchemeName)
+            .RequireAuthenticatedUser()
+            .RequireClaim(ClaimTypes.Name, "ApiKeyUser", "Developer"));
+        return options;
+    }
+
     public static AuthenticationBuilder AddApiKeyAuthentication(
         this AuthenticationBuilder builder,
         Action<ApiKeyAuthenticationOptions>? configureOptions = null)
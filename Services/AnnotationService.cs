@@ -0,0 +1,57 @@
+using Microsoft.EntityFrameworkCore;
+using PbSqlServerMonitoring.Data;
+using PbSqlServerMonitoring.Models;
+
+namespace PbSqlServerMonitoring.Services;
+
+/// <summary>
+/// Stores deployment and configuration change markers that are drawn on the
+/// charts of a connection. Old markers are removed with the metrics retention
+/// (see SqlPersistenceService).
+/// </summary>
+public sealed class AnnotationService
+{
+    /// <summary>Upper bound on markers returned for one window</summary>
+    private const int MaxAnnotationsPerWindow = 1000;
+
+    private readonly IServiceScopeFactory _scopeFactory;
+    private readonly ILogger<AnnotationService> _logger;
+
+    public AnnotationService(IServiceScopeFactory scopeFactory, ILogger<AnnotationService> logger)
+    {
+        _scopeFactory = scopeFactory;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Saves a new annotation and returns it with its generated id.
+    /// </summary>
+    public async Task<ChartAnnotationEntity> AddAsync(ChartAnnotationEntity annotation, CancellationToken cancellationToken = default)
+    {
+        using var scope = _scopeFactory.CreateScope();
+        var context = scope.ServiceProvider.GetRequiredService<MonitorDbContext>();
+
+        context.ChartAnnotations.Add(annotation);
+        await context.SaveChangesAsync(cancellationToken);
+
+        _logger.LogInformation("Added {Kind} annotation '{Title}' for connection {ConnectionId}",
+            annotation.Kind, annotation.Title, annotation.ConnectionId);
+        return annotation;
+    }
+
+    /// <summary>
+    /// Annotations for a connection between two UTC times, oldest first.
+    /// </summary>
+    public async Task<List<ChartAnnotationEntity>> GetAsync(string connectionId, DateTime fromUtc, DateTime toUtc, CancellationToken cancellationToken = default)
+    {
+        using var scope = _scopeFactory.CreateScope();
+        var context = scope.ServiceProvider.GetRequiredService<MonitorDbContext>();
+
+        return await context.ChartAnnotations
+            .AsNoTracking()
+            .Where(a => a.ConnectionId == connectionId && a.Timestamp >= fromUtc && a.Timestamp <= toUtc)
+            .OrderBy(a => a.Timestamp)
+            .Take(MaxAnnotationsPerWindow)
+            .ToListAsync(cancellationToken);
+    }
+}
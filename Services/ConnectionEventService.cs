@@ -0,0 +1,99 @@
+using System.Collections.Concurrent;
+using PbSqlServerMonitoring.Models;
+
+namespace PbSqlServerMonitoring.Services;
+
+/// <summary>
+/// Keeps a short in-memory log of connection problems per monitored connection,
+/// so dashboards can mark outages on their charts.
+/// 
+/// Only state changes are logged: the first failure of a source (metrics
+/// collection or the periodic health check) and its recovery, not every
+/// failing tick. The log does not survive a restart.
+/// </summary>
+public sealed class ConnectionEventService
+{
+    #region Constants
+    
+    /// <summary>Events kept per connection; the oldest are dropped first</summary>
+    private const int MaxEventsPerConnection = 500;
+    
+    #endregion
+
+    #region Fields
+    
+    private readonly ConcurrentDictionary<string, ConcurrentQueue<ConnectionEvent>> _events = new();
+    private readonly ConcurrentDictionary<(string ConnectionId, string Source), bool> _failing = new();
+    
+    #endregion
+
+    #region Public Methods
+    
+    /// <summary>
+    /// Records a failure for a connection, unless that source is already failing.
+    /// </summary>
+    public void RecordFailure(string connectionId, string source, string? message)
+    {
+        if (string.IsNullOrEmpty(connectionId)) return;
+
+        if (_failing.TryGetValue((connectionId, source), out var failing) && failing) return;
+        _failing[(connectionId, source)] = true;
+
+        Add(new ConnectionEvent
+        {
+            Timestamp = DateTime.UtcNow,
+            ConnectionId = connectionId,
+            Source = source,
+            Type = ConnectionEventTypes.Failure,
+            Message = message ?? "Unknown error"
+        });
+    }
+
+    /// <summary>
+    /// Records that a failing source works again; no-op if it was not failing.
+    /// </summary>
+    public void RecordSuccess(string connectionId, string source)
+    {
+        if (string.IsNullOrEmpty(connectionId)) return;
+
+        if (!_failing.TryUpdate((connectionId, source), false, true)) return;
+
+        Add(new ConnectionEvent
+        {
+            Timestamp = DateTime.UtcNow,
+            ConnectionId = connectionId,
+            Source = source,
+            Type = ConnectionEventTypes.Recovered,
+            Message = "Recovered"
+        });
+    }
+
+    /// <summary>
+    /// Events for a connection at or after <paramref name="sinceUtc"/>, oldest first.
+    /// </summary>
+    public IReadOnlyList<ConnectionEvent> GetEvents(string connectionId, DateTime sinceUtc)
+    {
+        if (string.IsNullOrEmpty(connectionId) || !_events.TryGetValue(connectionId, out var queue))
+        {
+            return [];
+        }
+
+        return queue.Where(e => e.Timestamp >= sinceUtc).OrderBy(e => e.Timestamp).ToList();
+    }
+    
+    #endregion
+
+    #region Private Methods
+    
+    private void Add(ConnectionEvent connectionEvent)
+    {
+        var queue = _events.GetOrAdd(connectionEvent.ConnectionId, _ => new ConcurrentQueue<ConnectionEvent>());
+        queue.Enqueue(connectionEvent);
+
+        while (queue.Count > MaxEventsPerConnection && queue.TryDequeue(out _))
+        {
+        }
+    }
+    
+    #endregion
+}
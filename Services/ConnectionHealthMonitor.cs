@@ -10,19 +10,23 @@ namespace PbSqlServerMonitoring.Services;
 /// - Tests all enabled connections every 60 seconds (configurable)
 /// - Updates connection status in real-time
 /// - Logs connection failures
+/// - Records failures and recoveries for chart annotations
 /// </summary>
 public sealed class ConnectionHealthMonitor : BackgroundService
 {
     private readonly MultiConnectionService _connectionService;
+    private readonly ConnectionEventService _eventService;
     private readonly ILogger<ConnectionHealthMonitor> _logger;
     private readonly TimeSpan _checkInterval;
 
     public ConnectionHealthMonitor(
         MultiConnectionService connectionService,
+        ConnectionEventService eventService,
         ILogger<ConnectionHealthMonitor> logger,
         IConfiguration configuration)
     {
         _connectionService = connectionService;
+        _eventService = eventService;
         _logger = logger;
         
         // Default 60 seconds, configurable via settings
@@ -92,10 +96,12 @@ public sealed class ConnectionHealthMonitor : BackgroundService
                 if (result.Success)
                 {
                     healthyCount++;
+                    _eventService.RecordSuccess(connection.Id, ConnectionEventSources.HealthCheck);
                 }
                 else
                 {
                     failedCount++;
+                    _eventService.RecordFailure(connection.Id, ConnectionEventSources.HealthCheck, result.Message);
                     _logger.LogWarning(
                         "Connection {Name} ({Server}) is unhealthy: {Error}",
                         connection.Name, connection.Server, result.Message);
@@ -108,6 +114,7 @@ public sealed class ConnectionHealthMonitor : BackgroundService
                     connection.Id, 
                     ConnectionStatus.Error, 
                     ex.Message);
+                _eventService.RecordFailure(connection.Id, ConnectionEventSources.HealthCheck, ex.Message);
                 
                 _logger.LogWarning(ex, 
                     "Failed to check connection {Name} ({Server})", 
@@ -15,4 +15,15 @@ public interface IMetricsPersistenceService
     Task<PagedResult<MetricDataPoint>> GetMetricsPagedAsync(int rangeSeconds, string connectionId, int skip, int take, bool blockedOnly = false, bool includeBlockingDetails = false);
 
     Task<PagedResult<MetricDataPoint>> GetMetricsByDateRangePagedAsync(DateTime from, DateTime to, string connectionId, int skip, int take, bool blockedOnly = false, bool includeBlockingDetails = false);
+
+    /// <summary>
+    /// Timestamp of the newest stored snapshot in a date range, or null when there is none.
+    /// </summary>
+    Task<DateTime?> GetLatestMetricTimestampAsync(DateTime from, DateTime to, string connectionId);
+
+    /// <summary>
+    /// Streams the metric values (no query or blocking details) stored for a date range,
+    /// ascending by timestamp, without loading the whole range into memory.
+    /// </summary>
+    IAsyncEnumerable<MetricDataPoint> StreamMetricsByDateRangeAsync(DateTime from, DateTime to, string connectionId, CancellationToken cancellationToken = default);
 }
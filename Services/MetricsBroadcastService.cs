@@ -0,0 +1,130 @@
+using System.Collections.Concurrent;
+using System.Threading.Channels;
+using PbSqlServerMonitoring.Models;
+
+namespace PbSqlServerMonitoring.Services;
+
+/// <summary>
+/// Fans out freshly collected metrics to live subscribers (SSE clients).
+/// MetricsCollectionService publishes every data point once; each open
+/// dashboard reads from its own bounded channel, so viewers no longer
+/// trigger their own DMV queries.
+/// </summary>
+public sealed class MetricsBroadcastService
+{
+    #region Constants
+
+    /// <summary>Snapshots buffered per subscriber before the oldest are dropped</summary>
+    private const int SubscriberBufferSize = 16;
+
+    #endregion
+
+    #region Fields
+
+    private readonly ConcurrentDictionary<Guid, Subscription> _subscriptions = new();
+    private readonly ILogger<MetricsBroadcastService> _logger;
+
+    #endregion
+
+    #region Constructor
+
+    public MetricsBroadcastService(ILogger<MetricsBroadcastService> logger)
+    {
+        _logger = logger ?? throw new ArgumentNullException(nameof(logger));
+    }
+
+    #endregion
+
+    #region Public Methods
+
+    /// <summary>Number of currently open subscriptions</summary>
+    public int SubscriberCount => _subscriptions.Count;
+
+    /// <summary>
+    /// Subscribes to data points for a single connection.
+    /// Dispose the subscription when the client disconnects.
+    /// </summary>
+    public Subscription Subscribe(string connectionId)
+    {
+        ArgumentException.ThrowIfNullOrWhiteSpace(connectionId);
+
+        var subscription = new Subscription(this, connectionId);
+        _subscriptions[subscription.Id] = subscription;
+
+        _logger.LogDebug("Metrics stream opened for {ConnectionId} ({Count} subscribers)",
+            connectionId, _subscriptions.Count);
+
+        return subscription;
+    }
+
+    /// <summary>
+    /// Delivers a data point to every subscriber of its connection.
+    /// Never blocks: slow subscribers lose their oldest snapshots.
+    /// </summary>
+    public void Publish(MetricDataPoint dataPoint)
+    {
+        ArgumentNullException.ThrowIfNull(dataPoint);
+
+        foreach (var subscription in _subscriptions.Values)
+        {
+            if (subscription.ConnectionId == dataPoint.ConnectionId)
+            {
+                subscription.Writer.TryWrite(dataPoint);
+            }
+        }
+    }
+
+    #endregion
+
+    #region Private Methods
+
+    private void Remove(Subscription subscription)
+    {
+        if (_subscriptions.TryRemove(subscription.Id, out _))
+        {
+            _logger.LogDebug("Metrics stream closed for {ConnectionId} ({Count} subscribers)",
+                subscription.ConnectionId, _subscriptions.Count);
+        }
+    }
+
+    #endregion
+
+    #region Nested Types
+
+    /// <summary>
+    /// A single client's view of the broadcast.
+    /// </summary>
+    public sealed class Subscription : IDisposable
+    {
+        private readonly MetricsBroadcastService _owner;
+        private readonly Channel<MetricDataPoint> _channel = Channel.CreateBounded<MetricDataPoint>(
+            new BoundedChannelOptions(SubscriberBufferSize)
+            {
+                FullMode = BoundedChannelFullMode.DropOldest,
+                SingleReader = true,
+                SingleWriter = false
+            });
+
+        internal Subscription(MetricsBroadcastService owner, string connectionId)
+        {
+            _owner = owner;
+            ConnectionId = connectionId;
+        }
+
+        public Guid Id { get; } = Guid.NewGuid();
+
+        public string ConnectionId { get; }
+
+        public ChannelReader<MetricDataPoint> Reader => _channel.Reader;
+
+        internal ChannelWriter<MetricDataPoint> Writer => _channel.Writer;
+
+        public void Dispose()
+        {
+            _channel.Writer.TryComplete();
+            _owner.Remove(this);
+        }
+    }
+
+    #endregion
+}
@@ -8,6 +8,7 @@ namespace PbSqlServerMonitoring.Services;
 /// Focused responsibility: Collect metrics at regular intervals.
 /// Buffer management delegated to MetricsBufferService.
 /// Query/retrieval delegated to MetricsQueryService.
+/// Live push to dashboards delegated to MetricsBroadcastService.
 /// 
 /// Architecture: Uses IBackgroundTaskQueue for proper async task management
 /// instead of fire-and-forget Task.Run patterns.
@@ -22,6 +23,8 @@ public sealed class MetricsCollectionService : IHostedService, IDisposable
     private readonly BlockingService _blockingService;
     private readonly QueryPerformanceService _queryService;
     private readonly MetricsBufferService _bufferService;
+    private readonly MetricsBroadcastService _broadcastService;
+    private readonly ConnectionEventService _eventService;
     private readonly IMetricsPersistenceService _persistenceService;
     private readonly IBackgroundTaskQueue _backgroundTaskQueue;
     private readonly ILogger<MetricsCollectionService> _logger;
@@ -44,6 +47,8 @@ public sealed class MetricsCollectionService : IHostedService, IDisposable
         BlockingService blockingService,
         QueryPerformanceService queryService,
         MetricsBufferService bufferService,
+        MetricsBroadcastService broadcastService,
+        ConnectionEventService eventService,
         IMetricsPersistenceService persistenceService,
         IBackgroundTaskQueue backgroundTaskQueue,
         ILogger<MetricsCollectionService> logger)
@@ -54,6 +59,8 @@ public sealed class MetricsCollectionService : IHostedService, IDisposable
         _blockingService = blockingService ?? throw new ArgumentNullException(nameof(blockingService));
         _queryService = queryService ?? throw new ArgumentNullException(nameof(queryService));
         _bufferService = bufferService ?? throw new ArgumentNullException(nameof(bufferService));
+        _broadcastService = broadcastService ?? throw new ArgumentNullException(nameof(broadcastService));
+        _eventService = eventService ?? throw new ArgumentNullException(nameof(eventService));
         _persistenceService = persistenceService ?? throw new ArgumentNullException(nameof(persistenceService));
         _backgroundTaskQueue = backgroundTaskQueue ?? throw new ArgumentNullException(nameof(backgroundTaskQueue));
         _logger = logger ?? throw new ArgumentNullException(nameof(logger));
@@ -172,12 +179,19 @@ public sealed class MetricsCollectionService : IHostedService, IDisposable
                             var dataPoint = CreateDataPoint(connection, health, topQueries, blockingSessions);
                             
                             _bufferService.Enqueue(dataPoint);
+                            _broadcastService.Publish(dataPoint);
+                            _eventService.RecordSuccess(connection.Id, ConnectionEventSources.Collection);
+                        }
+                        else
+                        {
+                            _eventService.RecordFailure(connection.Id, ConnectionEventSources.Collection, health.ErrorMessage);
                         }
                     }
                     catch (Exception innerEx)
                     {
                         _logger.LogWarning(innerEx, "Failed to collect metrics for connection {ConnectionName} ({Server})", 
                             connection.Name, connection.Server);
+                        _eventService.RecordFailure(connection.Id, ConnectionEventSources.Collection, innerEx.Message);
                     }
                 }, cancellationToken));
             }
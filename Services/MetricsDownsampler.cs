@@ -0,0 +1,182 @@
+using PbSqlServerMonitoring.Models;
+
+namespace PbSqlServerMonitoring.Services;
+
+/// <summary>
+/// Thins metric series for long chart ranges without losing spikes or dips.
+/// </summary>
+/// <remarks>
+/// Uses min/max bucketing rather than LTTB: LTTB picks one sample per bucket
+/// based on a single series, but every chart point here carries five metrics.
+/// Each time bucket instead becomes two points, at its first and last sample
+/// time, holding the lowest and highest value of every metric in the order
+/// they occurred. A short CPU spike and a sudden drop in connections both stay
+/// visible however far the chart is zoomed out, and lines still run forward in
+/// time. Empty buckets produce no point, which keeps collection gaps visible as well.
+/// </remarks>
+public static class MetricsDownsampler
+{
+    /// <summary>
+    /// Reduces <paramref name="points"/> (ascending by timestamp) to at most
+    /// <paramref name="maxPoints"/> samples.
+    /// </summary>
+    public static List<MetricSample> Downsample(IReadOnlyList<MetricDataPoint> points, int maxPoints)
+    {
+        if (points.Count <= maxPoints || maxPoints < 1)
+        {
+            return points.Select(ToSample).ToList();
+        }
+
+        var buckets = new BucketWriter(points[0].Timestamp, points[^1].Timestamp, maxPoints);
+        foreach (var point in points)
+        {
+            buckets.Add(point);
+        }
+
+        return buckets.Complete();
+    }
+
+    /// <summary>
+    /// Reduces a stream of points (ascending by timestamp, all within
+    /// <paramref name="fromUtc"/>..<paramref name="toUtc"/>) to at most
+    /// <paramref name="maxPoints"/> samples, holding one bucket in memory at a time.
+    /// </summary>
+    public static async Task<List<MetricSample>> DownsampleAsync(
+        IAsyncEnumerable<MetricDataPoint> points,
+        DateTime fromUtc,
+        DateTime toUtc,
+        int maxPoints,
+        CancellationToken cancellationToken = default)
+    {
+        var buckets = new BucketWriter(fromUtc, toUtc, Math.Max(1, maxPoints));
+        await foreach (var point in points.WithCancellation(cancellationToken))
+        {
+            buckets.Add(point);
+        }
+
+        return buckets.Complete();
+    }
+
+    private static MetricSample ToSample(MetricDataPoint point) => new()
+    {
+        Timestamp = point.Timestamp,
+        Cpu = point.CpuPercent,
+        Memory = point.MemoryMb,
+        Connections = point.ActiveConnections,
+        Blocked = point.BlockedProcesses,
+        BufferHitRatio = point.BufferCacheHitRatio
+    };
+
+    /// <summary>
+    /// Splits a time span into maxPoints / 2 buckets and writes two samples per bucket.
+    /// </summary>
+    private sealed class BucketWriter
+    {
+        private readonly long _startTicks;
+        private readonly long _bucketTicks;
+        private readonly List<MetricSample> _result;
+
+        private readonly Extremes[] _metrics = new Extremes[5];
+        private long _bucket = -1;
+        private int _count;
+        private MetricDataPoint? _first;
+        private DateTime _lastTimestamp;
+
+        public BucketWriter(DateTime start, DateTime end, int maxPoints)
+        {
+            var bucketCount = Math.Max(1, maxPoints / 2);
+            _startTicks = start.Ticks;
+            _bucketTicks = Math.Max(1, (end.Ticks - start.Ticks) / bucketCount + 1);
+            _result = new List<MetricSample>(Math.Min(maxPoints, 1024));
+        }
+
+        public void Add(MetricDataPoint point)
+        {
+            var bucket = (point.Timestamp.Ticks - _startTicks) / _bucketTicks;
+            if (_count > 0 && bucket != _bucket)
+            {
+                Flush();
+            }
+
+            if (_count == 0)
+            {
+                _bucket = bucket;
+                _first = point;
+            }
+
+            _metrics[0].Add(point.CpuPercent, _count);
+            _metrics[1].Add(point.MemoryMb, _count);
+            _metrics[2].Add(point.ActiveConnections, _count);
+            _metrics[3].Add(point.BlockedProcesses, _count);
+            _metrics[4].Add(point.BufferCacheHitRatio, _count);
+            _lastTimestamp = point.Timestamp;
+            _count++;
+        }
+
+        public List<MetricSample> Complete()
+        {
+            Flush();
+            return _result;
+        }
+
+        private void Flush()
+        {
+            if (_count == 0) return;
+
+            if (_count == 1)
+            {
+                _result.Add(ToSample(_first!));
+            }
+            else
+            {
+                // The first point takes whichever extreme happened first, so the
+                // line between the two follows the direction the metric moved
+                _result.Add(CreateSample(_first!.Timestamp, _count - _count / 2, earlier: true));
+                _result.Add(CreateSample(_lastTimestamp, _count / 2, earlier: false));
+            }
+
+            _count = 0;
+            _first = null;
+        }
+
+        private MetricSample CreateSample(DateTime timestamp, int samples, bool earlier) => new()
+        {
+            Timestamp = timestamp,
+            Cpu = _metrics[0].Pick(earlier),
+            Memory = (long)_metrics[1].Pick(earlier),
+            Connections = (int)_metrics[2].Pick(earlier),
+            Blocked = (int)_metrics[3].Pick(earlier),
+            BufferHitRatio = (long)_metrics[4].Pick(earlier),
+            Samples = samples
+        };
+    }
+
+    /// <summary>
+    /// Lowest and highest value of one metric in a bucket, with their positions.
+    /// </summary>
+    private struct Extremes
+    {
+        private double _min;
+        private double _max;
+        private int _minIndex;
+        private int _maxIndex;
+
+        public void Add(double value, int index)
+        {
+            if (index == 0 || value < _min)
+            {
+                _min = value;
+                _minIndex = index;
+            }
+
+            if (index == 0 || value > _max)
+            {
+                _max = value;
+                _maxIndex = index;
+            }
+        }
+
+        public readonly double Pick(bool earlier) =>
+            (_minIndex <= _maxIndex) == earlier ? _min : _max;
+    }
+}
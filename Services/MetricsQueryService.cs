@@ -84,7 +84,7 @@ public sealed class MetricsQueryService
 
         var dbPage = await _persistenceService.GetMetricsPagedAsync(rangeSeconds, connectionId, skip, pageSize, blockedOnly: false, includeBlockingDetails: false);
 
-        var extras = CollectExtras(connectionId, cutoff);
+        var extras = await CollectUnsavedAsync(connectionId, cutoff, DateTime.UtcNow);
         return MergePageWithExtras(dbPage, extras, skip, pageSize, page);
     }
 
@@ -102,28 +102,106 @@ public sealed class MetricsQueryService
 
         var dbPage = await _persistenceService.GetMetricsByDateRangePagedAsync(fromUtc, toUtc, connectionId, skip, pageSize, blockedOnly: false, includeBlockingDetails: false);
 
-        var extras = CollectExtras(connectionId, fromUtc);
-        return MergePageWithExtras(dbPage, extras.Where(e => e.Timestamp <= toUtc).ToList(), skip, pageSize, page);
+        var extras = await CollectUnsavedAsync(connectionId, fromUtc, toUtc);
+        return MergePageWithExtras(dbPage, extras, skip, pageSize, page);
+    }
+
+    /// <summary>
+    /// Gets every metric in a custom date range reduced to at most
+    /// <paramref name="maxPoints"/> chart points (see <see cref="MetricsDownsampler"/>).
+    /// </summary>
+    /// <remarks>
+    /// Stored rows are streamed through the downsampler, so a week of snapshots
+    /// never has to fit in memory at once.
+    /// </remarks>
+    public async Task<List<MetricSample>> GetDownsampledMetricsByDateRangeAsync(DateTime fromUtc, DateTime toUtc, int maxPoints, string connectionId, CancellationToken cancellationToken = default)
+    {
+        if (string.IsNullOrEmpty(connectionId)) return [];
+
+        var extras = CollectExtras(connectionId, fromUtc).Where(e => e.Timestamp <= toUtc).ToList();
+        var stored = _persistenceService.StreamMetricsByDateRangeAsync(fromUtc, toUtc, connectionId, cancellationToken);
+
+        try
+        {
+            return await MetricsDownsampler.DownsampleAsync(AppendUnsaved(stored, extras), fromUtc, toUtc, maxPoints, cancellationToken);
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            _logger.LogError(ex, "Failed to load downsampled metrics for {ConnectionId}", connectionId);
+            return [];
+        }
+    }
+
+    /// <summary>
+    /// Gets the stored metrics of the window <paramref name="offset"/> before
+    /// <paramref name="fromUtc"/>..<paramref name="toUtc"/>, downsampled and shifted
+    /// forward by the offset so they line up with the current range on a chart.
+    /// </summary>
+    public async Task<List<MetricSample>> GetBaselineAsync(DateTime fromUtc, DateTime toUtc, TimeSpan offset, int maxPoints, string connectionId, CancellationToken cancellationToken = default)
+    {
+        if (string.IsNullOrEmpty(connectionId)) return [];
+
+        // Offsets are at least an hour, past the in-memory buffer, so read persisted snapshots only
+        var baselineFrom = fromUtc - offset;
+        var baselineTo = toUtc - offset;
+        var stored = _persistenceService.StreamMetricsByDateRangeAsync(baselineFrom, baselineTo, connectionId, cancellationToken);
+
+        List<MetricSample> samples;
+        try
+        {
+            samples = await MetricsDownsampler.DownsampleAsync(stored, baselineFrom, baselineTo, maxPoints, cancellationToken);
+        }
+        catch (Exception ex) when (ex is not OperationCanceledException)
+        {
+            _logger.LogError(ex, "Failed to load baseline metrics for {ConnectionId}", connectionId);
+            return [];
+        }
+
+        samples.ForEach(sample => sample.Timestamp += offset);
+        return samples;
+    }
+
+    /// <summary>
+    /// Gets metrics newer than <paramref name="sinceUtc"/> inside the rolling window,
+    /// so charts can append new points instead of reloading the whole range.
+    /// </summary>
+    public Task<PagedResult<MetricDataPoint>> GetMetricsSincePageAsync(DateTime sinceUtc, int rangeSeconds, int page, int pageSize, string connectionId)
+    {
+        var nowUtc = DateTime.UtcNow;
+        var windowStartUtc = nowUtc.AddSeconds(-rangeSeconds);
+
+        // "since" is exclusive: the caller already has the point at that instant
+        var fromUtc = sinceUtc >= windowStartUtc ? sinceUtc.AddTicks(1) : windowStartUtc;
+        return GetMetricsByDateRangePageAsync(fromUtc, nowUtc, page, pageSize, connectionId);
     }
 
     /// <summary>
     /// Gets query history summary with aggregation.
     /// </summary>
-    public async Task<List<QueryPerformance>> GetQueryHistorySummaryAsync(double hours, string connectionId, string sortBy = "cpu")
+    public Task<List<QueryPerformance>> GetQueryHistorySummaryAsync(double hours, string connectionId, string sortBy = "cpu")
+    {
+        var toUtc = DateTime.UtcNow;
+        return GetQueryHistorySummaryAsync(toUtc.AddSeconds(-(int)(hours * 3600)), toUtc, connectionId, sortBy);
+    }
+
+    /// <summary>
+    /// Gets query history summary for queries last executed between two UTC times
+    /// (used when a chart selection narrows the view to an incident window).
+    /// </summary>
+    public async Task<List<QueryPerformance>> GetQueryHistorySummaryAsync(DateTime fromUtc, DateTime toUtc, string connectionId, string sortBy = "cpu")
     {
-        var range = (int)(hours * 3600);
-        
         if (string.IsNullOrEmpty(connectionId)) return new List<QueryPerformance>();
         
+        // Persistence filters by "last N seconds", so load from the start of the window
+        var range = (int)Math.Ceiling((DateTime.UtcNow - fromUtc).TotalSeconds);
         var queries = await _persistenceService.GetQueryHistoryAsync(range, connectionId);
         
-        var cutoffUtc = DateTime.UtcNow.AddSeconds(-range);
-        queries = queries.Where(q => q.LastExecutionTime >= cutoffUtc).ToList();
+        queries = queries.Where(q => q.LastExecutionTime >= fromUtc && q.LastExecutionTime <= toUtc).ToList();
         
         // Also get recent in-memory data
         var memRecent = _bufferService.GetRecentDataPoints(connectionId)
             .SelectMany(dp => dp.TopQueries)
-            .Where(q => q.LastExecutionTime >= cutoffUtc)
+            .Where(q => q.LastExecutionTime >= fromUtc && q.LastExecutionTime <= toUtc)
             .ToList();
             
         queries.AddRange(memRecent);
@@ -197,7 +275,7 @@ public sealed class MetricsQueryService
 
         var dbPage = await _persistenceService.GetMetricsPagedAsync(rangeSeconds, connectionId, skip, pageSize, blockedOnly: true, includeBlockingDetails: true);
 
-        var extras = CollectExtras(connectionId, cutoff)
+        var extras = (await CollectUnsavedAsync(connectionId, cutoff, DateTime.UtcNow))
             .Where(m => m.BlockedProcesses > 0 || m.BlockedQueries.Count > 0)
             .ToList();
 
@@ -230,13 +308,49 @@ public sealed class MetricsQueryService
         var memRecent = _bufferService.GetRecentDataPoints(connectionId, cutoff).ToList();
         var pending = _bufferService.GetPendingDataPoints(connectionId, cutoff).ToList();
 
+        // A point sits in both queues until it is saved
         return memRecent
             .Concat(pending)
             .Where(p => p.Timestamp >= cutoff)
+            .DistinctBy(p => p.Timestamp)
             .OrderBy(p => p.Timestamp)
             .ToList();
     }
 
+    /// <summary>
+    /// Buffered points between two times that are not stored yet: the recent
+    /// buffer also keeps points already saved, so only those newer than the
+    /// last stored snapshot are added to a page.
+    /// </summary>
+    private async Task<List<MetricDataPoint>> CollectUnsavedAsync(string connectionId, DateTime fromUtc, DateTime toUtc)
+    {
+        var extras = CollectExtras(connectionId, fromUtc).Where(p => p.Timestamp <= toUtc).ToList();
+        if (extras.Count == 0) return extras;
+
+        var lastStored = await _persistenceService.GetLatestMetricTimestampAsync(fromUtc, toUtc, connectionId);
+        return lastStored.HasValue
+            ? extras.Where(p => p.Timestamp > lastStored.Value).ToList()
+            : extras;
+    }
+
+    /// <summary>
+    /// Yields the stored points, then the in-memory ones newer than the last stored point.
+    /// </summary>
+    private static async IAsyncEnumerable<MetricDataPoint> AppendUnsaved(IAsyncEnumerable<MetricDataPoint> stored, List<MetricDataPoint> extras)
+    {
+        var lastStored = DateTime.MinValue;
+        await foreach (var point in stored)
+        {
+            lastStored = point.Timestamp;
+            yield return point;
+        }
+
+        foreach (var point in extras.Where(p => p.Timestamp > lastStored))
+        {
+            yield return point;
+        }
+    }
+
     private PagedResult<MetricDataPoint> MergePageWithExtras(PagedResult<MetricDataPoint> dbPage, List<MetricDataPoint> extras, int skip, int pageSize, int page)
     {
         var totalCount = dbPage.TotalCount + extras.Count;
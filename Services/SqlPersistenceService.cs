@@ -1,3 +1,4 @@
+using System.Runtime.CompilerServices;
 using Microsoft.EntityFrameworkCore;
 using PbSqlServerMonitoring.Configuration;
 using PbSqlServerMonitoring.Data;
@@ -164,6 +165,56 @@ public sealed class SqlPersistenceService : IMetricsPersistenceService, IDisposa
         return await GetMetricsPagedInternalAsync(s => s.Timestamp >= from && s.Timestamp <= to, connectionId, skip, take, blockedOnly, includeBlockingDetails);
     }
 
+    public async Task<DateTime?> GetLatestMetricTimestampAsync(DateTime from, DateTime to, string connectionId)
+    {
+        using var scope = _scopeFactory.CreateScope();
+        var context = scope.ServiceProvider.GetRequiredService<MonitorDbContext>();
+
+        try
+        {
+            return await context.MetricSnapshots
+                .AsNoTracking()
+                .Where(s => s.ConnectionId == (connectionId ?? ""))
+                .Where(s => s.Timestamp >= from && s.Timestamp <= to)
+                .MaxAsync(s => (DateTime?)s.Timestamp);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to load latest metric timestamp via EF.");
+            return null;
+        }
+    }
+
+    public async IAsyncEnumerable<MetricDataPoint> StreamMetricsByDateRangeAsync(DateTime from, DateTime to, string connectionId, [EnumeratorCancellation] CancellationToken cancellationToken = default)
+    {
+        using var scope = _scopeFactory.CreateScope();
+        var context = scope.ServiceProvider.GetRequiredService<MonitorDbContext>();
+
+        var rows = context.MetricSnapshots
+            .AsNoTracking()
+            .Where(s => s.ConnectionId == (connectionId ?? ""))
+            .Where(s => s.Timestamp >= from && s.Timestamp <= to)
+            .OrderBy(s => s.Timestamp)
+            .Select(s => new MetricDataPoint
+            {
+                Timestamp = s.Timestamp,
+                ServerName = s.ServerName,
+                DatabaseName = s.DatabaseName,
+                CpuPercent = s.CpuPercent,
+                MemoryMb = (long)s.MemoryMb,
+                ActiveConnections = s.ActiveConnections,
+                BlockedProcesses = s.BlockedProcesses,
+                BufferCacheHitRatio = (long)s.BufferCacheHitRatio
+            })
+            .AsAsyncEnumerable()
+            .WithCancellation(cancellationToken);
+
+        await foreach (var point in rows)
+        {
+            yield return point;
+        }
+    }
+
     private async Task<List<MetricDataPoint>> GetMetricsInternalAsync(System.Linq.Expressions.Expression<Func<MetricSnapshotEntity, bool>> predicate, string connectionId)
     {
          using var scope = _scopeFactory.CreateScope();
@@ -403,6 +454,15 @@ public sealed class SqlPersistenceService : IMetricsPersistenceService, IDisposa
             {
                 _logger.LogInformation("Deleted {Count} expired metric snapshots (older than {Retention} days)", totalDeleted, _retentionDays);
             }
+
+            // Chart annotations follow the metrics they describe
+            var annotationsDeleted = await context.ChartAnnotations
+                .Where(a => a.Timestamp < cutoff)
+                .ExecuteDeleteAsync();
+            if (annotationsDeleted > 0)
+            {
+                _logger.LogInformation("Deleted {Count} expired chart annotations", annotationsDeleted);
+            }
         }
         catch (Exception ex)
         {
@@ -90,6 +90,19 @@ public sealed class UserPreferencesService : IDisposable
     /// </summary>
     public void SetActiveConnectionId(string userIdentifier, string? connectionId)
     {
+        UpdateUserPreferences(userIdentifier, prefs => prefs.ActiveConnectionId = connectionId);
+    }
+    
+    /// <summary>
+    /// Applies a change to a user's preferences and persists the result.
+    /// </summary>
+    public UserPreferences UpdateUserPreferences(string userIdentifier, Action<UserPreferences> update)
+    {
+        ArgumentNullException.ThrowIfNull(update);
+        
+        // Make sure stored preferences are loaded before modifying them
+        GetActiveConnectionId(userIdentifier);
+        
         UserPreferences prefs;
 
         // 1. Update Cache
@@ -106,7 +119,7 @@ public sealed class UserPreferencesService : IDisposable
                 prefs = cachedPrefs;
             }
             
-            prefs.ActiveConnectionId = connectionId;
+            update(prefs);
             prefs.LastUpdated = DateTime.UtcNow;
         }
         finally
@@ -117,7 +130,13 @@ public sealed class UserPreferencesService : IDisposable
         // 2. Persist to DB (Fire and forget style - or wait? Controller waits, so we should wait)
         // Since we are not async in this signature, we block. Ideally we should be Async.
         // For now, doing it synchronously.
+        PersistPreferences(userIdentifier, prefs);
         
+        return prefs;
+    }
+    
+    private void PersistPreferences(string userIdentifier, UserPreferences prefs)
+    {
         try
         {
             using var scope = _scopeFactory.CreateScope();
@@ -215,5 +234,21 @@ public sealed class UserPreferencesService : IDisposable
 public class UserPreferences
 {
     public string? ActiveConnectionId { get; set; }
+    
+    /// <summary>Dashboard auto-refresh interval; null uses the default</summary>
+    public int? RefreshIntervalSeconds { get; set; }
+    
+    /// <summary>True when the user paused auto-refresh</summary>
+    public bool RefreshPaused { get; set; }
+    
+    /// <summary>Threshold lines per chart series (see <see cref="ChartThresholdMetrics"/>)</summary>
+    public Dictionary<string, ChartThreshold>? ChartThresholds { get; set; }
+    
+    /// <summary>Dashboard widgets in display order; null uses the default layout</summary>
+    public List<DashboardWidgetLayout>? DashboardLayout { get; set; }
+    
+    /// <summary>Colour theme (see <see cref="ThemeNames"/>); null follows the system</summary>
+    public string? Theme { get; set; }
+    
     public DateTime LastUpdated { get; set; } = DateTime.UtcNow;
 }
@@ -0,0 +1,219 @@
+#!/usr/bin/env node
+/**
+ * PbSqlServerMonitoring command-line client.
+ * Reuses the dashboard's ApiClient to dump monitoring data for runbooks
+ * and cron checks. Needs Node 18+ and no packages.
+ *
+ * Usage: node tools/pbmon.js <command> [options]   (see --help)
+ */
+'use strict';
+
+const path = require('path');
+const { ApiClient } = require(path.join(__dirname, '..', 'wwwroot', 'modules', 'api-client.js'));
+
+const USAGE = `Usage: node tools/pbmon.js <command> [options]
+
+Commands:
+  health      Server health snapshot (exits 1 if the server is not connected)
+  running     Currently running queries
+  blocking    Active blocking sessions
+  history     Query history
+
+Options:
+  --url <url>           Monitor base URL        (env PB_MONITOR_URL, default http://localhost:5000)
+  --api-key <key>       API key (X-API-Key)     (env PB_MONITOR_API_KEY)
+  --connection <id>     SQL Server connection   (env PB_MONITOR_CONNECTION_ID)
+  --format <json|table> Output format           (default table)
+  --timeout <seconds>   Request timeout         (default 30)
+  --hours <n>           history: time window    (default 24)
+  --sort <cpu|io|elapsed>  history: ordering    (default cpu)
+  --top <n>             running/history: rows   (default 50)
+  -h, --help            Show this help`;
+
+/** Columns shown in table output: [header, field, max width] */
+const COLUMNS = {
+    running: [
+        ['Session', 'sessionId'],
+        ['Database', 'databaseName'],
+        ['Status', 'status'],
+        ['Command', 'command'],
+        ['Elapsed ms', 'elapsedTimeMs'],
+        ['CPU ms', 'cpuTimeMs'],
+        ['Reads', 'logicalReads'],
+        ['Wait', 'waitType'],
+        ['Host', 'hostName'],
+        ['Query', 'queryText', 60]
+    ],
+    blocking: [
+        ['Session', 'sessionId'],
+        ['Blocked by', 'blockingSessionId'],
+        ['Lead', 'isLeadBlocker'],
+        ['Status', 'status'],
+        ['Wait', 'waitType'],
+        ['Wait ms', 'waitTimeMs'],
+        ['Database', 'databaseName'],
+        ['Login', 'loginName'],
+        ['Query', 'queryText', 60]
+    ],
+    history: [
+        ['Database', 'databaseName'],
+        ['Executions', 'executionCount'],
+        ['Avg CPU ms', 'avgCpuTimeMs'],
+        ['Avg reads', 'avgLogicalReads'],
+        ['Avg elapsed ms', 'avgElapsedTimeMs'],
+        ['Last run', 'lastExecutionTime'],
+        ['Query', 'queryText', 60]
+    ]
+};
+
+const HEALTH_FIELDS = [
+    ['Server', 'serverName'],
+    ['Version', 'sqlServerVersion'],
+    ['Edition', 'edition'],
+    ['Connected', 'isConnected'],
+    ['Uptime', 'uptime'],
+    ['Active connections', 'activeConnections'],
+    ['Blocked processes', 'blockedProcesses'],
+    ['CPU %', 'cpuUsagePercent'],
+    ['Memory MB', 'memoryUsedMb'],
+    ['Buffer hit %', 'bufferCacheHitRatio'],
+    ['Error', 'errorMessage']
+];
+
+class UsageError extends Error {}
+
+function parseArgs(argv) {
+    const options = { _: [] };
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg.startsWith('--')) {
+            const [name, inline] = arg.slice(2).split('=', 2);
+            const value = inline !== undefined ? inline : argv[++i];
+            if (value === undefined) throw new UsageError(`Missing value for --${name}`);
+            options[name] = value;
+        } else {
+            options._.push(arg);
+        }
+    }
+    return options;
+}
+
+/**
+ * Whole number above zero from --<name>, or `fallback` when the option is not given
+ */
+function parsePositiveInt(options, name, fallback) {
+    const value = options[name];
+    if (value === undefined) return fallback;
+    if (!/^\d+$/.test(value) || parseInt(value, 10) < 1) {
+        throw new UsageError(`--${name} must be a positive whole number: ${value}`);
+    }
+    return parseInt(value, 10);
+}
+
+function formatValue(value, maxWidth) {
+    if (value === null || value === undefined) return '-';
+    let text = String(value).replace(/\s+/g, ' ').trim();
+    if (maxWidth && text.length > maxWidth) text = text.slice(0, maxWidth - 3) + '...';
+    return text;
+}
+
+function renderTable(rows, columns) {
+    if (rows.length === 0) return '(no rows)';
+
+    const cells = rows.map(row => columns.map(([, field, max]) => formatValue(row[field], max)));
+    const widths = columns.map(([header], c) => Math.max(header.length, ...cells.map(r => r[c].length)));
+    const line = values => values.map((v, c) => v.padEnd(widths[c])).join('  ').trimEnd();
+
+    return [
+        line(columns.map(([header]) => header)),
+        line(widths.map(w => '-'.repeat(w))),
+        ...cells.map(line)
+    ].join('\n');
+}
+
+function renderHealth(health) {
+    const width = Math.max(...HEALTH_FIELDS.map(([label]) => label.length));
+    return HEALTH_FIELDS
+        .map(([label, field]) => `${label.padEnd(width)}  ${formatValue(health[field])}`)
+        .join('\n');
+}
+
+async function run(command, options, client) {
+    const top = parsePositiveInt(options, 'top', 50);
+
+    switch (command) {
+        case 'health': {
+            const health = await client.getServerHealth();
+            return { data: health, table: renderHealth(health), exitCode: health.isConnected ? 0 : 1 };
+        }
+        case 'running': {
+            const result = await client.getRunningQueries(1, top);
+            const rows = result.items || result || [];
+            return { data: rows, table: renderTable(rows, COLUMNS.running) };
+        }
+        case 'blocking': {
+            const result = await client.getBlockingSessions();
+            const rows = result.items || result || [];
+            return { data: rows, table: renderTable(rows, COLUMNS.blocking) };
+        }
+        case 'history': {
+            const sortBy = options.sort || 'cpu';
+            if (!['cpu', 'io', 'elapsed'].includes(sortBy)) {
+                throw new UsageError(`Unknown --sort value: ${sortBy}`);
+            }
+            const result = await client.getQueryHistory(options.hours || 24, sortBy, 1, top);
+            const rows = result.items || result || [];
+            return { data: rows, table: renderTable(rows, COLUMNS.history) };
+        }
+        default:
+            throw new UsageError(command ? `Unknown command: ${command}` : 'No command given');
+    }
+}
+
+async function main() {
+    let options;
+    let timeoutSeconds;
+    try {
+        options = parseArgs(process.argv.slice(2));
+        timeoutSeconds = parsePositiveInt(options, 'timeout', 30);
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    if (options.help) {
+        console.log(USAGE);
+        return 0;
+    }
+
+    const format = options.format || 'table';
+    if (!['json', 'table'].includes(format)) {
+        console.error(`Unknown --format value: ${format}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const client = new ApiClient({
+        baseUrl: options.url || process.env.PB_MONITOR_URL || 'http://localhost:5000',
+        apiKey: options['api-key'] || process.env.PB_MONITOR_API_KEY || null,
+        connectionId: options.connection || process.env.PB_MONITOR_CONNECTION_ID || null,
+        timeoutMs: timeoutSeconds * 1000
+    });
+
+    try {
+        const { data, table, exitCode = 0 } = await run(options._[0], options, client);
+        console.log(format === 'json' ? JSON.stringify(data, null, 2) : table);
+        return exitCode;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            console.error(`${error.message}\n\n${USAGE}`);
+            return 2;
+        }
+        const status = error.status ? ` (HTTP ${error.status})` : '';
+        console.error(`Error${status}: ${error.message}`);
+        return 1;
+    }
+}
+
+main().then(code => { process.exitCode = code; });
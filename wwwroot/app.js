@@ -8,35 +8,55 @@ class SqlMonitorApp {
         this.currentSection = 'setup';
         this.currentQueryTab = 'cpu';
 
-        // Consolidated polling - single interval for all dashboard data
-        this.pollingInterval = null;
-        this.pollingDelay = 3000; // 3 seconds
-
-        // Chart instances (now managed by chartManager module)
-        this.connectionsChart = null;
-        this.memoryChart = null;
-
-        // Data cache and sort state (now delegated to tableManager module)
+        // Consolidated polling - one refresh cycle at a time, chained with setTimeout
+        this.pollingActive = false;
+        this.pollingTimer = null;
+        this.pollingDelay = 3000; // 3 seconds, user-selectable
+        this.refreshPaused = false;
+        this.consecutiveFailures = 0;
+        this.maxBackoffDelay = 300000; // Cap error backoff at 5 minutes
+        this.pollInFlight = false;
+        this.sessionExpired = false; // Login modal is open after a 401
+
+        // Live metrics stream (SSE); polling covers whatever it does not
+        this.metricsStream = null;
+        this.streamConnected = false;
+        this.streamRetryTimer = null;
+        this.streamRetryDelay = 30000; // Reopen a closed stream after 30 seconds
+        this.streamDetailDelay = 30000; // 'live' dashboard widgets the stream does not feed refresh this often while streaming
+        this.annotationSources = {}; // Chart markers by source, e.g. { blocking: [...], restart: [...] }
+        this.blockingMarkerCache = null; // Blocked samples behind the blocking markers: { from, fetchedAt, points }
+        this.serverStarts = []; // Server start times (ms) seen via uptime
+        this.lastAnnotationRefresh = 0;
+        this.annotationRefreshDelay = 30000; // Chart markers, baseline and the 1h-ago stat reference refresh every 30 seconds
+        this.chartPoints = [];
+        this.chartPointsRange = null; // Rolling range chartPoints was loaded for
+        this.chartMaxPoints = 20000; // Ceiling for paged history loads
+        this.focusRange = null; // Chart selection ({ from, to } ms) applied to query & blocking history
+        this.baselineOffset = 0; // Seconds back for the chart baseline overlay; 0 = off
+        this.chartThresholds = {}; // Saved threshold lines: { cpu: { warning, critical }, ... }
+        this.statCards = { connections: 'activeConnections', blocked: 'blockedProcesses', cpu: 'cpuUsage', memory: 'memoryUsage' }; // Series field -> value element
+        this.statSamples = []; // Recent stat card values ({ time, connections, ... }), newest last
+        this.statSampleLimit = 30; // Samples drawn in each sparkline
+        this.statSeedMaxAge = 300000; // Oldest chart point (ms) a sparkline may start from
+        this.hourAgoSample = null; // Stored metric point from about an hour ago, for the stat card deltas
+        this.blockingHistoryMaxPoints = 5000; // Most blocking history samples loaded into the history dialog
+
+        // Last rows loaded per table (grids and their sort state live in tableManager)
         this.dataCache = {};
         this.activeConnectionId = null; // Will be loaded from server
-        this.sortState = {
-            queriesTable: { col: null, dir: 'desc' },
-            topCpuTable: { col: null, dir: 'desc' },
-            runningTable: { col: null, dir: 'desc' },
-            indexesTable: { col: null, dir: 'desc' },
-            blockingTable: { col: null, dir: 'desc' },
-            blockingFullTable: { col: null, dir: 'desc' },
-            locksTable: { col: null, dir: 'desc' },
-            blockingHistoryTable: { col: 'time', dir: 'desc' }
-        };
 
         this.init();
     }
 
     async init() {
+        // Pick the transport before anything talks to the API
+        await this.initTransport();
+
         // Initialize Authentication FIRST (required for all API calls)
         this.authManager = new AuthManager(window.apiClient);
         window.authManager = this.authManager; // Make globally accessible
+        window.apiClient.setAuthHandler(() => this.reauthenticate());
         await this.authManager.init();
 
         // Initialize multi-connection manager (will load connections if authenticated)
@@ -45,7 +65,10 @@ class SqlMonitorApp {
         }
 
         this.bindEvents();
+        this.initTheme();
         this.initCharts();
+        this.initTables();
+        this.initDashboard();
 
         // Always hide connection menus initially - user must select a connection from Setup
         this.hideConnectionMenus();
@@ -54,6 +77,37 @@ class SqlMonitorApp {
         this.restoreState();
     }
 
+    /**
+     * ?demo replays fixtures/demo.json (or ?demo=name for fixtures/name.json)
+     * instead of calling the server; ?record captures real responses so they
+     * can be saved as a new fixture bundle.
+     */
+    async initTransport() {
+        const params = new URLSearchParams(window.location.search);
+        const banner = document.getElementById('transportBanner');
+        const bannerText = document.getElementById('transportBannerText');
+
+        if (params.has('demo')) {
+            const name = (params.get('demo') || 'demo').replace(/[^\w-]/g, '');
+            try {
+                window.apiClient.setTransport(await FixtureTransport.load(`fixtures/${name}.json`));
+                bannerText.textContent = `Demo mode: showing recorded data from fixtures/${name}.json. Nothing is sent to a server.`;
+                banner.style.display = '';
+            } catch (error) {
+                this.reportError('Demo mode unavailable', error);
+            }
+        } else if (params.has('record')) {
+            const recorder = new RecordingTransport(window.apiClient.transport);
+            window.apiClient.setTransport(recorder);
+
+            const downloadBtn = document.getElementById('downloadFixturesBtn');
+            downloadBtn.style.display = '';
+            downloadBtn.addEventListener('click', () => recorder.download('demo.json'));
+            bannerText.textContent = 'Recording mode: API responses are captured for replay with ?demo.';
+            banner.style.display = '';
+        }
+    }
+
     async restoreState() {
         // We need to wait for auth to be fully checked
         if (!this.authManager?.isAuthenticated) {
@@ -90,7 +144,7 @@ class SqlMonitorApp {
             this.loadAllData();
 
             // Start polling
-            if (!this.pollingInterval) {
+            if (!this.pollingActive) {
                 this.startConsolidatedPolling();
             }
         } else {
@@ -111,30 +165,28 @@ class SqlMonitorApp {
         }
 
         try {
-            const response = await fetch('/api/connections/active');
-            if (response.ok) {
-                const data = await response.json();
-                this.activeConnectionId = data.activeConnectionId;
-                // Note: We intentionally don't show menus here.
-                // User must explicitly click Connect on Setup page.
-            }
+            const data = await window.apiClient.getActiveConnection();
+            this.activeConnectionId = data.activeConnectionId;
+            window.apiClient.setConnectionId(this.activeConnectionId);
+            // Note: We intentionally don't show menus here.
+            // User must explicitly click Connect on Setup page.
         } catch (e) {
             console.error("Failed to load active connection", e);
         }
     }
 
     async setActiveConnection(connectionId) {
+        if (connectionId !== this.activeConnectionId) {
+            this.clearConnectionData();
+        }
         this.activeConnectionId = connectionId;
+        window.apiClient.setConnectionId(connectionId);
 
         // Save to server
         try {
-            await fetch('/api/connections/active', {
-                method: 'PUT',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ connectionId: connectionId })
-            });
+            await window.apiClient.setActiveConnection(connectionId);
         } catch (e) {
-            console.error("Failed to save active connection preference", e);
+            this.reportError('Failed to save active connection preference', e);
         }
 
         // Show menu items that require a connection
@@ -142,11 +194,43 @@ class SqlMonitorApp {
 
         // Navigate to dashboard and load data
         this.navigateTo('dashboard');
-        this.loadAllData();
+        this.loadAllData({ force: true });
 
-        if (!this.pollingInterval) {
-            this.startConsolidatedPolling();
-        }
+        // Restart so the metrics stream follows the new connection
+        this.stopPolling();
+        this.startConsolidatedPolling();
+    }
+
+    /**
+     * Forget everything rendered for the previous connection so its data
+     * cannot be mistaken for the newly selected server
+     */
+    clearConnectionData() {
+        this.dataCache = {};
+        this.chartPoints = [];
+        this.chartPointsRange = null;
+        this.updateChartNotice(null);
+        this.setFocusRange(null);
+        this.annotationSources = {};
+        this.blockingMarkerCache = null;
+        this.serverStarts = [];
+        this.renderAnnotations();
+        this.statSamples = [];
+        this.hourAgoSample = null;
+        this.renderStatTrends();
+        window.dashboardManager.resetRefreshTimes();
+
+        ['activeConnections', 'blockedProcesses', 'cpuUsage', 'memoryUsage',
+            'serverName', 'sqlVersion', 'edition', 'uptime', 'bufferHitRatio'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.textContent = '-';
+        });
+
+        document.querySelectorAll('.data-table tbody').forEach(tbody => {
+            tbody.innerHTML = '';
+        });
+
+        window.chartManager.clear();
     }
 
     showConnectionMenus() {
@@ -168,6 +252,7 @@ class SqlMonitorApp {
     clearActiveConnection() {
         // Clear the active connection
         this.activeConnectionId = null;
+        window.apiClient.setConnectionId(null);
 
         // Stop any ongoing polling
         this.stopPolling();
@@ -179,17 +264,22 @@ class SqlMonitorApp {
         this.navigateTo('setup');
     }
 
-    async fetchWithAuth(url, options = {}) {
-        if (!this.activeConnectionId) {
-            // Allow some endpoints if strictly necessary, but most monitoring needs ID.
-            throw new Error("No active connection selected");
-        }
+    /**
+     * Log an API failure and surface it to the user.
+     * Toasts are throttled so a polling loop against a failing server
+     * does not stack up notifications.
+     */
+    reportError(context, error) {
+        console.error(`${context}:`, error);
 
-        const headers = options.headers || {};
-        headers['X-Connection-Id'] = this.activeConnectionId;
-        options.headers = headers;
+        const message = error?.userMessage || error?.message || 'Unexpected error';
+        const now = Date.now();
+        if (this.lastToast && this.lastToast.message === message && now - this.lastToast.time < 30000) {
+            return;
+        }
+        this.lastToast = { message, time: now };
 
-        return fetch(url, options);
+        window.MultiConnectionManager?.showToast(`${context}: ${message}`, error?.kind === 'validation' ? 'warning' : 'error', 5000);
     }
 
     bindEvents() {
@@ -215,19 +305,63 @@ class SqlMonitorApp {
         });
 
         // Blocking History
-        document.getElementById('blockingHistoryBtn')?.addEventListener('click', () => {
-            this.showBlockingHistory();
-        });
         document.querySelector('.blocking-history-close')?.addEventListener('click', () => {
             document.getElementById('blockingHistoryModal').classList.remove('active');
         });
 
+        // Dashboard customization
+        document.getElementById('customizeDashboardBtn')?.addEventListener('click', () => {
+            this.setDashboardEditing(true);
+        });
+        document.getElementById('doneDashboardBtn')?.addEventListener('click', () => {
+            this.setDashboardEditing(false);
+        });
+        document.getElementById('resetDashboardBtn')?.addEventListener('click', () => {
+            window.dashboardManager.setLayout(window.dashboardManager.getDefaultLayout());
+        });
+        document.getElementById('addWidgetSelect')?.addEventListener('change', (e) => {
+            if (e.target.value) window.dashboardManager.add(e.target.value);
+            e.target.value = '';
+        });
+
+        // Chart thresholds
+        document.getElementById('chartThresholdsBtn')?.addEventListener('click', () => {
+            this.showThresholdsModal();
+        });
+        document.querySelectorAll('.chart-thresholds-close, #chartThresholdsModal .modal-overlay').forEach(el => {
+            el.addEventListener('click', () => document.getElementById('chartThresholdsModal').classList.remove('active'));
+        });
+        document.getElementById('clearChartThresholds')?.addEventListener('click', () => {
+            document.querySelectorAll('#chartThresholdsModal input[data-field]').forEach(input => input.value = '');
+        });
+        document.getElementById('saveChartThresholds')?.addEventListener('click', () => {
+            this.saveChartThresholds();
+        });
+
+        // Auto-refresh controls
+        document.getElementById('pauseRefreshBtn')?.addEventListener('click', () => {
+            this.setRefreshPaused(!this.refreshPaused);
+        });
+        document.getElementById('refreshIntervalSelect')?.addEventListener('change', (e) => {
+            this.setRefreshInterval(parseInt(e.target.value));
+        });
+
+        // Theme picker
+        document.getElementById('themeSelect')?.addEventListener('change', (e) => {
+            this.setTheme(e.target.value);
+        });
+
+        // Stop refreshing while the tab is in the background
+        document.addEventListener('visibilitychange', () => {
+            this.onVisibilityChange();
+        });
+
         // Refresh button
         document.getElementById('refreshBtn').addEventListener('click', async () => {
             const btn = document.getElementById('refreshBtn');
             btn.disabled = true;
             btn.classList.add('loading-btn');
-            await this.loadAllData();
+            await this.loadAllData({ force: true });
             btn.disabled = false;
             btn.classList.remove('loading-btn');
         });
@@ -327,6 +461,23 @@ class SqlMonitorApp {
             this.loadChartDataByRange();
         });
 
+        // Baseline overlay: same window 1 day, 7 days or a custom number of hours earlier
+        document.getElementById('chartBaseline')?.addEventListener('change', (e) => {
+            const custom = e.target.value === 'custom';
+            document.getElementById('baselineCustomInputs').style.display = custom ? '' : 'none';
+            this.setBaselineOffset(custom
+                ? document.getElementById('baselineOffsetHours').value * 3600
+                : parseInt(e.target.value) || 0);
+        });
+        document.getElementById('baselineOffsetHours')?.addEventListener('change', (e) => {
+            this.setBaselineOffset(e.target.value * 3600);
+        });
+
+        // Unticking stops filtering history by the last chart selection
+        document.getElementById('brushFilterHistory')?.addEventListener('change', (e) => {
+            if (!e.target.checked) this.setFocusRange(null);
+        });
+
         // Query time range selector (affects all tabs)
         document.getElementById('queryHistoryRange')?.addEventListener('change', () => {
             this.loadQueries(this.currentQueryTab);
@@ -344,14 +495,21 @@ class SqlMonitorApp {
     }
 
     navigateTo(section) {
+        // Leaving the dashboard while customizing it keeps (and saves) the changes
+        if (section !== 'dashboard') this.setDashboardEditing(false);
+
         this.currentSection = section;
 
+        // Drop responses still in flight for the previous section
+        window.apiClient.beginScope();
+
         // Save state
         sessionStorage.setItem('lastSection', section);
 
         // When navigating to Setup, clear the connection and stop polling
         if (section === 'setup') {
             this.activeConnectionId = null;
+            window.apiClient.setConnectionId(null);
             this.stopPolling();
             this.hideConnectionMenus();
         }
@@ -385,8 +543,7 @@ class SqlMonitorApp {
         // Fix for Chart.js rendering in hidden tabs
         if (section === 'dashboard') {
             setTimeout(() => {
-                if (this.connectionsChart) this.connectionsChart.resize();
-                if (this.memoryChart) this.memoryChart.resize();
+                window.chartManager.resize();
             }, 100);
         }
 
@@ -397,9 +554,7 @@ class SqlMonitorApp {
     loadSectionData(section) {
         switch (section) {
             case 'dashboard':
-                this.loadServerHealth();
-                this.loadChartData();
-                this.loadTopCpuQueries();
+                window.dashboardManager.refresh({ force: true });
                 break;
             case 'running':
                 this.loadRunningQueries();
@@ -435,23 +590,35 @@ class SqlMonitorApp {
         this.loadQueries(tab);
     }
 
-    async loadAllData() {
+    /**
+     * Refresh what the current view shows. Resolves to false when any of
+     * these loads failed, which is what polling backs off on.
+     */
+    async loadAllData({ force = false } = {}) {
         if (!this.activeConnectionId) return;
 
-        const tasks = [
-            this.loadServerHealth()
-        ];
-
-        // Always load dashboard widgets, but use appropriate view mode for blocking
-        tasks.push(this.loadTopCpuQueries());
+        // Dashboard widgets load whatever section is shown, each source at the
+        // cadence of the widgets using it. While the metrics stream is live it
+        // updates the stat cards and charts, so the rest only needs an occasional refresh.
+        const tasks = [window.dashboardManager.refresh({
+            force,
+            streaming: this.streamConnected,
+            streamDelay: this.streamDetailDelay
+        })];
 
         // Auto-refresh only: Dashboard + Running Queries
         // Other sections (Queries, Blocking, Locks, Indexes) are historical/on-demand
         if (this.currentSection === 'running') tasks.push(this.loadRunningQueries());
 
-        await Promise.all(tasks);
+        if (force || Date.now() - this.lastAnnotationRefresh >= this.annotationRefreshDelay) {
+            tasks.push(this.loadChartAnnotations(), this.loadChartBaseline(), this.loadHourAgoSample());
+        }
+
+        // Loaders resolve to false when they failed (and reported it)
+        const results = await Promise.all(tasks);
 
         this.updateLastRefreshTime();
+        return !results.flat().includes(false);
     }
 
     updateLastRefreshTime() {
@@ -459,156 +626,918 @@ class SqlMonitorApp {
         document.getElementById('lastUpdated').textContent = now.toLocaleTimeString();
     }
 
+    // ========== Dashboard Widgets ==========
+
+    /**
+     * Register the dashboard's data sources and widgets, then show the
+     * default layout until the user's saved one is loaded
+     */
+    initDashboard() {
+        const dashboard = window.dashboardManager;
+
+        // Health also drives the connection status, so it loads even without a widget
+        dashboard.registerSource('health', { load: () => this.loadServerHealth(), required: true });
+        dashboard.registerSource('metricsHistory', { load: () => this.loadChartData(), streamed: true });
+        dashboard.registerSource('topCpuQueries', { load: () => this.loadTopCpuQueries() });
+        dashboard.registerSource('blocking', { load: () => this.loadBlockingSessions() });
+
+        Object.entries({
+            connections: 'Active Connections',
+            blocked: 'Blocked Processes',
+            cpu: 'CPU Usage',
+            memory: 'Memory'
+        }).forEach(([field, title]) => dashboard.register({
+            id: `stat-${field}`,
+            title,
+            template: `widget-stat-${field}`,
+            source: 'health',
+            refresh: 'live',
+            width: 1,
+            maxWidth: 2,
+            render: () => this.renderStatCards()
+        }));
+
+        dashboard.register({
+            id: 'serverInfo',
+            title: 'Server Information',
+            template: 'widget-server-info',
+            source: 'health',
+            refresh: this.streamDetailDelay,
+            width: 4,
+            minWidth: 2
+        });
+
+        [
+            ['cpuChart', 'CPU Usage Chart', 'widget-cpu-chart'],
+            ['connectionsChart', 'Connections & Blocking Chart', 'widget-connections-chart'],
+            ['memoryChart', 'Memory Usage Chart', 'widget-memory-chart'],
+            ['bufferChart', 'Buffer Cache Hit Ratio Chart', 'widget-buffer-chart']
+        ].forEach(([id, title, template]) => dashboard.register({
+            id,
+            title,
+            template,
+            source: 'metricsHistory',
+            refresh: 'live',
+            width: 2,
+            render: () => this.mountChart(id),
+            dispose: () => this.unmountChart(id)
+        }));
+
+        dashboard.register({
+            id: 'topCpu',
+            title: 'Top CPU Consuming Queries',
+            template: 'widget-top-cpu',
+            source: 'topCpuQueries',
+            refresh: 'live',
+            width: 2,
+            render: element => element.querySelector('[data-nav]').addEventListener('click', (e) => {
+                e.preventDefault();
+                this.navigateTo('queries');
+            })
+        });
+
+        dashboard.register({
+            id: 'blocking',
+            title: 'Active Blocking Chains',
+            template: 'widget-blocking',
+            source: 'blocking',
+            refresh: 'live',
+            width: 2,
+            render: element => element.querySelector('#blockingHistoryBtn').addEventListener('click', () => {
+                this.showBlockingHistory();
+            })
+        });
+
+        // Widgets placed after data has loaded fetch their own right away
+        dashboard.onWidgetsAdded = widgets => {
+            if (!this.activeConnectionId) return;
+            new Set(widgets.map(widget => widget.source)).forEach(source => dashboard.loadSource(source));
+        };
+        dashboard.onLayoutChange = () => this.updateAddWidgetMenu();
+
+        const grid = document.getElementById('dashboardGrid');
+        dashboard.setLayout(dashboard.getDefaultLayout(), grid);
+        dashboard.enableDragging(grid);
+    }
+
+    /**
+     * Show the user's saved layout, or the default one when they have none
+     */
+    applyDashboardLayout(layout) {
+        const dashboard = window.dashboardManager;
+        dashboard.setLayout(layout || dashboard.getDefaultLayout());
+    }
+
+    setDashboardEditing(editing) {
+        const dashboard = window.dashboardManager;
+        if (editing === dashboard.editing) return;
+
+        dashboard.setEditing(editing);
+        document.getElementById('customizeDashboardBtn').style.display = editing ? 'none' : '';
+        document.getElementById('dashboardEditControls').style.display = editing ? '' : 'none';
+
+        if (!editing) this.saveDashboardLayout();
+    }
+
+    saveDashboardLayout() {
+        window.apiClient.updatePreferences({
+            dashboardLayout: window.dashboardManager.getLayout()
+        }).catch(e => this.reportError('Failed to save dashboard layout', e));
+    }
+
+    /**
+     * List the widgets that are not on the dashboard in the Add widget menu
+     */
+    updateAddWidgetMenu() {
+        const select = document.getElementById('addWidgetSelect');
+        if (!select) return;
+
+        const available = window.dashboardManager.getAvailableWidgets();
+        select.innerHTML = '<option value="">Add widget...</option>' + available
+            .map(widget => `<option value="${widget.id}">${this.escapeHtml(widget.title)}</option>`)
+            .join('');
+        select.disabled = available.length === 0;
+    }
+
+    /**
+     * Create a chart whose widget was just placed and draw the data already loaded
+     */
+    mountChart(name) {
+        window.chartManager.createChart(name);
+        this.updateChartControls();
+
+        if (document.getElementById('chartTimeRange')?.value === 'custom') {
+            if (this.activeConnectionId) this.loadChartDataByRange();
+            return;
+        }
+        if (this.chartPoints.length > 0) this.renderChartPoints(this.chartPoints);
+        if (this.baselineOffset) this.loadChartBaseline();
+    }
+
+    unmountChart(name) {
+        window.chartManager.destroyChart(name);
+        this.updateChartControls();
+    }
+
+    /**
+     * The time range, baseline and threshold controls only matter while a chart is shown
+     */
+    updateChartControls() {
+        const controls = document.getElementById('chartControls');
+        if (controls) controls.style.visibility = window.chartManager.getCharts().length ? '' : 'hidden';
+    }
+
     // ========== Performance Charts ==========
 
     initCharts() {
-        const chartOptions = {
-            responsive: true,
-            maintainAspectRatio: false,
-            animation: { duration: 300 },
-            scales: {
-                x: {
-                    type: 'category',
-                    grid: { color: 'rgba(255, 255, 255, 0.05)' },
-                    ticks: { color: '#9ca3af', maxTicksLimit: 8 }
-                },
-                y: {
-                    beginAtZero: true,
-                    grid: { color: 'rgba(255, 255, 255, 0.05)' },
-                    ticks: { color: '#9ca3af' }
-                }
-            },
-            plugins: {
-                legend: {
-                    labels: { color: '#9ca3af', usePointStyle: true }
-                }
-            }
+        window.chartManager.enableBrush(range => this.applyChartSelection(range));
+        window.chartManager.enableAnnotationClicks(annotation => this.openAnnotation(annotation));
+    }
+
+    /**
+     * Visible chart window in epoch ms
+     */
+    getChartWindow() {
+        const timeRange = document.getElementById('chartTimeRange')?.value || 60;
+        if (timeRange === 'custom') {
+            return {
+                from: new Date(document.getElementById('chartFromDate').value).getTime(),
+                to: new Date(document.getElementById('chartToDate').value).getTime()
+            };
+        }
+        const to = Date.now();
+        return { from: to - parseInt(timeRange) * 1000, to };
+    }
+
+    /**
+     * Refresh the blocking, connection outage and deployment markers for the
+     * visible window. Markers are secondary, so failures are only logged.
+     */
+    async loadChartAnnotations() {
+        this.lastAnnotationRefresh = Date.now();
+
+        const { from, to } = this.getChartWindow();
+        if (!Number.isFinite(from) || !Number.isFinite(to)) return;
+
+        // Both endpoints take a rolling window (max 2 days) ending now
+        const rangeSeconds = Math.min(172800, Math.max(3, Math.ceil((Date.now() - from) / 1000)));
+        const inWindow = item => {
+            const time = new Date(item.timestamp).getTime();
+            return time >= from && time <= to;
         };
 
-        // Connections & Blocking Chart
-        const connectionsCtx = document.getElementById('connectionsChart');
-        if (connectionsCtx) {
-            this.connectionsChart = new Chart(connectionsCtx, {
-                type: 'line',
-                data: {
-                    labels: [],
-                    datasets: [
-                        {
-                            label: 'Connections',
-                            data: [],
-                            borderColor: '#3b82f6',
-                            backgroundColor: 'rgba(59, 130, 246, 0.1)',
-                            tension: 0.3,
-                            fill: true
-                        },
-                        {
-                            label: 'Blocked',
-                            data: [],
-                            borderColor: '#ef4444',
-                            backgroundColor: 'rgba(239, 68, 68, 0.1)',
-                            tension: 0.3,
-                            fill: true
-                        }
+        // Each source loads on its own, so one failing does not hide the others
+        const sources = [
+            { name: 'blocking', label: 'Blocking', load: () => this.loadBlockingMarkerPoints(from, rangeSeconds),
+                build: points => this.buildBlockingAnnotations(points.filter(inWindow)) },
+            { name: 'connection', label: 'Connection event', load: () => window.apiClient.getConnectionEvents(rangeSeconds),
+                build: events => this.buildConnectionAnnotations((events || []).filter(inWindow)) },
+            { name: 'changes', label: 'Deployment', load: () => window.apiClient.getAnnotations(new Date(from).toISOString(), new Date(to).toISOString()),
+                build: changes => this.buildChangeAnnotations(changes || []) }
+        ];
+        const results = await Promise.allSettled(sources.map(source => source.load()));
+
+        // Cancelled means the connection changed; its markers must not be drawn
+        if (results.some(result => result.reason?.kind === 'cancelled')) return;
+
+        results.forEach((result, i) => {
+            const source = sources[i];
+            if (result.status === 'fulfilled') {
+                this.annotationSources[source.name] = source.build(result.value);
+            } else {
+                console.warn(`${source.label} markers unavailable:`, result.reason);
+            }
+        });
+
+        this.renderAnnotations();
+    }
+
+    /**
+     * Blocked samples from `from` onwards. The first load reads the whole
+     * window; later refreshes of the same or a later window only fetch what
+     * was recorded since the previous one, instead of every sample with its
+     * blocking details again.
+     */
+    async loadBlockingMarkerPoints(from, rangeSeconds) {
+        const cache = this.blockingMarkerCache;
+        const fetchedAt = Date.now();
+
+        // Overlap the previous fetch: samples reach the history a few seconds late
+        const sinceSeconds = cache ? Math.ceil((fetchedAt - cache.fetchedAt) / 1000) + 30 : Infinity;
+        const incremental = cache && from >= cache.from && sinceSeconds < rangeSeconds;
+
+        const result = await window.apiClient.getAllBlockingHistory(
+            incremental ? sinceSeconds : rangeSeconds, { maxItems: 5000 });
+
+        const byTime = new Map(incremental ? cache.points.map(point => [point.timestamp, point]) : []);
+        result.items.forEach(point => byTime.set(point.timestamp, point));
+        const points = [...byTime.values()]
+            .filter(point => new Date(point.timestamp).getTime() >= from)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+        this.blockingMarkerCache = { from, fetchedAt, points };
+        return points;
+    }
+
+    /**
+     * Group blocked samples into incidents: samples less than a minute apart
+     * belong to the same incident
+     */
+    buildBlockingAnnotations(points) {
+        const incidents = [];
+        let current = null;
+
+        points.forEach(point => {
+            const time = new Date(point.timestamp).getTime();
+            const blocked = (point.blockedQueries || []).filter(q => q.blockingSessionId);
+
+            if (!current || time - current.end > 60000) {
+                current = { time, end: time, maxBlocked: 0, maxWait: 0, leads: new Map() };
+                incidents.push(current);
+            }
+            current.end = time;
+            current.maxBlocked = Math.max(current.maxBlocked, blocked.length);
+            blocked.forEach(q => current.maxWait = Math.max(current.maxWait, q.waitTimeMs || 0));
+            (point.blockedQueries || []).filter(q => q.isLeadBlocker)
+                .forEach(q => current.leads.set(q.sessionId, q.queryTextPreview));
+        });
+
+        return incidents.map(incident => ({
+            time: incident.time,
+            end: incident.end,
+            kind: 'blocking',
+            label: `Blocking: ${incident.maxBlocked} session${incident.maxBlocked === 1 ? '' : 's'} blocked`,
+            details: [
+                `Lasted ${this.formatDuration(incident.end - incident.time)}, longest wait ${this.formatNumber(incident.maxWait)} ms`,
+                ...[...incident.leads].slice(0, 3).map(([id, text]) => `Lead blocker [${id}] ${this.truncateText(text, 60)}`),
+                'Click to open blocking history for this moment'
+            ]
+        }));
+    }
+
+    /**
+     * One marker per failure, spanning until the matching recovery
+     */
+    buildConnectionAnnotations(events) {
+        return events
+            .filter(event => event.type === 'failure')
+            .map(failure => {
+                const time = new Date(failure.timestamp).getTime();
+                const recovery = events.find(event => event.type === 'recovered'
+                    && event.source === failure.source
+                    && new Date(event.timestamp).getTime() >= time);
+                const end = recovery ? new Date(recovery.timestamp).getTime() : null;
+
+                return {
+                    time,
+                    end,
+                    kind: 'connection',
+                    label: failure.source === 'collection' ? 'Metrics collection failed' : 'Connection check failed',
+                    details: [
+                        this.truncateText(failure.message, 120),
+                        end ? `Recovered after ${this.formatDuration(end - time)}` : 'Not recovered yet',
+                        'Click to see queries around this moment'
                     ]
-                },
-                options: chartOptions
+                };
             });
+    }
+
+    /**
+     * Deployment and config change markers posted through /api/annotations
+     */
+    buildChangeAnnotations(annotations) {
+        return annotations.map(annotation => ({
+            time: new Date(annotation.timestamp).getTime(),
+            kind: annotation.kind,
+            label: `${annotation.kind === 'deployment' ? 'Deployment' : 'Config change'}: ${this.truncateText(annotation.title, 80)}`,
+            link: annotation.link || null,
+            details: [
+                annotation.createdBy ? `Posted by ${annotation.createdBy}` : null,
+                annotation.link ? `Click to open ${this.truncateText(annotation.link, 60)}` : 'Click to see queries around this moment'
+            ].filter(Boolean)
+        }));
+    }
+
+    /**
+     * Remember a server start time derived from uptime. A start inside the
+     * chart window, or a later uptime reset, becomes a restart marker.
+     */
+    recordServerStart(startedAt) {
+        // Uptime is sampled with some latency, so nearby values are the same start
+        if (this.serverStarts.some(time => Math.abs(time - startedAt) < 60000)) return;
+
+        this.serverStarts.push(startedAt);
+        this.annotationSources.restart = this.serverStarts.map(time => ({
+            time,
+            kind: 'restart',
+            label: 'SQL Server restarted',
+            details: ['Uptime was reset', 'Click to see queries around this moment']
+        }));
+        this.renderAnnotations();
+    }
+
+    renderAnnotations() {
+        window.chartManager.setAnnotations(Object.values(this.annotationSources).flat());
+    }
+
+    /**
+     * Open the section that explains a marker, narrowed to its time
+     */
+    openAnnotation(annotation) {
+        if (annotation.kind === 'blocking') {
+            this.navigateTo('blocking');
+            this.setFocusRange({ from: annotation.time - 30000, to: (annotation.end ?? annotation.time) + 30000 }, false);
+            this.showBlockingHistory();
+            return;
+        }
+
+        if (annotation.link) {
+            window.open(annotation.link, '_blank', 'noopener');
+            return;
+        }
+
+        // Queries that ran in the five minutes around the event
+        this.setFocusRange({ from: annotation.time - 300000, to: (annotation.end ?? annotation.time) + 300000 }, false);
+        this.navigateTo('queries');
+    }
+
+    /**
+     * Compare the charts with the same window `seconds` earlier (0 turns the
+     * overlay off). Offsets outside 1 hour - 1 year are ignored.
+     */
+    setBaselineOffset(seconds) {
+        seconds = Math.round(Number(seconds) || 0);
+        if (seconds !== 0 && (seconds < 3600 || seconds > 365 * 86400)) return;
+
+        this.baselineOffset = seconds;
+        this.loadChartBaseline();
+    }
+
+    /**
+     * Load the baseline overlay for the visible window. Refreshed with the
+     * markers, so a rolling window keeps its baseline up to date.
+     */
+    async loadChartBaseline() {
+        if (!this.baselineOffset) {
+            window.chartManager.setBaseline([]);
+            return;
+        }
+
+        const { from, to } = this.getChartWindow();
+        if (!Number.isFinite(from) || !Number.isFinite(to) || to <= from) return;
+
+        const offset = this.baselineOffset;
+        try {
+            const samples = await window.apiClient.getMetricsBaseline(
+                new Date(from).toISOString(), new Date(to).toISOString(),
+                offset, window.chartManager.getTargetPointCount());
+
+            // The offset may have changed while this request was in flight
+            if (offset !== this.baselineOffset) return;
+            window.chartManager.setBaseline(samples || [], this.formatBaselineLabel(offset));
+        } catch (error) {
+            if (error.kind === 'cancelled') return;
+            console.warn('Baseline unavailable:', error);
+        }
+    }
+
+    formatBaselineLabel(seconds) {
+        if (seconds % 86400 === 0) {
+            const days = seconds / 86400;
+            return `${days} day${days === 1 ? '' : 's'} earlier`;
+        }
+        const hours = Math.round(seconds / 3600);
+        return `${hours} hour${hours === 1 ? '' : 's'} earlier`;
+    }
+
+    /**
+     * Zoom to a window dragged on a chart: it becomes the custom range and,
+     * if requested, the window for query and blocking history too
+     */
+    applyChartSelection({ from, to }) {
+        // Whole seconds, the precision of the range inputs
+        const fromDate = new Date(Math.floor(from / 1000) * 1000);
+        const toDate = new Date(Math.ceil(to / 1000) * 1000);
+        if (toDate <= fromDate) return;
+
+        document.getElementById('chartTimeRange').value = 'custom';
+        document.getElementById('customRangeInputs').style.display = 'flex';
+        document.getElementById('chartFromDate').value = this.formatDateTimeLocal(fromDate, true);
+        document.getElementById('chartToDate').value = this.formatDateTimeLocal(toDate, true);
+        this.loadChartDataByRange();
+
+        if (document.getElementById('brushFilterHistory')?.checked) {
+            this.setFocusRange({ from: fromDate.getTime(), to: toDate.getTime() });
+        }
+    }
+
+    /**
+     * Restrict (or with null, stop restricting) query and blocking history
+     * to a time window and, unless `reload` is false, reload what is showing
+     */
+    setFocusRange(range, reload = true) {
+        const changed = this.focusRange?.from !== range?.from || this.focusRange?.to !== range?.to;
+        this.focusRange = range;
+        this.updateFocusRangeNotice();
+        if (!changed || !reload || !this.activeConnectionId) return;
+
+        if (this.currentSection === 'queries') this.loadQueries(this.currentQueryTab);
+        if (document.getElementById('blockingHistoryModal')?.classList.contains('active')) {
+            this.showBlockingHistory();
+        }
+    }
+
+    updateFocusRangeNotice() {
+        const range = this.focusRange;
+        const text = range
+            ? `Showing ${new Date(range.from).toLocaleString()} – ${new Date(range.to).toLocaleString()} (chart selection)`
+            : '';
+
+        document.querySelectorAll('.focus-range-notice').forEach(notice => {
+            notice.style.display = range ? '' : 'none';
+            notice.innerHTML = range
+                ? `<span>${this.escapeHtml(text)}</span> <button type="button" class="btn-small">Clear</button>`
+                : '';
+            notice.querySelector('button')?.addEventListener('click', () => this.setFocusRange(null));
+        });
+
+        // The rolling selector does not apply while a selection is in force
+        const queryRange = document.getElementById('queryHistoryRange');
+        if (queryRange) queryRange.disabled = !!range;
+    }
+
+    /**
+     * Consolidated polling - single refresh cycle for all dashboard updates
+     * Combines health, charts, and running queries into one fetch cycle.
+     * Stat cards and charts come from the metrics stream when it is open;
+     * polling takes them over again whenever the stream drops.
+     *
+     * The next cycle is scheduled only after the previous one finishes, so a
+     * slow server never gets overlapping requests. Polling is suspended while
+     * paused or hidden and backs off exponentially while requests keep failing.
+     */
+    startConsolidatedPolling() {
+        this.pollingActive = true;
+        this.consecutiveFailures = 0;
+
+        // Initial loads
+        this.loadChartData();
+        this.resumeLiveUpdates();
+    }
+
+    /**
+     * Stop polling (useful for cleanup)
+     */
+    stopPolling() {
+        this.pollingActive = false;
+        this.suspendLiveUpdates();
+    }
+
+    /** True when refresh cycles should currently run */
+    shouldPoll() {
+        return this.pollingActive && !this.refreshPaused && !this.sessionExpired && !document.hidden;
+    }
+
+    /**
+     * Called by ApiClient when a request gets a 401. Live updates stop
+     * while the login modal is open; the held requests are replayed after
+     * login, so the current section, filters and chart range are kept.
+     */
+    async reauthenticate() {
+        this.sessionExpired = true;
+        this.suspendLiveUpdates();
+        try {
+            await this.authManager.requestReauthentication();
+        } finally {
+            this.sessionExpired = false;
+            this.consecutiveFailures = 0;
+            this.updateRefreshStatus();
+            this.resumeLiveUpdates();
+        }
+    }
+
+    /** Open the stream and schedule the next cycle if polling is allowed */
+    resumeLiveUpdates() {
+        if (!this.shouldPoll()) return;
+        if (!this.metricsStream) this.openMetricsStream();
+        this.scheduleNextPoll();
+    }
+
+    /** Cancel the pending cycle and close the stream */
+    suspendLiveUpdates() {
+        if (this.pollingTimer) {
+            clearTimeout(this.pollingTimer);
+            this.pollingTimer = null;
+        }
+        this.closeMetricsStream();
+        this.updateRefreshStatus();
+    }
+
+    scheduleNextPoll() {
+        if (this.pollingTimer) clearTimeout(this.pollingTimer);
+        this.pollingTimer = null;
+        if (!this.shouldPoll()) return;
+
+        this.pollingTimer = setTimeout(() => this.runPollCycle(), this.getNextPollDelay());
+        this.updateRefreshStatus();
+    }
+
+    /** Selected interval, doubled for every consecutive failed cycle */
+    getNextPollDelay() {
+        if (this.consecutiveFailures === 0) return this.pollingDelay;
+        return Math.min(this.pollingDelay * Math.pow(2, this.consecutiveFailures), this.maxBackoffDelay);
+    }
+
+    async runPollCycle() {
+        if (this.pollingTimer) clearTimeout(this.pollingTimer);
+        this.pollingTimer = null;
+
+        // A cycle is already running; it schedules the next one when done
+        if (this.pollInFlight) return;
+        this.pollInFlight = true;
+        let succeeded = false;
+        try {
+            // Only this cycle's own loads count; unrelated errors (a failed save) do not back off
+            succeeded = (await this.loadAllData()) !== false;
+        } finally {
+            this.pollInFlight = false;
+        }
+
+        this.consecutiveFailures = succeeded ? 0 : this.consecutiveFailures + 1;
+
+        this.scheduleNextPoll();
+    }
+
+    onVisibilityChange() {
+        if (document.hidden) {
+            this.suspendLiveUpdates();
+        } else if (this.shouldPoll()) {
+            // Catch up immediately instead of waiting a full interval
+            this.openMetricsStream();
+            this.runPollCycle();
+        }
+    }
+
+    setRefreshPaused(paused, { save = true } = {}) {
+        const changed = paused !== this.refreshPaused;
+        this.refreshPaused = paused;
+
+        const control = document.getElementById('refreshControl');
+        const btn = document.getElementById('pauseRefreshBtn');
+        control?.classList.toggle('paused', paused);
+        if (btn) {
+            const label = paused ? 'Resume auto-refresh' : 'Pause auto-refresh';
+            btn.title = label;
+            btn.setAttribute('aria-label', label);
+        }
+
+        if (changed && paused) {
+            this.suspendLiveUpdates();
+        } else if (changed && this.shouldPoll()) {
+            this.consecutiveFailures = 0;
+            this.openMetricsStream();
+            this.runPollCycle();
+        }
+        this.updateRefreshStatus();
+
+        if (save) this.saveRefreshPreferences();
+    }
+
+    setRefreshInterval(seconds, { save = true } = {}) {
+        if (!seconds || seconds < 1) return;
+        this.pollingDelay = seconds * 1000;
+
+        const select = document.getElementById('refreshIntervalSelect');
+        if (select && select.value !== String(seconds)) {
+            // Keep unknown values selectable instead of silently snapping
+            if (![...select.options].some(o => o.value === String(seconds))) {
+                select.add(new Option(`${seconds}s`, String(seconds)));
+            }
+            select.value = String(seconds);
+        }
+
+        this.consecutiveFailures = 0;
+        if (this.pollingTimer) this.scheduleNextPoll();
+
+        if (save) this.saveRefreshPreferences();
+    }
+
+    /**
+     * Apply the user's stored refresh settings (called after login)
+     */
+    async loadPreferences() {
+        try {
+            const prefs = await window.apiClient.getPreferences();
+            this.setRefreshInterval(prefs.refreshIntervalSeconds, { save: false });
+            this.setRefreshPaused(prefs.refreshPaused, { save: false });
+            this.setChartThresholds(prefs.chartThresholds);
+            this.applyDashboardLayout(prefs.dashboardLayout);
+            if (prefs.theme) this.setTheme(prefs.theme, { save: false });
+        } catch (e) {
+            console.error('Failed to load preferences', e);
+        }
+    }
+
+    saveRefreshPreferences() {
+        window.apiClient.updatePreferences({
+            refreshIntervalSeconds: Math.round(this.pollingDelay / 1000),
+            refreshPaused: this.refreshPaused
+        }).catch(e => this.reportError('Failed to save refresh settings', e));
+    }
+
+    /**
+     * Recolour the charts whenever the page palette changes (a new choice,
+     * or the OS switching while the theme follows it)
+     */
+    initTheme() {
+        window.themeManager.onChange = () => window.chartManager.applyTheme();
+        window.chartManager.applyTheme();
+        this.setTheme(window.themeManager.getTheme(), { save: false });
+    }
+
+    setTheme(theme, { save = true } = {}) {
+        window.themeManager.setTheme(theme);
+
+        const select = document.getElementById('themeSelect');
+        if (select) select.value = window.themeManager.getTheme();
+
+        if (save) {
+            window.apiClient.updatePreferences({ theme: window.themeManager.getTheme() })
+                .catch(e => this.reportError('Failed to save theme', e));
+        }
+    }
+
+    setChartThresholds(thresholds) {
+        this.chartThresholds = thresholds || {};
+        window.chartManager.setThresholds(this.chartThresholds);
+    }
+
+    showThresholdsModal() {
+        document.querySelectorAll('#chartThresholdsModal input[data-field]').forEach(input => {
+            const value = this.chartThresholds[input.dataset.field]?.[input.dataset.level];
+            input.value = value ?? '';
+        });
+        document.getElementById('chartThresholdsModal').classList.add('active');
+    }
+
+    /**
+     * Save the levels typed into the thresholds dialog; series with no
+     * level are dropped. The server checks ranges and ordering.
+     */
+    async saveChartThresholds() {
+        const thresholds = {};
+        document.querySelectorAll('#chartThresholdsModal input[data-field]').forEach(input => {
+            if (input.value.trim() === '') return;
+            const { field, level } = input.dataset;
+            thresholds[field] = { ...thresholds[field], [level]: Number(input.value) };
+        });
+
+        try {
+            const prefs = await window.apiClient.updatePreferences({ chartThresholds: thresholds });
+            this.setChartThresholds(prefs.chartThresholds ?? thresholds);
+            document.getElementById('chartThresholdsModal').classList.remove('active');
+        } catch (e) {
+            this.reportError('Failed to save chart thresholds', e);
+        }
+    }
+
+    /**
+     * Show paused / backing-off state next to the last updated time
+     */
+    updateRefreshStatus() {
+        const el = document.getElementById('refreshStatus');
+        if (!el) return;
+
+        if (this.sessionExpired) {
+            el.textContent = '(sign in to resume)';
+        } else if (this.refreshPaused) {
+            el.textContent = '(paused)';
+        } else if (this.consecutiveFailures > 0 && this.pollingTimer) {
+            el.textContent = `(retrying in ${Math.round(this.getNextPollDelay() / 1000)}s)`;
+        } else {
+            el.textContent = '';
         }
+    }
+
+    // ========== Live Metrics Stream ==========
+
+    openMetricsStream() {
+        this.closeMetricsStream();
+        if (!window.EventSource || !this.activeConnectionId) return;
 
-        // Memory Chart
-        const memoryCtx = document.getElementById('memoryChart');
-        if (memoryCtx) {
-            this.memoryChart = new Chart(memoryCtx, {
-                type: 'line',
-                data: {
-                    labels: [],
-                    datasets: [{
-                        label: 'Memory (MB)',
-                        data: [],
-                        borderColor: '#10b981',
-                        backgroundColor: 'rgba(16, 185, 129, 0.1)',
-                        tension: 0.3,
-                        fill: true
-                    }]
+        const connectionId = this.activeConnectionId;
+        try {
+            this.metricsStream = window.apiClient.openMetricsStream({
+                onOpen: () => {
+                    this.streamConnected = true;
+                },
+                onError: () => {
+                    // EventSource reconnects on its own after network drops; polling
+                    // covers the gap. A closed stream (HTTP error) is retried later.
+                    this.streamConnected = false;
+                    if (this.metricsStream?.readyState === EventSource.CLOSED) {
+                        this.scheduleStreamRetry();
+                    }
                 },
-                options: chartOptions
+                onSnapshot: snapshot => {
+                    // Ignore anything that arrives after a connection switch
+                    if (connectionId !== this.activeConnectionId) return;
+                    this.applyMetricsSnapshot(snapshot);
+                }
             });
+        } catch (error) {
+            console.warn('Metrics stream unavailable, using polling:', error);
         }
     }
 
-    /**
-     * Consolidated polling - single interval for all dashboard updates
-     * Combines health, charts, and running queries into one fetch cycle
-     */
-    startConsolidatedPolling() {
-        // Initial loads
-        this.loadChartData();
+    closeMetricsStream() {
+        if (this.streamRetryTimer) {
+            clearTimeout(this.streamRetryTimer);
+            this.streamRetryTimer = null;
+        }
+        if (this.metricsStream) {
+            this.metricsStream.close();
+            this.metricsStream = null;
+        }
+        this.streamConnected = false;
+    }
 
-        // Single polling interval for dashboard + charts + running queries
-        this.pollingInterval = setInterval(async () => {
-            // Load all dashboard data including charts in parallel
-            await Promise.all([
-                this.loadAllData(),
-                this.loadChartData()
-            ]);
-        }, this.pollingDelay);
+    scheduleStreamRetry() {
+        if (this.streamRetryTimer || !this.shouldPoll()) return;
+        this.streamRetryTimer = setTimeout(() => {
+            this.streamRetryTimer = null;
+            if (this.shouldPoll()) this.openMetricsStream();
+        }, this.streamRetryDelay);
     }
 
     /**
-     * Stop polling (useful for cleanup)
+     * Apply one pushed snapshot to the stat cards and charts
      */
-    stopPolling() {
-        if (this.pollingInterval) {
-            clearInterval(this.pollingInterval);
-            this.pollingInterval = null;
+    applyMetricsSnapshot(snapshot) {
+        this.updateStatCards(snapshot);
+        this.setText('bufferHitRatio', snapshot.bufferHitRatio + '%');
+
+        // Custom ranges are fixed windows; only rolling ranges follow live data
+        const timeRange = document.getElementById('chartTimeRange')?.value || 60;
+        if (timeRange !== 'custom') {
+            this.appendChartPoints([snapshot], timeRange);
         }
+
+        this.updateLastRefreshTime();
     }
 
+    /**
+     * Load the rolling chart range. Once a range is loaded, later calls only
+     * fetch points newer than the last one and append them.
+     */
     async loadChartData() {
         const timeRange = document.getElementById('chartTimeRange')?.value || 60;
+        if (this.chartPoints.length > 0 && this.chartPointsRange === timeRange) {
+            return this.loadNewChartPoints(timeRange);
+        }
 
         try {
-            const url = `/api/metrics/history?rangeSeconds=${timeRange}&pageSize=1000`;
-
-            const response = await this.fetchWithAuth(url);
-            const result = await response.json();
+            // Fix the window once: a rolling one would move between page requests
+            const { from, to } = this.getChartWindow();
+            const result = await window.apiClient.getAllMetricsHistoryByRange(
+                new Date(from).toISOString(), new Date(to).toISOString(), {
+                    maxItems: this.chartMaxPoints,
+                    onProgress: progress => this.showChartProgress(progress)
+                });
+            this.updateChartNotice(result);
 
-            // Handle paginated response (new format) or array (legacy)
-            const data = result.items || result;
+            if (result.items.length === 0) return;
 
+            this.chartPoints = result.items;
+            this.chartPointsRange = timeRange;
+            this.renderChartPoints(result.items);
+            this.loadChartAnnotations();
+            this.loadChartBaseline();
+        } catch (error) {
+            if (error.kind === 'cancelled') return;
+            this.updateChartNotice(null);
+            this.reportError('Failed to load chart data', error);
+            return false;
+        }
+    }
 
-            if (!data || data.length === 0) return;
+    async loadNewChartPoints(timeRange) {
+        const last = this.chartPoints[this.chartPoints.length - 1];
 
-            // Format timestamps
-            const labels = data.map(d => {
-                const date = new Date(d.timestamp);
-                return date.toLocaleTimeString('en-US', {
-                    hour12: false,
-                    hour: '2-digit',
-                    minute: '2-digit',
-                    second: '2-digit'
-                });
+        try {
+            const since = new Date(last.timestamp).toISOString();
+            const result = await window.apiClient.getMetricsHistorySince(since, timeRange, {
+                maxItems: this.chartMaxPoints
             });
+            this.appendChartPoints(result.items, timeRange);
+        } catch (error) {
+            if (error.kind === 'cancelled') return;
+            this.reportError('Failed to load chart data', error);
+            return false;
+        }
+    }
 
-            // Update connections chart
-            if (this.connectionsChart) {
-                this.connectionsChart.data.labels = labels;
-                this.connectionsChart.data.datasets[0].data = data.map(d => d.connections);
-                this.connectionsChart.data.datasets[1].data = data.map(d => d.blocked);
-                this.connectionsChart.update();
-            }
+    /**
+     * Add points newer than the last plotted one and drop those that have
+     * left the rolling window, without redrawing the rest
+     */
+    appendChartPoints(points, timeRange) {
+        const last = this.chartPoints[this.chartPoints.length - 1];
+        const lastTime = last ? new Date(last.timestamp).getTime() : -Infinity;
+        const fresh = points.filter(p => new Date(p.timestamp).getTime() > lastTime);
 
-            // Update memory chart
-            if (this.memoryChart) {
-                this.memoryChart.data.labels = labels;
-                this.memoryChart.data.datasets[0].data = data.map(d => d.memory);
-                this.memoryChart.update();
-            }
-        } catch (error) {
-            console.error('Failed to load chart data:', error);
+        const to = Date.now();
+        const from = to - parseInt(timeRange) * 1000;
+        const firstKept = this.chartPoints.findIndex(p => new Date(p.timestamp).getTime() >= from);
+        this.chartPoints = (firstKept === -1 ? [] : this.chartPoints.slice(firstKept)).concat(fresh);
+
+        window.chartManager.appendCharts(fresh, { from, to });
+    }
+
+    /**
+     * Show page-by-page progress while a long history range loads
+     */
+    showChartProgress({ loaded, totalCount, totalPages }) {
+        const notice = document.getElementById('chartDataNotice');
+        if (!notice || totalPages <= 1) return;
+        notice.textContent = `Loading ${this.formatNumber(loaded)} of ${this.formatNumber(totalCount)} points...`;
+        notice.classList.remove('warning');
+        notice.style.display = '';
+    }
+
+    /**
+     * Tell the user when the chart only shows part of the requested range,
+     * or a downsampled summary of it
+     */
+    updateChartNotice(result) {
+        const notice = document.getElementById('chartDataNotice');
+        if (!notice) return;
+
+        if (result?.truncated) {
+            notice.textContent = `Showing the first ${this.formatNumber(result.items.length)} of ${this.formatNumber(result.totalCount)} points. Narrow the range to see the rest.`;
+            notice.classList.add('warning');
+            notice.style.display = '';
+        } else if (result?.sampleCount > result?.items.length) {
+            notice.textContent = `${this.formatNumber(result.sampleCount)} samples summarised as ${this.formatNumber(result.items.length)} points (highs and lows kept). Zoom in for full detail.`;
+            notice.classList.remove('warning');
+            notice.style.display = '';
+        } else {
+            notice.textContent = '';
+            notice.classList.remove('warning');
+            notice.style.display = 'none';
         }
     }
 
+    /**
+     * Draw rolling-range points; the axis always ends at "now" so a stalled
+     * collector shows up as an empty stretch at the right edge
+     */
+    renderChartPoints(data) {
+        const timeRange = document.getElementById('chartTimeRange')?.value || 60;
+        const to = Date.now();
+        window.chartManager.updateCharts(data, { from: to - parseInt(timeRange) * 1000, to });
+    }
+
     async loadChartDataByRange() {
         const fromDate = document.getElementById('chartFromDate').value;
         const toDate = document.getElementById('chartToDate').value;
@@ -622,47 +1551,39 @@ class SqlMonitorApp {
             const fromISO = new Date(fromDate).toISOString();
             const toISO = new Date(toDate).toISOString();
 
-            const response = await this.fetchWithAuth(`/api/metrics/history/range?from=${fromISO}&to=${toISO}&pageSize=1000`);
-            const result = await response.json();
-
-            // Handle paginated response (new format) or array (legacy)
-            const data = result.items || result;
-
-            if (!data || data.length === 0) return;
-
-            // Format timestamps (include date for longer ranges)
-            const labels = data.map(d => {
-                const date = new Date(d.timestamp);
-                return date.toLocaleString('en-US', {
-                    hour12: false,
-                    month: 'short',
-                    day: 'numeric',
-                    hour: '2-digit',
-                    minute: '2-digit'
-                });
+            // The charts no longer show the rolling range, so the next
+            // rolling load has to start from scratch
+            this.chartPointsRange = null;
+
+            // Long ranges are thinned to about one point per pixel, keeping highs and lows
+            const maxPoints = window.chartManager.getTargetPointCount();
+            const result = await window.apiClient.getDownsampledMetricsHistoryByRange(fromISO, toISO, maxPoints);
+            const data = result.items || [];
+            this.updateChartNotice({
+                items: data,
+                sampleCount: data.reduce((sum, point) => sum + (point.samples ?? 1), 0)
             });
 
-            // Update charts
-            if (this.connectionsChart) {
-                this.connectionsChart.data.labels = labels;
-                this.connectionsChart.data.datasets[0].data = data.map(d => d.connections);
-                this.connectionsChart.data.datasets[1].data = data.map(d => d.blocked);
-                this.connectionsChart.update('none');
-            }
+            if (data.length === 0) return;
 
-            if (this.memoryChart) {
-                this.memoryChart.data.labels = labels;
-                this.memoryChart.data.datasets[0].data = data.map(d => d.memory);
-                this.memoryChart.update('none');
-            }
+            window.chartManager.updateCharts(data, {
+                from: Date.parse(fromISO),
+                to: Date.parse(toISO),
+                mode: 'none'
+            });
+            this.loadChartAnnotations();
+            this.loadChartBaseline();
         } catch (error) {
-            console.error('Failed to load chart data by range:', error);
+            if (error.kind === 'cancelled') return;
+            this.updateChartNotice(null);
+            this.reportError('Failed to load chart data by range', error);
         }
     }
 
-    formatDateTimeLocal(date) {
+    formatDateTimeLocal(date, withSeconds = false) {
         const pad = n => n.toString().padStart(2, '0');
-        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+        const value = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+        return withSeconds ? `${value}:${pad(date.getSeconds())}` : value;
     }
 
     // ========== Connection Settings ==========
@@ -689,8 +1610,7 @@ class SqlMonitorApp {
 
         // Fall back to server-side settings
         try {
-            const response = await fetch('/api/settings/connection');
-            const data = await response.json();
+            const data = await window.apiClient.getConnectionSettings();
 
             if (data.configured) {
                 this.populateConnectionForm(data);
@@ -746,7 +1666,7 @@ class SqlMonitorApp {
         document.getElementById('sqlAuthFields').classList.remove('hidden');
 
         // Clear server-side connection
-        fetch('/api/settings/connection', { method: 'DELETE' }).catch(() => { });
+        window.apiClient.clearConnection().catch(() => { });
 
         this.showConnectionResult(true, 'Connection settings cleared');
     }
@@ -807,16 +1727,10 @@ class SqlMonitorApp {
         btn.disabled = true;
 
         try {
-            const response = await fetch('/api/settings/connection/test', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(data)
-            });
-
-            const result = await response.json();
+            const result = await window.apiClient.testConnection(data);
             this.showConnectionResult(result.success, result.message, result.serverVersion);
         } catch (error) {
-            this.showConnectionResult(false, 'Failed to test connection: ' + error.message);
+            this.showConnectionResult(false, 'Failed to test connection: ' + (error.userMessage || error.message));
         } finally {
             btnText.textContent = 'Test Connection';
             spinner.style.display = 'none';
@@ -839,13 +1753,7 @@ class SqlMonitorApp {
         btn.disabled = true;
 
         try {
-            const response = await fetch('/api/settings/connection', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(data)
-            });
-
-            const result = await response.json();
+            const result = await window.apiClient.saveConnection(data);
 
             if (result.success) {
                 // Save to sessionStorage for page refresh
@@ -864,7 +1772,7 @@ class SqlMonitorApp {
                 this.showConnectionResult(false, result.message);
             }
         } catch (error) {
-            this.showConnectionResult(false, 'Failed to save connection: ' + error.message);
+            this.showConnectionResult(false, 'Failed to save connection: ' + (error.userMessage || error.message));
         } finally {
             btnText.textContent = 'Save & Connect';
             spinner.style.display = 'none';
@@ -888,8 +1796,7 @@ class SqlMonitorApp {
 
     async loadServerHealth() {
         try {
-            const response = await this.fetchWithAuth('/api/health');
-            const data = await response.json();
+            const data = await window.apiClient.getServerHealth();
 
             const statusDot = document.querySelector('.status-dot');
             const statusText = document.querySelector('.status-text');
@@ -898,24 +1805,21 @@ class SqlMonitorApp {
                 statusDot.className = 'status-dot connected';
                 statusText.textContent = 'Connected';
 
-                document.getElementById('activeConnections').textContent = this.formatNumber(data.activeConnections);
-                document.getElementById('blockedProcesses').textContent = this.formatNumber(data.blockedProcesses);
-                document.getElementById('cpuUsage').textContent = data.cpuUsagePercent.toFixed(1) + '%';
-                document.getElementById('memoryUsage').textContent = this.formatNumber(data.memoryUsedMb);
-
-                document.getElementById('serverName').textContent = data.serverName || '-';
-                document.getElementById('sqlVersion').textContent = data.sqlServerVersion || '-';
-                document.getElementById('edition').textContent = data.edition || '-';
-                document.getElementById('uptime').textContent = this.formatUptime(data.uptime);
-                document.getElementById('bufferHitRatio').textContent = data.bufferCacheHitRatio + '%';
-
-                // Highlight blocked processes if any
-                const blockedCard = document.getElementById('blockedProcesses').closest('.stat-card');
-                if (data.blockedProcesses > 0) {
-                    blockedCard.style.borderColor = 'var(--color-danger)';
-                } else {
-                    blockedCard.style.borderColor = 'var(--color-border-light)';
-                }
+                this.updateStatCards({
+                    connections: data.activeConnections,
+                    blocked: data.blockedProcesses,
+                    cpu: data.cpuUsagePercent,
+                    memory: data.memoryUsedMb
+                });
+
+                this.setText('serverName', data.serverName || '-');
+                this.setText('sqlVersion', data.sqlServerVersion || '-');
+                this.setText('edition', data.edition || '-');
+                this.setText('uptime', this.formatUptime(data.uptime));
+
+                const uptimeMs = this.parseUptimeMs(data.uptime);
+                if (uptimeMs !== null) this.recordServerStart(Date.now() - uptimeMs);
+                this.setText('bufferHitRatio', data.bufferCacheHitRatio + '%');
             } else {
                 statusDot.className = 'status-dot error';
                 statusText.textContent = 'Not Connected';
@@ -926,66 +1830,288 @@ class SqlMonitorApp {
                 }
             }
         } catch (error) {
-            console.error('Failed to load server health:', error);
+            if (error.kind === 'cancelled') return;
+            this.reportError('Failed to load server health', error);
 
             const statusDot = document.querySelector('.status-dot');
             const statusText = document.querySelector('.status-text');
             statusDot.className = 'status-dot error';
             statusText.textContent = 'Error';
+            return false;
         }
     }
 
-    async loadTopCpuQueries() {
-        const tbody = document.querySelector('#topCpuTable tbody');
+    /**
+     * Show current values on the stat cards and add them to the sparklines.
+     * Values: { connections, blocked, cpu, memory }, from a health poll or a
+     * streamed snapshot.
+     */
+    updateStatCards(values) {
+        this.recordStatSample(values);
+        this.renderStatCards();
+    }
 
-        // Only show loading initial state if table is empty or has error/empty message
-        const hasData = tbody.querySelector('tr') && !tbody.querySelector('.loading-row') && !tbody.querySelector('.empty-state');
-        if (!hasData) {
-            tbody.innerHTML = '<tr><td colspan="3" class="loading-row"><span class="loading"></span> Loading...</td></tr>';
+    /**
+     * Draw the newest sample on the stat cards that are on the dashboard
+     */
+    renderStatCards() {
+        const latest = this.statSamples[this.statSamples.length - 1];
+        if (latest) {
+            this.setText('activeConnections', this.formatNumber(latest.connections));
+            this.setText('blockedProcesses', this.formatNumber(latest.blocked));
+            this.setText('cpuUsage', Number.isFinite(latest.cpu) ? latest.cpu.toFixed(1) + '%' : '-%');
+            this.setText('memoryUsage', this.formatNumber(latest.memory));
+
+            // Highlight blocked processes if any
+            const blockedCard = document.getElementById('blockedProcesses')?.closest('.stat-card');
+            if (blockedCard) {
+                blockedCard.style.borderColor = latest.blocked > 0 ? 'var(--color-danger)' : 'var(--color-border-light)';
+            }
         }
 
-        try {
-            const response = await this.fetchWithAuth('/api/queries/active-cpu?top=5&_=' + Date.now());
-            const result = await response.json();
+        this.renderStatTrends();
+    }
 
-            // Handle paginated response - extract items array
-            const data = result.items || result || [];
+    recordStatSample(values) {
+        const pick = (point, time) => ({
+            time,
+            ...Object.fromEntries(Object.keys(this.statCards).map(field => [field, point[field]]))
+        });
 
-            this.dataCache.topCpu = data;
-            this.renderTopCpuTable(data);
+        // Start the sparklines from recent chart history instead of an empty line.
+        // A custom range may be days old, so only a rolling one can seed them.
+        const rolling = this.chartPointsRange !== null
+            && document.getElementById('chartTimeRange')?.value !== 'custom';
+        if (this.statSamples.length === 0 && rolling) {
+            const oldest = Date.now() - this.statSeedMaxAge;
+            this.statSamples = this.chartPoints
+                .map(point => pick(point, new Date(point.timestamp).getTime()))
+                .filter(sample => sample.time >= oldest)
+                .slice(-(this.statSampleLimit - 1));
+        }
+
+        this.statSamples.push(pick(values, Date.now()));
+        if (this.statSamples.length > this.statSampleLimit) {
+            this.statSamples.splice(0, this.statSamples.length - this.statSampleLimit);
+        }
+    }
 
+    /**
+     * Stored point closest to one hour ago (the last one in the minute before it)
+     */
+    async loadHourAgoSample() {
+        const to = Date.now() - 3600000;
+        try {
+            const result = await window.apiClient.getMetricsHistoryByRange(
+                new Date(to - 60000).toISOString(), new Date(to).toISOString(), 1, 100);
+            const items = result.items || [];
+            this.hourAgoSample = items[items.length - 1] || null;
+            this.renderStatTrends();
         } catch (error) {
-            console.error('Failed to load top CPU queries:', error);
-            if (!hasData) {
-                tbody.innerHTML = '<tr><td colspan="3" class="empty-state">Failed to load data</td></tr>';
-            }
+            if (error.kind === 'cancelled') return;
+            console.warn('Stat card 1h reference unavailable:', error);
         }
     }
 
-    renderTopCpuTable(data) {
-        const tbody = document.querySelector('#topCpuTable tbody');
-        const state = this.sortState.topCpuTable;
-        const sortedData = this.sortData(data, state.col, state.dir);
+    renderStatTrends() {
+        const latest = this.statSamples[this.statSamples.length - 1];
+        const previous = this.statSamples[this.statSamples.length - 2];
 
-        tbody.innerHTML = '';
+        Object.keys(this.statCards).forEach(field => {
+            document.querySelector(`#${field}Sparkline polyline`)
+                ?.setAttribute('points', this.buildSparklinePoints(this.statSamples.map(sample => sample[field])));
 
-        if (!sortedData || sortedData.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="3" class="empty-state">No query data available</td></tr>';
-            return;
-        }
+            const delta = document.getElementById(`${field}Delta`);
+            if (!delta) return;
+            delta.innerHTML = latest
+                ? this.formatStatDelta(field, latest[field], previous?.[field], 'last poll')
+                    + this.formatStatDelta(field, latest[field], this.hourAgoSample?.[field], '1h ago')
+                : '';
+        });
+    }
 
-        sortedData.forEach(query => {
-            const row = document.createElement('tr');
-            row.innerHTML = `
-                <td class="query-text" title="${this.escapeHtml(query.queryText)}">${this.escapeHtml(query.queryText)}</td>
-                <td class="number">${this.formatNumber(Math.round(query.avgCpuTimeMs))}</td>
-                <td class="number">${this.formatNumber(query.executionCount)}</td>
-            `;
-            row.querySelector('.query-text').addEventListener('click', () => {
-                this.showQueryModal(query.queryText, query.executionPlan, query.queryHash);
-            });
-            tbody.appendChild(row);
+    /**
+     * SVG polyline points for values scaled into the 100 x 24 sparkline box
+     */
+    buildSparklinePoints(values) {
+        const numbers = values.filter(Number.isFinite);
+        if (numbers.length < 2) return '';
+
+        const min = Math.min(...numbers);
+        const range = Math.max(...numbers) - min || 1;
+        return numbers
+            .map((value, i) => `${(i / (numbers.length - 1) * 100).toFixed(1)},${(22 - (value - min) / range * 20).toFixed(1)}`)
+            .join(' ');
+    }
+
+    formatStatDelta(field, current, reference, label) {
+        if (!Number.isFinite(current) || !Number.isFinite(reference)) return '';
+
+        const change = current - reference;
+        const direction = change > 0 ? 'up' : change < 0 ? 'down' : 'flat';
+        const arrow = { up: '▲', down: '▼', flat: '=' }[direction];
+        // CPU is already a percentage, so its change is in percentage points
+        const amount = field === 'cpu'
+            ? `${Math.abs(change).toFixed(1)} pts`
+            : this.formatNumber(Math.abs(Math.round(change)));
+        return `<span class="${direction}" title="Change since ${label}">${arrow} ${amount} <small>vs ${label}</small></span>`;
+    }
+
+    // ========== Tables ==========
+
+    /**
+     * Column definitions for every monitoring grid (see table-manager.js)
+     */
+    initTables() {
+        const tables = window.tableManager;
+        const queryColumn = (label, showQuery) => ({
+            field: 'queryText', label, className: 'query-text', tooltip: true,
+            format: text => text || '', onClick: row => row.queryText && showQuery(row)
+        });
+        const openQuery = query => this.showQueryModal(query.queryText, query.executionPlan, query.queryHash);
+        const rounded = value => this.formatNumber(value === null || value === undefined ? value : Math.round(value));
+
+        // Dashboard widgets show a few rows, so they skip the filter row and search
+        tables.define('topCpuTable', {
+            emptyMessage: 'No query data available',
+            filterable: false,
+            columns: [
+                queryColumn('Query', openQuery),
+                { field: 'avgCpuTimeMs', label: 'CPU (ms)', type: 'number', format: rounded },
+                { field: 'executionCount', label: 'Executions', type: 'number' }
+            ]
+        });
+
+        tables.define('runningTable', {
+            emptyMessage: 'No queries currently running',
+            columns: [
+                { field: 'sessionId', label: 'Session', type: 'number', format: String },
+                { field: 'databaseName', label: 'Database', filter: 'select' },
+                { field: 'status', label: 'Status', badge: status => this.getStatusClass(status), filter: 'select' },
+                { field: 'command', label: 'Command', filter: 'select' },
+                { field: 'elapsedTimeMs', label: 'Elapsed (ms)', type: 'number' },
+                { field: 'cpuTimeMs', label: 'CPU (ms)', type: 'number' },
+                { field: 'logicalReads', label: 'Reads', type: 'number' },
+                { field: 'waitType', label: 'Wait Type', filter: 'select' },
+                { field: 'hostName', label: 'Host' },
+                { field: 'loginName', label: 'Login' },
+                queryColumn('Query', query => this.showQueryModal(query.queryText, null, query.queryHash))
+            ]
+        });
+
+        tables.define('queriesTable', {
+            emptyMessage: 'No query data available',
+            columns: [
+                { field: 'databaseName', label: 'Database', format: name => name || 'Unknown', filter: 'select' },
+                queryColumn('Query Text', openQuery),
+                { field: 'executionCount', label: 'Executions', type: 'number' },
+                { field: 'avgCpuTimeMs', label: 'Avg CPU (ms)', type: 'number', format: rounded },
+                { field: 'totalCpuTimeMs', label: 'Total CPU (ms)', type: 'number', format: rounded },
+                { field: 'avgLogicalReads', label: 'Avg Reads', type: 'number' },
+                { field: 'avgLogicalWrites', label: 'Avg Writes', type: 'number' },
+                { field: 'avgElapsedTimeMs', label: 'Avg Duration (ms)', type: 'number', format: rounded },
+                { field: 'lastExecutionTime', label: 'Last Run', type: 'date' }
+            ]
+        });
+
+        tables.define('indexesTable', {
+            emptyMessage: 'No missing index recommendations',
+            columns: [
+                { field: 'databaseName', label: 'Database', filter: 'select' },
+                { field: 'tableName', label: 'Table', format: (name, index) => `${index.schemaName}.${name}` },
+                { field: 'improvementMeasure', label: 'Impact Score', type: 'number', format: rounded },
+                { field: 'userSeeks', label: 'User Seeks', type: 'number' },
+                { field: 'avgUserImpact', label: 'Avg Impact %', type: 'number', format: impact => impact === null || impact === undefined ? '-' : `${impact.toFixed(1)}%` },
+                { field: 'equalityColumns', label: 'Equality Columns' },
+                { field: 'inequalityColumns', label: 'Inequality Columns' },
+                {
+                    field: 'createIndexStatement', label: 'Create Statement', sortable: false, button: 'Copy',
+                    onClick: index => navigator.clipboard.writeText(index.createIndexStatement)
+                }
+            ]
+        });
+
+        const leadBlocker = session => session.isLeadBlocker ? 'lead-blocker' : null;
+        tables.define('blockingTable', {
+            emptyMessage: 'No active blocking',
+            limit: 5,
+            filterable: false,
+            rowClass: leadBlocker,
+            columns: [
+                { field: 'sessionId', label: 'Session', type: 'number', format: String },
+                { field: 'blockingSessionId', label: 'Blocking', type: 'number', format: id => id ? String(id) : '-' },
+                { field: 'waitTimeMs', label: 'Wait (ms)', type: 'number' }
+            ]
         });
+
+        tables.define('blockingFullTable', {
+            emptyMessage: 'No active blocking sessions',
+            rowClass: leadBlocker,
+            columns: [
+                { field: 'sessionId', label: 'Session ID', type: 'number', format: String },
+                { field: 'blockingSessionId', label: 'Blocking ID', type: 'number', format: id => id ? String(id) : '-' },
+                { field: 'status', label: 'Status', badge: status => status === 'running' ? 'success' : 'warning', filter: 'select' },
+                { field: 'waitType', label: 'Wait Type', filter: 'select' },
+                { field: 'waitTimeMs', label: 'Wait Time (ms)', type: 'number' },
+                { field: 'databaseName', label: 'Database', filter: 'select' },
+                { field: 'hostName', label: 'Host' },
+                { field: 'loginName', label: 'Login' },
+                queryColumn('Query', session => this.showQueryModal(session.queryText, session.executionPlan))
+            ]
+        });
+
+        tables.define('locksTable', {
+            emptyMessage: 'No active locks',
+            columns: [
+                { field: 'sessionId', label: 'Session ID', type: 'number', format: String },
+                { field: 'databaseName', label: 'Database', filter: 'select' },
+                { field: 'objectName', label: 'Object' },
+                { field: 'resourceType', label: 'Resource Type', filter: 'select' },
+                { field: 'requestMode', label: 'Request Mode', badge: mode => this.getLockModeBadgeClass(mode), filter: 'select' },
+                { field: 'requestStatus', label: 'Status', filter: 'select' },
+                { field: 'requestCount', label: 'Count', type: 'number', format: String },
+                { field: 'hostName', label: 'Host' },
+                { field: 'loginName', label: 'Login' }
+            ]
+        });
+
+        tables.define('blockingHistoryTable', {
+            emptyMessage: 'No blocking events recorded in history',
+            // Keep huge histories from slowing the browser
+            limit: 500,
+            sort: { field: 'time', dir: 'desc' },
+            columns: [
+                { field: 'time', label: 'Time', type: 'date' },
+                { field: 'blocked', label: 'Blocked Session / Query', tooltip: true },
+                { field: 'blocker', label: 'Blocker Session / Query', tooltip: true },
+                { field: 'wait', label: 'Wait (ms)', type: 'number' }
+            ]
+        });
+    }
+
+    async loadTopCpuQueries() {
+        const tables = window.tableManager;
+        if (!document.getElementById('topCpuTable')) return;
+
+        // Only show loading initial state if table is empty or has error/empty message
+        const hasData = tables.hasData('topCpuTable');
+        if (!hasData) tables.showLoading('topCpuTable');
+
+        try {
+            const result = await window.apiClient.getActiveCpuQueries(5);
+
+            // Handle paginated response - extract items array
+            const data = result.items || result || [];
+
+            this.dataCache.topCpu = data;
+            tables.render('topCpuTable', data);
+
+        } catch (error) {
+            if (error.kind === 'cancelled') return;
+            this.reportError('Failed to load top CPU queries', error);
+            if (!hasData) tables.showError('topCpuTable', error);
+            return false;
+        }
     }
 
     // ========== Running Queries ==========
@@ -997,8 +2123,7 @@ class SqlMonitorApp {
         if (loadingEl) loadingEl.style.display = 'inline-flex';
 
         try {
-            const response = await this.fetchWithAuth('/api/running/active');
-            const result = await response.json();
+            const result = await window.apiClient.getRunningQueries();
 
             // Handle paginated response - extract items array
             const data = result.items || result || [];
@@ -1007,53 +2132,20 @@ class SqlMonitorApp {
             if (countEl) countEl.textContent = `${result.totalCount || data.length} Running`;
 
             this.dataCache.running = data;
-            this.renderRunningTable(data);
+            window.tableManager.render('runningTable', data);
 
         } catch (error) {
-            console.error('Failed to load running queries:', error);
+            if (error.kind === 'cancelled') return;
+            this.reportError('Failed to load running queries', error);
+            if (!this.dataCache.running) {
+                window.tableManager.showError('runningTable', error);
+            }
+            return false;
         } finally {
             if (loadingEl) loadingEl.style.display = 'none';
         }
     }
 
-    renderRunningTable(data) {
-        const tbody = document.querySelector('#runningTable tbody');
-        const state = this.sortState.runningTable;
-        const sortedData = this.sortData(data, state.col, state.dir);
-
-        tbody.innerHTML = '';
-
-        if (!sortedData || sortedData.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="10" class="empty-state">No queries currently running</td></tr>';
-            return;
-        }
-
-        sortedData.forEach(query => {
-            const row = document.createElement('tr');
-            const statusClass = this.getStatusClass(query.status);
-            row.innerHTML = `
-                <td>${query.sessionId}</td>
-                <td>${query.databaseName}</td>
-                <td><span class="badge ${statusClass}">${query.status}</span></td>
-                <td>${query.command}</td>
-                <td class="number">${this.formatNumber(query.elapsedTimeMs)}</td>
-                <td class="number">${this.formatNumber(query.cpuTimeMs)}</td>
-                <td class="number">${this.formatNumber(query.logicalReads)}</td>
-                <td>${query.waitType || '-'}</td>
-                <td>${query.hostName}</td>
-                <td class="query-text" title="${this.escapeHtml(query.queryText)}">${this.escapeHtml(query.queryText)}</td>
-            `;
-
-            const queryCell = row.querySelector('.query-text');
-            if (queryCell && query.queryText) {
-                queryCell.addEventListener('click', () => {
-                    this.showQueryModal(query.queryText, null, query.queryHash);
-                });
-            }
-            tbody.appendChild(row);
-        });
-    }
-
     getStatusClass(status) {
         switch (status?.toLowerCase()) {
             case 'running': return 'running';
@@ -1063,76 +2155,8 @@ class SqlMonitorApp {
         }
     }
 
-    handleSort(tableId, col) {
-        const state = this.sortState[tableId] || { col: null, dir: 'desc' };
-
-        // Toggle direction if same column
-        if (state.col === col) {
-            state.dir = state.dir === 'desc' ? 'asc' : 'desc';
-        } else {
-            state.col = col;
-            state.dir = 'asc'; // Default to ascending for text, desc for numbers? 
-            // Better defaulting: Default to desc for most metrics.
-            if (['databaseName', 'queryText'].includes(col)) state.dir = 'asc';
-            else state.dir = 'desc';
-        }
-
-        this.sortState[tableId] = state;
-        this.updateSortIcons(tableId);
-
-        // Re-render
-        // Re-render
-        switch (tableId) {
-            case 'queriesTable': if (this.dataCache.queries) this.renderQueriesTable(this.dataCache.queries); break;
-            case 'topCpuTable': if (this.dataCache.topCpu) this.renderTopCpuTable(this.dataCache.topCpu); break;
-            case 'runningTable': if (this.dataCache.running) this.renderRunningTable(this.dataCache.running); break;
-            case 'indexesTable': if (this.dataCache.indexes) this.renderIndexesTable(this.dataCache.indexes); break;
-            case 'blockingTable': if (this.dataCache.blocking) this.renderBlockingTable(this.dataCache.blocking, false); break;
-            case 'blockingFullTable': if (this.dataCache.blocking) this.renderBlockingTable(this.dataCache.blocking, true); break;
-            case 'locksTable': if (this.dataCache.locks) this.renderLocksTable(this.dataCache.locks); break;
-            case 'blockingHistoryTable': if (this.dataCache.blockingHistory) this.renderBlockingHistoryTable(this.dataCache.blockingHistory); break;
-        }
-    }
-
-    updateSortIcons(tableId) {
-        const table = document.getElementById(tableId);
-        if (!table) return;
-
-        const state = this.sortState[tableId];
-        const headers = table.querySelectorAll('th.sortable');
-
-        headers.forEach(th => {
-            th.classList.remove('sort-asc', 'sort-desc');
-            const invoke = th.getAttribute('onclick') || '';
-            if (invoke.includes(`'${state.col}'`)) {
-                th.classList.add(state.dir === 'asc' ? 'sort-asc' : 'sort-desc');
-            }
-        });
-    }
-
-    sortData(data, col, dir) {
-        if (!col || !data) return data;
-
-        return [...data].sort((a, b) => {
-            let valA = a[col];
-            let valB = b[col];
-
-            // Handle nulls
-            if (valA === null || valA === undefined) valA = '';
-            if (valB === null || valB === undefined) valB = '';
-
-            // Strings (case insensitive)
-            if (typeof valA === 'string') valA = valA.toLowerCase();
-            if (typeof valB === 'string') valB = valB.toLowerCase();
-
-            if (valA < valB) return dir === 'asc' ? -1 : 1;
-            if (valA > valB) return dir === 'asc' ? 1 : -1;
-            return 0;
-        });
-    }
-
     async loadQueries(type) {
-        const tbody = document.querySelector('#queriesTable tbody');
+        const tables = window.tableManager;
 
         // Setup default sort based on tab
         let defCol = 'avgCpuTimeMs';
@@ -1140,265 +2164,128 @@ class SqlMonitorApp {
         else if (type === 'slowest') defCol = 'avgElapsedTimeMs';
 
         if (this.currentQueryTab !== type) {
-            this.sortState.queriesTable = { col: defCol, dir: 'desc' };
-            this.updateSortIcons('queriesTable');
+            tables.setSort('queriesTable', defCol, 'desc');
         }
 
         // Only show loading if empty
-        const hasData = tbody.querySelector('tr') && !tbody.querySelector('.loading-row') && !tbody.querySelector('.empty-state');
-        if (!hasData) {
-            tbody.innerHTML = '<tr><td colspan="9" class="loading-row"><span class="loading"></span> Loading...</td></tr>';
-        }
+        const hasData = tables.hasData('queriesTable');
+        if (!hasData) tables.showLoading('queriesTable');
 
-        try {
-            // All tabs now use historical data with time range
-            const hours = document.getElementById('queryHistoryRange')?.value || 1;
-            const sortBy = type === 'cpu' ? 'cpu' : type === 'io' ? 'io' : 'elapsed';
-            const url = `/api/queries/history?hours=${hours}&sortBy=${sortBy}&_=${Date.now()}`;
+        // All tabs now use historical data with time range
+        const readHours = () => document.getElementById('queryHistoryRange')?.value || 1;
+        const hours = readHours();
+        const range = this.focusRange;
 
-            const response = await this.fetchWithAuth(url);
-            const result = await response.json();
+        // A late response (or background refresh) for another tab or range must not
+        // land in the table after the user has moved on
+        const isCurrent = () => this.currentQueryTab === type
+            && this.focusRange === range
+            && readHours() === hours;
+
+        // Cached results render immediately; a background refresh re-renders if they changed
+        const render = result => {
+            if (!isCurrent()) return;
 
             // Handle paginated response - extract items array
             const data = result.items || result || [];
 
             this.dataCache.queries = data;
-            this.renderQueriesTable(data);
-        } catch (error) {
-            console.error('Failed to load queries:', error);
-            if (!hasData) tbody.innerHTML = '<tr><td colspan="9" class="empty-state">Failed to load data</td></tr>';
-        }
-    }
-
-    renderQueriesTable(data) {
-        const tbody = document.querySelector('#queriesTable tbody');
-        const state = this.sortState.queriesTable;
-
-        const sortedData = this.sortData(data, state.col, state.dir);
-
-        tbody.innerHTML = '';
+            tables.render('queriesTable', data);
+        };
 
-        if (!sortedData || sortedData.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="9" class="empty-state">No query data available</td></tr>';
-            return;
+        try {
+            const sortBy = type === 'cpu' ? 'cpu' : type === 'io' ? 'io' : 'elapsed';
+            render(range
+                ? await window.apiClient.getQueryHistoryByRange(
+                    new Date(range.from).toISOString(), new Date(range.to).toISOString(),
+                    sortBy, 1, 50, { onRevalidate: render })
+                : await window.apiClient.getQueryHistory(hours, sortBy, 1, 50, { onRevalidate: render }));
+        } catch (error) {
+            if (error.kind === 'cancelled' || !isCurrent()) return;
+            this.reportError('Failed to load queries', error);
+            if (!hasData) tables.showError('queriesTable', error);
         }
-
-        sortedData.forEach(query => {
-            const row = document.createElement('tr');
-            row.innerHTML = `
-                <td>${query.databaseName || 'Unknown'}</td>
-                <td class="query-text" title="${this.escapeHtml(query.queryText)}">${this.escapeHtml(query.queryText)}</td>
-                <td class="number">${this.formatNumber(query.executionCount)}</td>
-                <td class="number">${this.formatNumber(Math.round(query.avgCpuTimeMs))}</td>
-                <td class="number">${this.formatNumber(Math.round(query.totalCpuTimeMs))}</td>
-                <td class="number">${this.formatNumber(query.avgLogicalReads)}</td>
-                <td class="number">${this.formatNumber(query.avgLogicalWrites)}</td>
-                <td class="number">${this.formatNumber(Math.round(query.avgElapsedTimeMs))}</td>
-                <td>${this.formatDate(query.lastExecutionTime)}</td>
-            `;
-            row.querySelector('.query-text').addEventListener('click', () => {
-                this.showQueryModal(query.queryText, query.executionPlan, query.queryHash);
-            });
-            tbody.appendChild(row);
-        });
     }
 
     async loadMissingIndexes() {
-        const tbody = document.querySelector('#indexesTable tbody');
-
-        // Show loading indicator
-        tbody.innerHTML = '<tr><td colspan="8" class="loading-row"><span class="loading"></span> Loading...</td></tr>';
+        const tables = window.tableManager;
 
-        try {
-            const response = await this.fetchWithAuth('/api/indexes/missing?top=50');
-            const result = await response.json();
+        // Show loading indicator unless cached rows are already on screen
+        const hasData = tables.hasData('indexesTable');
+        if (!hasData) tables.showLoading('indexesTable');
 
+        const render = result => {
             // Handle paginated response
             const data = result.items || result || [];
 
             this.dataCache.indexes = data;
-            this.renderIndexesTable(data);
+            tables.render('indexesTable', data);
+        };
 
+        try {
+            render(await window.apiClient.getMissingIndexes(50, 1, 25, { onRevalidate: render }));
         } catch (error) {
-            console.error('Failed to load missing indexes:', error);
-            tbody.innerHTML = '<tr><td colspan="8" class="empty-state">Failed to load data</td></tr>';
-        }
-    }
-
-    renderIndexesTable(data) {
-        const tbody = document.querySelector('#indexesTable tbody');
-        const state = this.sortState.indexesTable;
-        const sortedData = this.sortData(data, state.col, state.dir);
-
-        tbody.innerHTML = '';
-
-        if (!sortedData || sortedData.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="8" class="empty-state">No missing index recommendations</td></tr>';
-            return;
+            if (error.kind === 'cancelled') return;
+            this.reportError('Failed to load missing indexes', error);
+            if (!hasData) tables.showError('indexesTable', error);
         }
-
-        sortedData.forEach(index => {
-            const row = document.createElement('tr');
-            row.innerHTML = `
-                <td>${index.databaseName}</td>
-                <td>${index.schemaName}.${index.tableName}</td>
-                <td class="number">${this.formatNumber(Math.round(index.improvementMeasure))}</td>
-                <td class="number">${this.formatNumber(index.userSeeks)}</td>
-                <td class="number">${index.avgUserImpact.toFixed(1)}%</td>
-                <td>${index.equalityColumns || '-'}</td>
-                <td>${index.inequalityColumns || '-'}</td>
-                <td>
-                    <button class="copy-code" onclick="navigator.clipboard.writeText('${this.escapeHtml(index.createIndexStatement)}')">Copy</button>
-                </td>
-            `;
-            tbody.appendChild(row);
-        });
     }
 
     async loadBlockingSessions(fullTable = false) {
-        // Show loading indicators first
-        if (!fullTable) {
-            const dashboardTbody = document.querySelector('#blockingTable tbody');
-            dashboardTbody.innerHTML = '<tr><td colspan="3" class="loading-row"><span class="loading"></span> Loading...</td></tr>';
-        }
-        if (fullTable || this.currentSection === 'blocking') {
-            const fullTbody = document.querySelector('#blockingFullTable tbody');
-            fullTbody.innerHTML = '<tr><td colspan="9" class="loading-row"><span class="loading"></span> Loading...</td></tr>';
-        }
+        const tables = window.tableManager;
+        const showFull = fullTable || this.currentSection === 'blocking';
+
+        // Show loading indicators first; the dashboard widget keeps its rows while refreshing
+        if (!fullTable && !tables.hasData('blockingTable')) tables.showLoading('blockingTable');
+        if (fullTable || (showFull && !tables.hasData('blockingFullTable'))) tables.showLoading('blockingFullTable');
 
         try {
-            const response = await this.fetchWithAuth('/api/blocking/active');
-            const data = await response.json();
+            const data = await window.apiClient.getBlockingSessions();
 
             this.dataCache.blocking = data;
 
             // Update dashboard quick view
-            if (!fullTable) this.renderBlockingTable(data, false);
+            if (!fullTable) tables.render('blockingTable', data);
 
             // Update full table if on blocking section
-            if (fullTable || this.currentSection === 'blocking') {
+            if (showFull) {
                 document.getElementById('blockingCount').textContent = `${data.length} Blocked`;
-                this.renderBlockingTable(data, true);
+                tables.render('blockingFullTable', data);
             }
 
         } catch (error) {
-            console.error('Failed to load blocking sessions:', error);
-        }
-    }
-
-    renderBlockingTable(data, fullTable) {
-        if (!fullTable) {
-            const tbody = document.querySelector('#blockingTable tbody');
-            // Dashboard widget: Apply sort, but typically just top N
-            const state = this.sortState.blockingTable;
-            // Default dashboard expectation: Most blocked/highest wait?
-            // Existing logic slices 5. We will sort ALL then slice 5.
-            const sortedData = this.sortData(data, state.col, state.dir);
-
-            tbody.innerHTML = '';
-
-            if (!sortedData || sortedData.length === 0) {
-                tbody.innerHTML = '<tr><td colspan="3" class="empty-state">No active blocking</td></tr>';
-            } else {
-                sortedData.slice(0, 5).forEach(session => {
-                    const row = document.createElement('tr');
-                    if (session.isLeadBlocker) row.className = 'lead-blocker';
-                    row.innerHTML = `
-                        <td>${session.sessionId}</td>
-                        <td>${session.blockingSessionId || '-'}</td>
-                        <td class="number">${this.formatNumber(session.waitTimeMs)}</td>
-                    `;
-                    tbody.appendChild(row);
-                });
-            }
-        } else {
-            const tbody = document.querySelector('#blockingFullTable tbody');
-            const state = this.sortState.blockingFullTable;
-            const sortedData = this.sortData(data, state.col, state.dir);
-
-            tbody.innerHTML = '';
-
-            if (!sortedData || sortedData.length === 0) {
-                tbody.innerHTML = '<tr><td colspan="9" class="empty-state">No active blocking sessions</td></tr>';
-                return;
-            }
-
-            sortedData.forEach(session => {
-                const row = document.createElement('tr');
-                if (session.isLeadBlocker) row.className = 'lead-blocker';
-                row.innerHTML = `
-                    <td>${session.sessionId}</td>
-                    <td>${session.blockingSessionId || '-'}</td>
-                    <td><span class="badge ${session.status === 'running' ? 'success' : 'warning'}">${session.status}</span></td>
-                    <td>${session.waitType || '-'}</td>
-                    <td class="number">${this.formatNumber(session.waitTimeMs)}</td>
-                    <td>${session.databaseName}</td>
-                    <td>${session.hostName}</td>
-                    <td>${session.loginName}</td>
-                    <td class="query-text" title="${this.escapeHtml(session.queryText)}">${this.escapeHtml(session.queryText)}</td>
-                `;
-                const queryCell = row.querySelector('.query-text');
-                if (queryCell && session.queryText) {
-                    queryCell.addEventListener('click', () => {
-                        this.showQueryModal(session.queryText, session.executionPlan);
-                    });
-                }
-                tbody.appendChild(row);
-            });
+            if (error.kind === 'cancelled') return;
+            this.reportError('Failed to load blocking sessions', error);
+            if (!fullTable) tables.showError('blockingTable', error);
+            if (showFull) tables.showError('blockingFullTable', error);
+            return false;
         }
     }
 
     async loadLocks() {
-        const tbody = document.querySelector('#locksTable tbody');
+        const tables = window.tableManager;
 
-        // Show loading indicator
-        tbody.innerHTML = '<tr><td colspan="9" class="loading-row"><span class="loading"></span> Loading...</td></tr>';
-
-        try {
-            const response = await this.fetchWithAuth('/api/locks/current');
-            const result = await response.json();
+        // Show loading indicator unless cached rows are already on screen
+        const hasData = tables.hasData('locksTable');
+        if (!hasData) tables.showLoading('locksTable');
 
+        const render = result => {
             // Handle paginated response (new format) or array (legacy)
             const data = result.items || result || [];
 
             this.dataCache.locks = data;
-            this.renderLocksTable(data);
+            tables.render('locksTable', data);
+        };
 
+        try {
+            render(await window.apiClient.getCurrentLocks(1, 50, { onRevalidate: render }));
         } catch (error) {
-            console.error('Failed to load locks:', error);
-            tbody.innerHTML = '<tr><td colspan="9" class="empty-state">Failed to load data</td></tr>';
+            if (error.kind === 'cancelled') return;
+            this.reportError('Failed to load locks', error);
+            if (!hasData) tables.showError('locksTable', error);
         }
     }
 
-    renderLocksTable(data) {
-        const tbody = document.querySelector('#locksTable tbody');
-        const state = this.sortState.locksTable;
-        const sortedData = this.sortData(data, state.col, state.dir);
-
-        tbody.innerHTML = '';
-
-        if (!sortedData || sortedData.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="9" class="empty-state">No active locks</td></tr>';
-            return;
-        }
-
-        sortedData.forEach(lock => {
-            const row = document.createElement('tr');
-            row.innerHTML = `
-                <td>${lock.sessionId}</td>
-                <td>${lock.databaseName}</td>
-                <td>${lock.objectName || '-'}</td>
-                <td>${lock.resourceType}</td>
-                <td><span class="badge ${this.getLockModeBadgeClass(lock.requestMode)}">${lock.requestMode}</span></td>
-                <td>${lock.requestStatus}</td>
-                <td class="number">${lock.requestCount}</td>
-                <td>${lock.hostName}</td>
-                <td>${lock.loginName}</td>
-            `;
-            tbody.appendChild(row);
-        });
-    }
-
     getLockModeBadgeClass(mode) {
         const exclusiveModes = ['X', 'IX', 'SIX', 'UIX'];
         const sharedModes = ['S', 'IS'];
@@ -1458,18 +2345,14 @@ class SqlMonitorApp {
                 savePlanBtn.style.display = 'none';
 
                 try {
-                    const response = await this.fetchWithAuth(`/api/queries/plan/${this.currentQueryHash}`);
-                    if (response.ok) {
-                        const data = await response.json();
-                        this.currentExecutionPlan = data.executionPlan;
-                        planDetail.textContent = this.formatXml(this.currentExecutionPlan);
-                        savePlanBtn.style.display = 'inline-flex';
-                    } else {
-                        const err = await response.json();
-                        planDetail.textContent = `Failed to load plan: ${err.message || 'Unknown error'}`;
-                    }
+                    const data = await window.apiClient.getQueryPlan(this.currentQueryHash);
+                    this.currentExecutionPlan = data.executionPlan;
+                    planDetail.textContent = this.formatXml(this.currentExecutionPlan);
+                    savePlanBtn.style.display = 'inline-flex';
                 } catch (e) {
-                    planDetail.textContent = `Error loading plan: ${e.message}`;
+                    // The plan endpoint returns a readable message for missing plans
+                    const message = e.kind === 'not-found' || e.kind === 'validation' ? e.message : (e.userMessage || e.message);
+                    planDetail.textContent = `Failed to load plan: ${message}`;
                 } finally {
                     viewPlanBtn.disabled = false;
                 }
@@ -1537,13 +2420,22 @@ class SqlMonitorApp {
     async showBlockingHistory() {
         const modal = document.getElementById('blockingHistoryModal');
         modal.classList.add('active');
-        const tbody = document.querySelector('#blockingHistoryTable tbody');
-        tbody.innerHTML = '<tr><td colspan="4" class="loading-row"><span class="loading"></span> Loading history...</td></tr>';
+        window.tableManager.showLoading('blockingHistoryTable', 'Loading history...');
+        this.updateBlockingHistoryNotice(null);
 
         try {
-            const response = await this.fetchWithAuth(`/api/metrics/blocking-history?rangeSeconds=172800&_=${Date.now()}`); // 2 days
-            const result = await response.json();
-            const data = result.items || result || [];
+            // Blocking history is a rolling window (oldest first), so load back
+            // to the start of a chart selection and stop at its end
+            const range = this.focusRange;
+            const rangeSeconds = range ? Math.ceil((Date.now() - range.from) / 1000) : 172800; // 2 days
+            const result = await window.apiClient.getAllBlockingHistory(rangeSeconds, {
+                maxItems: this.blockingHistoryMaxPoints,
+                stopAt: range ? point => new Date(point.timestamp).getTime() > range.to : null
+            });
+            const data = range
+                ? result.items.filter(point => new Date(point.timestamp).getTime() >= range.from)
+                : result.items;
+            this.updateBlockingHistoryNotice(result);
 
             // Process data
             const history = [];
@@ -1567,41 +2459,38 @@ class SqlMonitorApp {
             });
 
             this.dataCache.blockingHistory = history;
-            this.renderBlockingHistoryTable(history);
+            window.tableManager.render('blockingHistoryTable', history);
 
         } catch (error) {
-            console.error(error);
-            tbody.innerHTML = '<tr><td colspan="4" class="empty-state">Failed to load history</td></tr>';
+            if (error.kind === 'cancelled') return;
+            this.reportError('Failed to load blocking history', error);
+            window.tableManager.showError('blockingHistoryTable', error, 'Failed to load history');
         }
     }
 
-    renderBlockingHistoryTable(data) {
-        const tbody = document.querySelector('#blockingHistoryTable tbody');
-        const state = this.sortState.blockingHistoryTable;
-        const sortedData = this.sortData(data, state.col, state.dir);
-
-        tbody.innerHTML = '';
-        if (!sortedData || sortedData.length === 0) {
-            tbody.innerHTML = '<tr><td colspan="4" class="empty-state">No blocking events recorded in history</td></tr>';
-            return;
-        }
-
-        // Limit to top 500 events to prevent browser lag if huge history
-        const displayHistory = sortedData.slice(0, 500);
-
-        displayHistory.forEach(item => {
-            const row = document.createElement('tr');
-            row.innerHTML = `
-                <td>${this.formatDate(item.time)}</td>
-                <td title="${this.escapeHtml(item.blocked)}">${this.escapeHtml(item.blocked)}</td>
-                <td title="${this.escapeHtml(item.blocker)}">${this.escapeHtml(item.blocker)}</td>
-                <td class="number">${this.formatNumber(item.wait)}</td>
-            `;
-            tbody.appendChild(row);
-        });
+    /**
+     * Warn when the blocking history hit its sample limit before the end of the range
+     */
+    updateBlockingHistoryNotice(result) {
+        const notice = document.getElementById('blockingHistoryNotice');
+        if (!notice) return;
+
+        const last = result?.items[result.items.length - 1];
+        notice.textContent = result?.truncated && last
+            ? `Showing the first ${this.formatNumber(result.items.length)} of ${this.formatNumber(result.totalCount)} samples, up to ${this.formatDate(last.timestamp)}. Select a shorter range to see the rest.`
+            : '';
+        notice.style.display = notice.textContent ? '' : 'none';
     }
 
     // Utility functions
+    /**
+     * Set an element's text if it is on the page (dashboard widgets can be removed)
+     */
+    setText(id, text) {
+        const el = document.getElementById(id);
+        if (el) el.textContent = text;
+    }
+
     formatNumber(num) {
         if (num === null || num === undefined) return '-';
         return new Intl.NumberFormat().format(num);
@@ -1631,6 +2520,28 @@ class SqlMonitorApp {
         return uptime;
     }
 
+    /**
+     * .NET TimeSpan string in milliseconds, or null if it cannot be read
+     */
+    parseUptimeMs(uptime) {
+        const match = uptime?.match(/^(?:(\d+)\.)?(\d{2}):(\d{2}):(\d{2})/);
+        if (!match) return null;
+
+        const [, days = 0, hours, minutes, seconds] = match;
+        return (((parseInt(days) * 24 + parseInt(hours)) * 60 + parseInt(minutes)) * 60 + parseInt(seconds)) * 1000;
+    }
+
+    /**
+     * Short human duration, e.g. "45s", "12m 5s", "3h 20m"
+     */
+    formatDuration(ms) {
+        const seconds = Math.round(ms / 1000);
+        if (seconds < 60) return `${seconds}s`;
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes}m ${seconds % 60}s`;
+        return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    }
+
     truncateText(text, maxLen) {
         if (!text) return '-';
         text = text.replace(/\s+/g, ' ').trim();
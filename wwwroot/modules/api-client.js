@@ -1,11 +1,167 @@
 /**
  * API Client Module
- * Handles all API communication with the backend
+ * Handles all API communication with the backend.
+ *
+ * Every request goes through request(), which:
+ * - injects the active SQL Server connection (X-Connection-Id)
+ * - applies a per-request timeout
+ * - converts failures into typed errors (see ApiError subclasses below)
+ * - shares identical GETs that are already in flight (see getStats)
+ *
+ * Expensive monitoring endpoints can be read through getCached(), a
+ * per-connection stale-while-revalidate cache backed by ETags.
+ *
+ * The network itself is delegated to a transport (see api-transport.js),
+ * which can be swapped for fixture replay or recording.
+ *
+ * When the session expires, 401 responses are held while the auth handler
+ * gets the user signed in again, then replayed (see setAuthHandler).
+ *
+ * The same file runs under Node 18+ for scripts and the CLI in tools/:
+ *   const { ApiClient } = require('./wwwroot/modules/api-client.js');
+ *   const client = new ApiClient({ baseUrl: 'https://monitor', apiKey, connectionId });
  */
+
+/**
+ * Base class for all API failures.
+ * `kind` lets callers branch without instanceof checks; `userMessage`
+ * is safe to show in a panel or toast.
+ */
+class ApiError extends Error {
+    constructor(message, { status = 0, details = null, body = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.kind = 'unknown';
+        this.status = status;
+        this.details = details;
+        this.body = body;
+    }
+
+    get userMessage() {
+        return this.message || 'Unexpected error';
+    }
+}
+
+/** 401/403 - session expired or missing permissions */
+class AuthError extends ApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'AuthError';
+        this.kind = 'auth';
+    }
+
+    get userMessage() {
+        return this.status === 403
+            ? 'You do not have permission to view this data.'
+            : 'Your session has expired. Please sign in again.';
+    }
+}
+
+/** 404 - endpoint or resource does not exist */
+class NotFoundError extends ApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'NotFoundError';
+        this.kind = 'not-found';
+    }
+
+    get userMessage() {
+        return 'The requested data was not found.';
+    }
+}
+
+/** 400/409/422 - request rejected; the server message is meant for the user */
+class ValidationError extends ApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'ValidationError';
+        this.kind = 'validation';
+    }
+}
+
+/** 5xx and 429 - server failed or is throttling us */
+class ServerError extends ApiError {
+    constructor(message, options) {
+        super(message, options);
+        this.name = 'ServerError';
+        this.kind = 'server';
+    }
+
+    get userMessage() {
+        if (this.status === 429) return 'Too many requests. Please wait a moment.';
+        return `The server encountered an error (${this.status}). Please try again.`;
+    }
+}
+
+/** Request never got a response: offline, DNS, CORS or timeout */
+class NetworkError extends ApiError {
+    constructor(message, { timedOut = false, ...options } = {}) {
+        super(message, options);
+        this.name = 'NetworkError';
+        this.kind = 'network';
+        this.timedOut = timedOut;
+    }
+
+    get userMessage() {
+        return this.timedOut
+            ? 'The request timed out. The server may be busy.'
+            : 'Unable to reach the server. Check your network connection.';
+    }
+}
+
+/**
+ * Request was aborted because the view or connection changed.
+ * Loaders should drop these silently instead of rendering an error.
+ */
+class CancelledError extends ApiError {
+    constructor(message = 'Request cancelled') {
+        super(message);
+        this.name = 'CancelledError';
+        this.kind = 'cancelled';
+    }
+}
+
 class ApiClient {
-    constructor() {
-        this.baseUrl = '';
-        this.apiKey = null;
+    /**
+     * Options are only needed outside the browser, where there is no page
+     * origin to resolve relative URLs against.
+     */
+    constructor({ baseUrl = '', apiKey = null, connectionId = null, timeoutMs = 30000, transport = null } = {}) {
+        this.baseUrl = baseUrl;
+        this.apiKey = apiKey;
+        this.connectionId = connectionId;
+        this.defaultTimeoutMs = timeoutMs;
+        this.transport = transport || ApiClient.createDefaultTransport();
+
+        // Identical concurrent GETs share one promise (key -> promise)
+        this.inFlight = new Map();
+        this.stats = { issued: 0, coalesced: 0 };
+
+        // Re-login hook for expired sessions; requests wait on reauthPromise
+        this.authHandler = null;
+        this.reauthPromise = null;
+
+        // Connection-scoped requests share this controller; beginScope() aborts them
+        this.scopeController = new AbortController();
+        this.scopeVersion = 0;
+
+        // Response cache: key -> { data, etag, fetchedAt }
+        this.cache = new Map();
+        this.cacheTtls = {
+            '/api/queries/history': 60000,
+            '/api/indexes/missing': 300000,
+            '/api/locks/current': 15000
+        };
+    }
+
+    /**
+     * FetchTransport is a global in the browser and a CommonJS module in Node
+     */
+    static createDefaultTransport() {
+        const { FetchTransport } = typeof window !== 'undefined' && window.FetchTransport
+            ? window
+            : require('./api-transport.js');
+        return new FetchTransport();
     }
 
     /**
@@ -16,98 +172,571 @@ class ApiClient {
     }
 
     /**
-     * Build headers including API key if set
+     * Register the function that signs the user in again after a 401.
+     * It must return a promise that resolves once a new session exists
+     * (or rejects to give up). Every request that hit the 401 waits for
+     * it and is then replayed once.
+     */
+    setAuthHandler(handler) {
+        this.authHandler = handler;
+    }
+
+    /**
+     * Swap the transport (e.g. FixtureTransport for demo mode).
+     * Cached responses came from the old transport and are dropped.
      */
-    getHeaders() {
+    setTransport(transport) {
+        this.transport = transport;
+        this.clearCache();
+        this.beginScope();
+    }
+
+    /**
+     * Set the SQL Server connection that monitoring requests are scoped to
+     */
+    setConnectionId(connectionId) {
+        const next = connectionId || null;
+        if (next !== this.connectionId) {
+            this.connectionId = next;
+            this.beginScope();
+        }
+    }
+
+    /**
+     * Start a new request scope, cancelling every scoped request still in flight.
+     * Called when the visible section or the active connection changes so
+     * responses for the previous view are never rendered.
+     */
+    beginScope() {
+        this.scopeController.abort();
+        this.scopeController = new AbortController();
+        this.scopeVersion++;
+    }
+
+    /**
+     * Build headers including API key and active connection if set
+     */
+    getHeaders(extra = {}) {
         const headers = {
             'Content-Type': 'application/json'
         };
         if (this.apiKey) {
             headers['X-API-Key'] = this.apiKey;
         }
-        return headers;
+        if (this.connectionId) {
+            headers['X-Connection-Id'] = this.connectionId;
+        }
+        return { ...headers, ...extra };
     }
 
     /**
-     * Make a GET request
+     * Build an absolute URL, skipping null/undefined query parameters
      */
-    async get(endpoint, params = {}) {
-        const url = new URL(endpoint, window.location.origin);
+    buildUrl(endpoint, params = {}) {
+        const base = this.baseUrl || globalThis.location?.origin;
+        if (!base) {
+            throw new Error('ApiClient requires a baseUrl when not running in a browser');
+        }
+        const url = new URL(endpoint, base);
         Object.entries(params).forEach(([key, value]) => {
             if (value !== undefined && value !== null) {
                 url.searchParams.append(key, value);
             }
         });
+        return url.toString();
+    }
 
-        const response = await fetch(url.toString(), {
-            method: 'GET',
-            headers: this.getHeaders()
-        });
+    /**
+     * Perform a request and return the parsed body.
+     *
+     * Options:
+     * - params: query string values
+     * - body: object sent as JSON
+     * - headers: extra headers
+     * - timeout: milliseconds before the request is aborted (default 30s)
+     * - requireConnection: fail fast when no connection is selected
+     * - scoped: cancel when beginScope() is called (defaults to requireConnection)
+     * - ifNoneMatch: ETag to revalidate; a 304 resolves with notModified
+     * - withMeta: resolve with { data, etag, notModified } instead of the body
+     * - skipAuthRetry: surface a 401 immediately instead of waiting for re-login
+     * - coalesce: share an identical GET already in flight (default true)
+     *
+     * Coalesced callers receive the same parsed body, so treat it as read-only.
+     */
+    async request(method, endpoint, options = {}) {
+        if (method !== 'GET' || options.coalesce === false) {
+            return this.execute(method, endpoint, options);
+        }
 
-        if (!response.ok) {
-            throw new Error(`API error: ${response.status} ${response.statusText}`);
+        const key = this.getInFlightKey(endpoint, options);
+        const pending = this.inFlight.get(key);
+        if (pending) {
+            this.stats.coalesced++;
+            return pending;
         }
 
-        return response.json();
+        const promise = this.execute(method, endpoint, options)
+            .finally(() => this.inFlight.delete(key));
+        this.inFlight.set(key, promise);
+        return promise;
     }
 
     /**
-     * Make a POST request
+     * Identical GETs share a key: same URL, connection, scope and response shape.
+     * Scoped requests include the scope version so a new view never joins a
+     * request that is about to be cancelled.
      */
-    async post(endpoint, data) {
-        const response = await fetch(endpoint, {
-            method: 'POST',
-            headers: this.getHeaders(),
-            body: JSON.stringify(data)
-        });
+    getInFlightKey(endpoint, options) {
+        const { params = {}, headers = {}, requireConnection = false, scoped = requireConnection } = options;
+        return [
+            this.buildUrl(endpoint, params),
+            this.connectionId || '',
+            scoped ? this.scopeVersion : '-',
+            options.ifNoneMatch || '',
+            options.withMeta ? 'meta' : '',
+            JSON.stringify(headers)
+        ].join('|');
+    }
+
+    /**
+     * Request counters: issued (sent to the transport) and coalesced
+     * (served by a request already in flight)
+     */
+    getStats() {
+        return { ...this.stats, inFlight: this.inFlight.size };
+    }
+
+    resetStats() {
+        this.stats = { issued: 0, coalesced: 0 };
+    }
 
-        const result = await response.json();
-        
-        if (!response.ok) {
-            // Extract error message from response
-            const errorMessage = result.error || result.message || `API error: ${response.status} ${response.statusText}`;
-            const error = new Error(errorMessage);
-            error.status = response.status;
-            error.details = result.details;
-            error.requiresEmailConfirmation = result.requiresEmailConfirmation;
-            throw error;
+    /**
+     * Send a single request; see request() for options
+     */
+    async execute(method, endpoint, options = {}) {
+        const {
+            params = {},
+            body,
+            headers = {},
+            timeout = this.defaultTimeoutMs,
+            requireConnection = false,
+            scoped = requireConnection,
+            ifNoneMatch = null,
+            withMeta = false,
+            skipAuthRetry = false
+        } = options;
+
+        if (requireConnection && !this.connectionId) {
+            throw new ValidationError('No active connection selected');
         }
 
-        return result;
+        const controller = new AbortController();
+        let timedOut = false;
+        const timer = timeout > 0
+            ? setTimeout(() => { timedOut = true; controller.abort(); }, timeout)
+            : null;
+
+        // Link to the current scope so a section/connection change aborts this request
+        const scopeSignal = scoped ? this.scopeController.signal : null;
+        const scopeVersion = this.scopeVersion;
+        const onScopeAbort = () => controller.abort();
+        scopeSignal?.addEventListener('abort', onScopeAbort);
+        const isStale = () => scoped && scopeVersion !== this.scopeVersion;
+
+        let response;
+        try {
+            this.stats.issued++;
+            response = await this.transport.send({
+                method,
+                url: this.buildUrl(endpoint, params),
+                headers: this.getHeaders(ifNoneMatch ? { ...headers, 'If-None-Match': ifNoneMatch } : headers),
+                body: body !== undefined ? JSON.stringify(body) : undefined,
+                // Revalidation is handled here, keep the browser cache out of it
+                cache: ifNoneMatch ? 'no-store' : 'default',
+                signal: controller.signal
+            });
+        } catch (error) {
+            if (isStale()) throw new CancelledError();
+            throw new NetworkError(
+                timedOut ? `Request timed out after ${timeout} ms` : (error.message || 'Network request failed'),
+                { timedOut });
+        } finally {
+            if (timer) clearTimeout(timer);
+            scopeSignal?.removeEventListener('abort', onScopeAbort);
+        }
+
+        const notModified = response.status === 304 && !!ifNoneMatch;
+        const result = notModified ? null : await this.parseBody(response);
+
+        // The view may have changed while the body was being read
+        if (isStale()) {
+            throw new CancelledError();
+        }
+
+        // Expired session: hold the request until the user signs in, then replay it
+        if (response.status === 401 && !skipAuthRetry && this.authHandler && !endpoint.startsWith('/api/auth/')) {
+            try {
+                await this.waitForReauthentication();
+            } catch {
+                throw this.createError(response, result);
+            }
+            if (isStale()) throw new CancelledError();
+            return this.execute(method, endpoint, { ...options, skipAuthRetry: true });
+        }
+
+        if (!response.ok && !notModified) {
+            throw this.createError(response, result);
+        }
+
+        return withMeta
+            ? { data: result, etag: response.headers.get('ETag'), notModified }
+            : result;
+    }
+
+    /**
+     * One re-login for any number of concurrent 401s
+     */
+    waitForReauthentication() {
+        if (!this.reauthPromise) {
+            this.reauthPromise = Promise.resolve()
+                .then(() => this.authHandler())
+                .finally(() => { this.reauthPromise = null; });
+        }
+        return this.reauthPromise;
+    }
+
+    /**
+     * Parse JSON bodies; fall back to text for anything else
+     */
+    async parseBody(response) {
+        if (response.status === 204) return null;
+
+        const contentType = response.headers.get('Content-Type') || '';
+        try {
+            if (contentType.includes('application/json')) {
+                return await response.json();
+            }
+            const text = await response.text();
+            return text || null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Map an HTTP failure onto the matching ApiError subclass
+     */
+    createError(response, result) {
+        const body = result && typeof result === 'object' ? result : null;
+        const message = body?.error || body?.message
+            || (typeof result === 'string' && result.length < 200 ? result : null)
+            || `API error: ${response.status} ${response.statusText}`;
+        const options = { status: response.status, details: body?.details ?? null, body };
+
+        let error;
+        if (response.status === 401 || response.status === 403) {
+            error = new AuthError(message, options);
+        } else if (response.status === 404) {
+            error = new NotFoundError(message, options);
+        } else if (response.status === 429 || response.status >= 500) {
+            error = new ServerError(message, options);
+        } else {
+            error = new ValidationError(message, options);
+        }
+
+        // Auth endpoints flag unconfirmed accounts on the error body
+        error.requiresEmailConfirmation = body?.requiresEmailConfirmation;
+        return error;
+    }
+
+    /**
+     * Make a GET request
+     */
+    async get(endpoint, params = {}, options = {}) {
+        return this.request('GET', endpoint, { ...options, params });
+    }
+
+    /**
+     * Make a POST request
+     */
+    async post(endpoint, data, options = {}) {
+        return this.request('POST', endpoint, { ...options, body: data });
+    }
+
+    /**
+     * Make a PUT request
+     */
+    async put(endpoint, data, options = {}) {
+        return this.request('PUT', endpoint, { ...options, body: data });
+    }
+
+    /**
+     * Make a PATCH request
+     */
+    async patch(endpoint, data, options = {}) {
+        return this.request('PATCH', endpoint, { ...options, body: data });
     }
 
     /**
      * Make a DELETE request
      */
-    async delete(endpoint) {
-        const response = await fetch(endpoint, {
-            method: 'DELETE',
-            headers: this.getHeaders()
+    async delete(endpoint, options = {}) {
+        return this.request('DELETE', endpoint, options);
+    }
+
+    /**
+     * GET scoped to the active SQL Server connection
+     */
+    async getScoped(endpoint, params = {}, options = {}) {
+        return this.get(endpoint, params, { ...options, requireConnection: true });
+    }
+
+    /**
+     * Iterate over every page of a PagedResult endpoint, following the
+     * page/totalPages metadata. Yields one PagedResult per page.
+     *
+     * Options: pageSize (default 1000, the server maximum), startPage,
+     * plus any request option (requireConnection defaults to true).
+     */
+    async *paginate(endpoint, params = {}, options = {}) {
+        const { pageSize = 1000, startPage = 1, ...requestOptions } = options;
+        const request = { requireConnection: true, ...requestOptions };
+
+        let page = startPage;
+        while (true) {
+            const result = await this.get(endpoint, { ...params, page, pageSize }, request);
+
+            // Legacy endpoints return a bare array: treat it as a single page
+            if (Array.isArray(result)) {
+                yield { items: result, page: 1, pageSize: result.length, totalCount: result.length, totalPages: 1 };
+                return;
+            }
+
+            yield result;
+
+            const items = result?.items || [];
+            if (items.length === 0 || !(result.page < result.totalPages)) return;
+            page = result.page + 1;
+        }
+    }
+
+    /**
+     * Collect the items of every page into one array.
+     *
+     * Options:
+     * - maxItems: stop once this many items are collected (default 20000)
+     * - onProgress({ loaded, totalCount, page, totalPages }): called after each page
+     * - stopAt(item): stop at the first item it returns true for, leaving that
+     *   item and the rest out (e.g. the end of a time range on ordered pages)
+     * - anything accepted by paginate()
+     *
+     * Resolves with { items, totalCount, truncated }; truncated is true when
+     * the server had more items than maxItems allowed (before any stopAt item).
+     */
+    async fetchAllPages(endpoint, params = {}, options = {}) {
+        const { maxItems = 20000, onProgress = null, stopAt = null, ...pageOptions } = options;
+        const items = [];
+        let totalCount = 0;
+        let stopped = false;
+        let overLimit = false;
+
+        for await (const page of this.paginate(endpoint, params, pageOptions)) {
+            totalCount = page.totalCount ?? items.length + page.items.length;
+
+            let pageItems = page.items;
+            const stopIndex = stopAt ? pageItems.findIndex(stopAt) : -1;
+            if (stopIndex !== -1) {
+                pageItems = pageItems.slice(0, stopIndex);
+                stopped = true;
+            }
+            overLimit = overLimit || pageItems.length > maxItems - items.length;
+            items.push(...pageItems.slice(0, maxItems - items.length));
+
+            if (onProgress) {
+                onProgress({ loaded: items.length, totalCount, page: page.page, totalPages: page.totalPages });
+            }
+            if (stopped || items.length >= maxItems) break;
+        }
+
+        return { items, totalCount, truncated: overLimit || (!stopped && totalCount > items.length) };
+    }
+
+    /**
+     * Scoped GET served from the per-connection cache (stale-while-revalidate).
+     *
+     * - fresh entry (younger than ttl): returned without a request
+     * - stale entry: returned immediately, then revalidated in the background
+     *   with If-None-Match; onRevalidate(data) is called only if it changed
+     * - no entry or force: fetched and cached before returning
+     */
+    async getCached(endpoint, params = {}, options = {}) {
+        const {
+            ttl = this.cacheTtls[endpoint] ?? 30000,
+            force = false,
+            onRevalidate = null,
+            ...requestOptions
+        } = options;
+
+        if (!this.connectionId) {
+            throw new ValidationError('No active connection selected');
+        }
+
+        const key = this.getCacheKey(endpoint, params);
+        const entry = this.cache.get(key);
+
+        if (entry && !force) {
+            if (Date.now() - entry.fetchedAt < ttl) {
+                return entry.data;
+            }
+
+            this.revalidate(key, endpoint, params, entry, requestOptions)
+                .then(changed => {
+                    if (changed && onRevalidate) onRevalidate(this.cache.get(key).data);
+                })
+                .catch(error => {
+                    if (error.kind !== 'cancelled') {
+                        console.warn(`Background refresh of ${endpoint} failed:`, error);
+                    }
+                });
+            return entry.data;
+        }
+
+        await this.revalidate(key, endpoint, params, entry, requestOptions);
+        return this.cache.get(key).data;
+    }
+
+    /**
+     * Refresh a cache entry, sending its ETag when we have one.
+     * Resolves true when the cached data changed.
+     */
+    async revalidate(key, endpoint, params, entry, options = {}) {
+        const { data, etag, notModified } = await this.getScoped(endpoint, params, {
+            ...options,
+            ifNoneMatch: entry?.etag || null,
+            withMeta: true
         });
 
-        if (!response.ok) {
-            throw new Error(`API error: ${response.status} ${response.statusText}`);
+        if (notModified && entry) {
+            entry.fetchedAt = Date.now();
+            return false;
         }
 
-        return response.ok;
+        this.cache.set(key, { data, etag, fetchedAt: Date.now() });
+        return true;
+    }
+
+    /**
+     * Cache keys include the connection so servers never share entries
+     */
+    getCacheKey(endpoint, params = {}) {
+        return `${this.connectionId}|${this.buildUrl(endpoint, params)}`;
+    }
+
+    /**
+     * Override the cache TTL for an endpoint (milliseconds)
+     */
+    setCacheTtl(endpoint, ttlMs) {
+        this.cacheTtls[endpoint] = ttlMs;
+    }
+
+    /**
+     * Drop cached responses for one connection, or everything
+     */
+    clearCache(connectionId = null) {
+        if (!connectionId) {
+            this.cache.clear();
+            return;
+        }
+        for (const key of this.cache.keys()) {
+            if (key.startsWith(`${connectionId}|`)) this.cache.delete(key);
+        }
+    }
+
+    /**
+     * Open a Server-Sent Events stream.
+     * EventSource cannot send custom headers, so the connection id (and any
+     * other scoping) has to travel in the query string. Auth uses the cookie.
+     *
+     * handlers: { onOpen, onError, events: { eventName: data => {} } }
+     */
+    openEventStream(endpoint, params = {}, handlers = {}) {
+        const events = handlers.events || {};
+        const source = this.transport.openEventStream(this.buildUrl(endpoint, params), Object.keys(events));
+
+        if (handlers.onOpen) source.onopen = handlers.onOpen;
+        if (handlers.onError) source.onerror = handlers.onError;
+
+        Object.entries(events).forEach(([name, handler]) => {
+            source.addEventListener(name, event => {
+                try {
+                    handler(JSON.parse(event.data));
+                } catch (error) {
+                    console.error(`Invalid ${name} event from ${endpoint}:`, error);
+                }
+            });
+        });
+
+        return source;
     }
 
     // API Endpoints
 
     async getServerHealth() {
-        return this.get('/api/health');
+        return this.getScoped('/api/health');
     }
 
     async getMetricsHistory(rangeSeconds, page = 1, pageSize = 100) {
-        return this.get('/api/metrics/history', { rangeSeconds, page, pageSize });
+        return this.getScoped('/api/metrics/history', { rangeSeconds, page, pageSize });
     }
 
     async getMetricsHistoryByRange(from, to, page = 1, pageSize = 100) {
-        return this.get('/api/metrics/history/range', { from, to, page, pageSize });
+        return this.getScoped('/api/metrics/history/range', { from, to, page, pageSize });
+    }
+
+    /**
+     * A custom range thinned on the server to about `maxPoints` points that
+     * keep each bucket's highs and lows; every item has `samples`, the raw count it covers
+     */
+    async getDownsampledMetricsHistoryByRange(from, to, maxPoints) {
+        return this.getScoped('/api/metrics/history/range', { from, to, maxPoints });
+    }
+
+    /**
+     * The stored metrics `offsetSeconds` before the from/to window, downsampled
+     * to about `maxPoints` and shifted forward onto the window
+     */
+    async getMetricsBaseline(from, to, offsetSeconds, maxPoints) {
+        return this.getScoped('/api/metrics/baseline', { from, to, offsetSeconds, maxPoints });
+    }
+
+    /**
+     * Metric points in a rolling window that are newer than an ISO timestamp,
+     * for appending to charts; see fetchAllPages for options
+     */
+    async getMetricsHistorySince(since, rangeSeconds, options = {}) {
+        return this.fetchAllPages('/api/metrics/history', { rangeSeconds, since }, options);
+    }
+
+    /**
+     * Every metric point between two ISO timestamps; see fetchAllPages for options
+     */
+    async getAllMetricsHistoryByRange(from, to, options = {}) {
+        return this.fetchAllPages('/api/metrics/history/range', { from, to }, options);
     }
 
     async getLatestMetric() {
-        return this.get('/api/metrics/latest');
+        return this.getScoped('/api/metrics/latest');
+    }
+
+    openMetricsStream({ onSnapshot, onOpen, onError } = {}) {
+        if (!this.connectionId) {
+            throw new ValidationError('No active connection selected');
+        }
+        return this.openEventStream('/api/metrics/stream', { connectionId: this.connectionId }, {
+            onOpen,
+            onError,
+            events: { metrics: onSnapshot }
+        });
     }
 
     async getBufferHealth() {
@@ -115,43 +744,75 @@ class ApiClient {
     }
 
     async getBlockingHistory(rangeSeconds) {
-        return this.get('/api/metrics/blocking-history', { rangeSeconds });
+        return this.getScoped('/api/metrics/blocking-history', { rangeSeconds });
+    }
+
+    /**
+     * Every blocking history point in a rolling window; see fetchAllPages for options
+     */
+    async getAllBlockingHistory(rangeSeconds, options = {}) {
+        return this.fetchAllPages('/api/metrics/blocking-history', { rangeSeconds }, options);
+    }
+
+    /**
+     * Connection failures and recoveries recorded by the server
+     */
+    async getConnectionEvents(rangeSeconds) {
+        return this.getScoped('/api/metrics/events', { rangeSeconds });
+    }
+
+    /**
+     * Deployment and config change markers between two ISO timestamps
+     */
+    async getAnnotations(from, to) {
+        return this.getScoped('/api/annotations', { from, to });
     }
 
     async getTopCpuQueries(top = 25, page = 1, pageSize = 25) {
-        return this.get('/api/queries/top-cpu', { top, page, pageSize });
+        return this.getScoped('/api/queries/top-cpu', { top, page, pageSize });
     }
 
     async getActiveCpuQueries(top = 5) {
-        return this.get('/api/queries/active-cpu', { top, _: Date.now() });
+        return this.getScoped('/api/queries/active-cpu', { top, _: Date.now() });
+    }
+
+    async getQueryHistory(hours = 24, sortBy = 'cpu', page = 1, pageSize = 50, cacheOptions = {}) {
+        return this.getCached('/api/queries/history', { hours, sortBy, page, pageSize }, cacheOptions);
+    }
+
+    /**
+     * Query history for queries last run between two ISO timestamps
+     */
+    async getQueryHistoryByRange(from, to, sortBy = 'cpu', page = 1, pageSize = 50, cacheOptions = {}) {
+        return this.getCached('/api/queries/history', { from, to, sortBy, page, pageSize }, cacheOptions);
     }
 
-    async getQueryHistory(hours = 24, sortBy = 'cpu', page = 1, pageSize = 50) {
-        return this.get('/api/queries/history', { hours, sortBy, page, pageSize });
+    async getQueryPlan(queryHash) {
+        return this.getScoped(`/api/queries/plan/${encodeURIComponent(queryHash)}`);
     }
 
     async getTopIoQueries(top = 25, page = 1, pageSize = 25) {
-        return this.get('/api/queries/top-io', { top, page, pageSize });
+        return this.getScoped('/api/queries/top-io', { top, page, pageSize });
     }
 
     async getSlowestQueries(top = 25, page = 1, pageSize = 25) {
-        return this.get('/api/queries/slowest', { top, page, pageSize });
+        return this.getScoped('/api/queries/slowest', { top, page, pageSize });
     }
 
-    async getMissingIndexes(top = 50, page = 1, pageSize = 25) {
-        return this.get('/api/indexes/missing', { top, page, pageSize });
+    async getMissingIndexes(top = 50, page = 1, pageSize = 25, cacheOptions = {}) {
+        return this.getCached('/api/indexes/missing', { top, page, pageSize }, cacheOptions);
     }
 
     async getBlockingSessions() {
-        return this.get('/api/blocking/active');
+        return this.getScoped('/api/blocking/active');
     }
 
-    async getCurrentLocks(page = 1, pageSize = 50) {
-        return this.get('/api/locks/current', { page, pageSize });
+    async getCurrentLocks(page = 1, pageSize = 50, cacheOptions = {}) {
+        return this.getCached('/api/locks/current', { page, pageSize }, cacheOptions);
     }
 
     async getRunningQueries(page = 1, pageSize = 50) {
-        return this.get('/api/running/active', { page, pageSize });
+        return this.getScoped('/api/running/active', { page, pageSize });
     }
 
     async getConnectionSettings() {
@@ -169,7 +830,75 @@ class ApiClient {
     async clearConnection() {
         return this.delete('/api/settings/connection');
     }
+
+    // Multi-connection management
+
+    async getConnections() {
+        return this.get('/api/connections');
+    }
+
+    async addConnection(data) {
+        return this.post('/api/connections', data);
+    }
+
+    async removeConnection(connectionId) {
+        const result = await this.delete(`/api/connections/${encodeURIComponent(connectionId)}`);
+        this.clearCache(connectionId);
+        return result;
+    }
+
+    async testSavedConnection(connectionId) {
+        return this.post(`/api/connections/${encodeURIComponent(connectionId)}/test`);
+    }
+
+    async setConnectionEnabled(connectionId, enabled) {
+        return this.patch(`/api/connections/${encodeURIComponent(connectionId)}/enable`, { enabled });
+    }
+
+    async disconnectConnection(connectionId) {
+        return this.post(`/api/connections/${encodeURIComponent(connectionId)}/disconnect`);
+    }
+
+    async getActiveConnection() {
+        return this.get('/api/connections/active');
+    }
+
+    async setActiveConnection(connectionId) {
+        return this.put('/api/connections/active', { connectionId });
+    }
+
+    // User preferences
+
+    async getPreferences() {
+        return this.get('/api/preferences');
+    }
+
+    async updatePreferences(changes) {
+        return this.patch('/api/preferences', changes);
+    }
+
+    // Authentication
+
+    async getCurrentUser() {
+        return this.get('/api/auth/me');
+    }
 }
 
-// Export singleton instance
-window.apiClient = new ApiClient();
+// Browser: globals plus the shared instance. Node: CommonJS exports.
+const apiClientExports = {
+    ApiClient,
+    ApiError,
+    AuthError,
+    NotFoundError,
+    ValidationError,
+    ServerError,
+    NetworkError,
+    CancelledError
+};
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = apiClientExports;
+}
+if (typeof window !== 'undefined') {
+    Object.assign(window, apiClientExports);
+    window.apiClient = new ApiClient();
+}
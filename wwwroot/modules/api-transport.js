@@ -0,0 +1,299 @@
+/**
+ * API Transport Module
+ * The network layer behind ApiClient. A transport turns a request
+ * description into a fetch-style Response, so the dashboard can run
+ * against the real backend, a recorded fixture bundle, or both at once.
+ *
+ * Transports:
+ * - FetchTransport: talks to the server (default)
+ * - FixtureTransport: replays a JSON bundle with timestamps shifted to "now"
+ * - RecordingTransport: wraps another transport and captures its responses
+ *
+ * Fixture bundle format:
+ * {
+ *   "recordedAt": "2026-01-01T12:00:00Z",
+ *   "responses": { "GET /api/health": [ { "status": 200, "body": {...} }, ... ] },
+ *   "streams": { "/api/metrics/stream": { "metrics": [ {...}, ... ] } }
+ * }
+ * Several samples per endpoint are served in turn as time passes.
+ *
+ * Works in the browser and in Node 18+ (FetchTransport only needs fetch).
+ */
+
+/** Matches ISO-8601 timestamps that should follow the simulated clock */
+const ISO_TIMESTAMP = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/;
+
+/**
+ * Build a JSON Response the same way the server would
+ */
+function jsonResponse(status, body) {
+    return new Response(body === null || body === undefined ? null : JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+/**
+ * Resolve after `ms`, rejecting like fetch does if the signal aborts first
+ */
+function abortableDelay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal?.aborted) {
+            reject(new DOMException('The operation was aborted.', 'AbortError'));
+            return;
+        }
+        const timer = setTimeout(resolve, ms);
+        signal?.addEventListener('abort', () => {
+            clearTimeout(timer);
+            reject(new DOMException('The operation was aborted.', 'AbortError'));
+        }, { once: true });
+    });
+}
+
+/**
+ * Default transport: plain fetch() and EventSource against the backend
+ */
+class FetchTransport {
+    /**
+     * request: { method, url, headers, body, cache, signal }
+     */
+    async send(request) {
+        return fetch(request.url, {
+            method: request.method,
+            headers: request.headers,
+            body: request.body,
+            cache: request.cache,
+            signal: request.signal
+        });
+    }
+
+    openEventStream(url) {
+        return new EventSource(url, { withCredentials: true });
+    }
+}
+
+/**
+ * Replays a fixture bundle without any server.
+ * Timestamps are shifted by (now - recordedAt) so recorded history always
+ * ends at the current time, and multi-sample endpoints advance every
+ * `intervalMs` to simulate a live server.
+ */
+class FixtureTransport {
+    constructor(bundle, { intervalMs = 3000, latencyMs = 80 } = {}) {
+        this.bundle = bundle || {};
+        this.responses = this.bundle.responses || {};
+        this.streams = this.bundle.streams || {};
+        this.recordedAt = Date.parse(this.bundle.recordedAt) || Date.now();
+        this.startedAt = Date.now();
+        this.intervalMs = intervalMs;
+        this.latencyMs = latencyMs;
+    }
+
+    /**
+     * Load a bundle from a URL (e.g. fixtures/demo.json)
+     */
+    static async load(url, options) {
+        const response = await fetch(url, { cache: 'no-store' });
+        if (!response.ok) {
+            throw new Error(`Could not load fixture bundle ${url} (${response.status})`);
+        }
+        return new FixtureTransport(await response.json(), options);
+    }
+
+    async send(request) {
+        await abortableDelay(this.latencyMs, request.signal);
+
+        const { pathname, searchParams } = new URL(request.url);
+        const samples = this.responses[`${request.method} ${pathname}`];
+
+        if (!samples || samples.length === 0) {
+            // Writes succeed without persisting anything; unknown reads are 404s
+            return request.method === 'GET'
+                ? jsonResponse(404, { error: `No fixture recorded for ${pathname}` })
+                : jsonResponse(200, { success: true, message: 'Demo mode: changes are not saved.' });
+        }
+
+        const sample = this.pickSample(samples);
+        return jsonResponse(sample.status || 200, this.applyTimeWindow(this.shiftTimestamps(sample.body), searchParams));
+    }
+
+    openEventStream(url) {
+        const { pathname } = new URL(url);
+        return new FixtureEventSource(this.streams[pathname] || {}, this.intervalMs);
+    }
+
+    /**
+     * Sample for the current simulated tick
+     */
+    pickSample(samples) {
+        const tick = Math.floor((Date.now() - this.startedAt) / this.intervalMs);
+        return samples[tick % samples.length];
+    }
+
+    /**
+     * Honour rangeSeconds / from / to / since on recorded history so shorter
+     * chart ranges do not show the whole bundle. Served as a single page.
+     */
+    applyTimeWindow(body, searchParams) {
+        if (!Array.isArray(body?.items)) return body;
+
+        const rangeSeconds = Number(searchParams.get('rangeSeconds'));
+        const from = rangeSeconds ? Date.now() - rangeSeconds * 1000 : Date.parse(searchParams.get('from'));
+        const to = Date.parse(searchParams.get('to'));
+        const since = Date.parse(searchParams.get('since'));
+        if (Number.isNaN(from) && Number.isNaN(to) && Number.isNaN(since)) return body;
+
+        const items = body.items.filter(item => {
+            const time = Date.parse(item.timestamp);
+            if (Number.isNaN(time)) return true;
+            return !(time < from) && !(time > to) && !(time <= since);
+        });
+        return { ...body, items, page: 1, totalCount: items.length, totalPages: 1 };
+    }
+
+    /**
+     * Deep copy of `value` with every ISO timestamp moved forward to "now"
+     */
+    shiftTimestamps(value) {
+        const offset = Date.now() - this.recordedAt;
+
+        const shift = item => {
+            if (typeof item === 'string' && ISO_TIMESTAMP.test(item)) {
+                const time = Date.parse(item);
+                return Number.isNaN(time) ? item : new Date(time + offset).toISOString();
+            }
+            if (Array.isArray(item)) return item.map(shift);
+            if (item && typeof item === 'object') {
+                return Object.fromEntries(Object.entries(item).map(([key, v]) => [key, shift(v)]));
+            }
+            return item;
+        };
+
+        return shift(value);
+    }
+}
+
+/**
+ * EventSource stand-in that emits recorded events on a timer,
+ * each stamped with the current time
+ */
+class FixtureEventSource {
+    constructor(events, intervalMs) {
+        this.events = events;
+        this.listeners = {};
+        this.readyState = 0; // CONNECTING
+        this.onopen = null;
+        this.onerror = null;
+        this.tick = 0;
+
+        setTimeout(() => {
+            if (this.readyState === 2) return;
+            this.readyState = 1; // OPEN
+            this.onopen?.({ type: 'open' });
+            this.emit();
+        }, 0);
+        this.timer = setInterval(() => this.emit(), intervalMs);
+    }
+
+    addEventListener(name, handler) {
+        (this.listeners[name] = this.listeners[name] || []).push(handler);
+    }
+
+    emit() {
+        Object.entries(this.events).forEach(([name, samples]) => {
+            if (!samples.length) return;
+            const sample = { ...samples[this.tick % samples.length], timestamp: new Date().toISOString() };
+            const event = { type: name, data: JSON.stringify(sample) };
+            (this.listeners[name] || []).forEach(handler => handler(event));
+        });
+        this.tick++;
+    }
+
+    close() {
+        this.readyState = 2; // CLOSED
+        clearInterval(this.timer);
+    }
+}
+
+/**
+ * Passes requests through to another transport and keeps successful JSON
+ * GET responses (and stream events) so they can be saved as a fixture bundle.
+ */
+class RecordingTransport {
+    constructor(inner = new FetchTransport(), { maxSamples = 5 } = {}) {
+        this.inner = inner;
+        this.maxSamples = maxSamples;
+        this.responses = {};
+        this.streams = {};
+    }
+
+    async send(request) {
+        const response = await this.inner.send(request);
+
+        const contentType = response.headers.get('Content-Type') || '';
+        if (request.method === 'GET' && response.status === 200 && contentType.includes('application/json')) {
+            const { pathname } = new URL(request.url);
+            response.clone().json()
+                .then(body => this.add(this.responses, `GET ${pathname}`, { status: 200, body }))
+                .catch(() => { /* not JSON after all; nothing to record */ });
+        }
+
+        return response;
+    }
+
+    openEventStream(url, eventNames = []) {
+        const source = this.inner.openEventStream(url, eventNames);
+        const { pathname } = new URL(url);
+        const recorded = this.streams[pathname] = this.streams[pathname] || {};
+
+        eventNames.forEach(name => {
+            source.addEventListener(name, event => {
+                try {
+                    this.add(recorded, name, JSON.parse(event.data));
+                } catch {
+                    // Malformed events are skipped, the client reports them
+                }
+            });
+        });
+
+        return source;
+    }
+
+    /**
+     * Keep the most recent samples for a key
+     */
+    add(target, key, sample) {
+        const samples = target[key] = target[key] || [];
+        samples.push(sample);
+        if (samples.length > this.maxSamples) samples.shift();
+    }
+
+    /**
+     * Everything captured so far, in the format FixtureTransport replays
+     */
+    toBundle() {
+        return {
+            recordedAt: new Date().toISOString(),
+            responses: this.responses,
+            streams: this.streams
+        };
+    }
+
+    /**
+     * Save the captured bundle as a JSON file. Browser only; Node callers
+     * write toBundle() themselves.
+     */
+    download(filename = 'fixtures.json') {
+        const blob = new Blob([JSON.stringify(this.toBundle(), null, 2)], { type: 'application/json' });
+        window.Utils.downloadBlob(blob, filename);
+    }
+}
+
+// Browser: globals. Node: CommonJS exports (see tools/pbmon.js)
+const apiTransportExports = { FetchTransport, FixtureTransport, RecordingTransport };
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = apiTransportExports;
+}
+if (typeof window !== 'undefined') {
+    Object.assign(window, apiTransportExports);
+}
@@ -13,6 +13,10 @@ class AuthManager {
         this.errorDisplay = document.getElementById('authError');
 
         this.isRegisterMode = false;
+
+        // Pending re-login after the session expired (see requestReauthentication)
+        this.reauthPromise = null;
+        this.resolveReauth = null;
     }
 
     async init() {
@@ -189,22 +193,55 @@ class AuthManager {
 
     async checkSession() {
         try {
-            const response = await fetch('/api/auth/me');
-            if (response.ok) {
-                this.user = await response.json();
-                this.isAuthenticated = true;
-                this.updateUI(true);
-            } else {
-                this.isAuthenticated = false;
-                this.updateUI(false);
+            this.user = await this.api.getCurrentUser();
+            this.isAuthenticated = true;
+            this.updateUI(true);
+
+            // Release requests held while the session was expired
+            if (this.resolveReauth) {
+                this.resolveReauth();
+                this.resolveReauth = null;
             }
         } catch (error) {
-            console.error('Session check failed', error);
+            // 401 just means there is no session yet
+            if (error.kind !== 'auth') {
+                console.error('Session check failed', error);
+            }
             this.isAuthenticated = false;
             this.updateUI(false);
         }
     }
 
+    /**
+     * Ask the user to sign in again after their session expired mid-use.
+     * Resolves once a login succeeds; concurrent callers share one prompt.
+     * The page is left as it is, so the current view survives the login.
+     */
+    requestReauthentication() {
+        if (this.reauthPromise) return this.reauthPromise;
+
+        const previousUserId = this.user?.id;
+        const previousEmail = this.user?.email;
+
+        this.reauthPromise = new Promise(resolve => { this.resolveReauth = resolve; })
+            .then(() => {
+                // A different account must not see the previous user's view
+                if (previousUserId && this.user?.id !== previousUserId) {
+                    window.location.reload();
+                    return new Promise(() => {});
+                }
+            })
+            .finally(() => { this.reauthPromise = null; });
+
+        this.isAuthenticated = false;
+        this.toggleMode(false);
+        this.showErrorDialog('Session Expired', 'Please sign in again to continue where you left off.');
+        if (previousEmail) document.getElementById('authEmail').value = previousEmail;
+        this.modal.classList.add('active');
+
+        return this.reauthPromise;
+    }
+
     updateUI(isLoggedIn) {
         if (isLoggedIn) {
             this.modal.classList.remove('active');
@@ -220,6 +257,11 @@ class AuthManager {
             if (window.app && typeof window.app.loadActiveConnection === 'function') {
                 window.app.loadActiveConnection();
             }
+
+            // Apply the user's saved refresh settings
+            if (window.app && typeof window.app.loadPreferences === 'function') {
+                window.app.loadPreferences();
+            }
         } else {
             this.modal.classList.add('active');
             if (this.userProfile) this.userProfile.style.display = 'none';
@@ -1,178 +1,1166 @@
 /**
  * Chart Manager Module
  * Handles Chart.js chart initialization and updates
+ *
+ * The x-axis is a linear scale of epoch milliseconds rather than a category
+ * axis of formatted strings, so samples are placed at their real time and
+ * collection outages show up as breaks in the line.
+ *
+ * Dragging across a chart selects a time window (see enableBrush).
+ * Event markers (blocking incidents, outages, restarts) are drawn as
+ * vertical lines with optional shaded spans (see setAnnotations).
+ * The same window from an earlier period can be overlaid as faded, dashed
+ * series for comparison (see setBaseline).
+ * Warning/critical threshold lines shade the spans where a series is past
+ * them (see setThresholds), and points far from their rolling mean are
+ * ringed as anomalies (see findAnomalies).
+ * Each chart card gets a toolbar to download a PNG or a CSV of the visible
+ * data, or copy the image to the clipboard (see attachToolbar).
  */
+
+const SECOND_MS = 1000;
+const MINUTE_MS = 60 * SECOND_MS;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+/** Candidate tick spacings, smallest first */
+const TIME_STEPS = [
+    SECOND_MS, 2 * SECOND_MS, 5 * SECOND_MS, 10 * SECOND_MS, 15 * SECOND_MS, 30 * SECOND_MS,
+    MINUTE_MS, 2 * MINUTE_MS, 5 * MINUTE_MS, 10 * MINUTE_MS, 15 * MINUTE_MS, 30 * MINUTE_MS,
+    HOUR_MS, 2 * HOUR_MS, 3 * HOUR_MS, 6 * HOUR_MS, 12 * HOUR_MS,
+    DAY_MS, 2 * DAY_MS, 7 * DAY_MS
+];
+
+/** Metric fields plotted by the charts */
+const SERIES_FIELDS = ['connections', 'blocked', 'memory', 'cpu', 'bufferHitRatio'];
+
+// Charts the manager can create; each name is both the instance property and the canvas id
+const CHART_NAMES = ['connectionsChart', 'memoryChart', 'cpuChart', 'bufferChart'];
+
+/**
+ * Chart colours for the active theme. Each entry is read from a CSS custom
+ * property on <html> (see the theme palettes in styles.css): `text` from
+ * --chart-text, `series.bufferHitRatio` from --chart-series-buffer-hit-ratio,
+ * `annotations['config-change']` from --chart-annotations-config-change, ...
+ * The values here are the dark palette, used until applyTheme() reads the
+ * page's. Series and brush colours must be #rrggbb so they can be faded.
+ */
+const CHART_PALETTE = {
+    text: '#9ca3af',
+    grid: 'rgba(255, 255, 255, 0.05)',
+    brush: '#3b82f6',
+    anomaly: '#ec4899',
+    series: {
+        connections: '#3b82f6',
+        blocked: '#ef4444',
+        memory: '#10b981',
+        cpu: '#f59e0b',
+        bufferHitRatio: '#8b5cf6'
+    },
+    // Threshold levels, least severe first
+    thresholds: {
+        warning: '#f59e0b',
+        critical: '#ef4444'
+    },
+    // Marker colour per annotation kind; `other` for unknown kinds
+    annotations: {
+        blocking: '#ef4444',
+        connection: '#f59e0b',
+        restart: '#8b5cf6',
+        deployment: '#10b981',
+        'config-change': '#06b6d4',
+        other: '#9ca3af'
+    }
+};
+
+/**
+ * Overwrite CHART_PALETTE with the CSS custom properties currently in effect;
+ * properties that are not defined keep their previous value
+ */
+function readChartPalette() {
+    const styles = getComputedStyle(document.documentElement);
+    const kebab = name => name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+
+    const read = (target, prefix) => Object.keys(target).forEach(key => {
+        const name = `${prefix}-${kebab(key)}`;
+        if (typeof target[key] === 'object') {
+            read(target[key], name);
+        } else {
+            target[key] = styles.getPropertyValue(name).trim() || target[key];
+        }
+    });
+    read(CHART_PALETTE, '--chart');
+}
+
+/**
+ * A #rgb / #rrggbb colour at the given opacity (0-1); other formats are returned unchanged
+ */
+function withAlpha(color, alpha) {
+    const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color)?.[1];
+    if (!hex) return color;
+
+    const full = hex.length === 3 ? [...hex].map(c => c + c).join('') : hex;
+    return `#${full}${Math.round(alpha * 255).toString(16).padStart(2, '0')}`;
+}
+
+/**
+ * Draws event annotations (chart.$annotations) behind the brush: a shaded
+ * span when the event has an end, a dashed line and a marker at its start
+ */
+const ANNOTATION_PLUGIN = {
+    id: 'annotations',
+    afterDatasetsDraw(chart) {
+        const annotations = chart.$annotations || [];
+        if (annotations.length === 0) return;
+
+        const { ctx, chartArea: { left, right, top, bottom }, scales: { x: scale } } = chart;
+
+        ctx.save();
+        annotations.forEach(annotation => {
+            const x = scale.getPixelForValue(annotation.time);
+            const end = annotation.end ? scale.getPixelForValue(annotation.end) : x;
+            if (end < left || x > right) return;
+
+            const color = CHART_PALETTE.annotations[annotation.kind] || CHART_PALETTE.annotations.other;
+
+            if (end > x) {
+                ctx.globalAlpha = 0.08;
+                ctx.fillStyle = color;
+                ctx.fillRect(Math.max(x, left), top, Math.min(end, right) - Math.max(x, left), bottom - top);
+                ctx.globalAlpha = 1;
+            }
+            if (x < left) return;
+
+            ctx.strokeStyle = color;
+            ctx.fillStyle = color;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 3]);
+            ctx.beginPath();
+            ctx.moveTo(x, top);
+            ctx.lineTo(x, bottom);
+            ctx.stroke();
+            ctx.setLineDash([]);
+
+            ctx.beginPath();
+            ctx.moveTo(x - 4, top);
+            ctx.lineTo(x + 4, top);
+            ctx.lineTo(x, top + 6);
+            ctx.closePath();
+            ctx.fill();
+        });
+        ctx.restore();
+    }
+};
+
+/** Series where falling below a threshold is the problem */
+const LOWER_IS_WORSE = ['bufferHitRatio'];
+
+/**
+ * Most severe threshold level a value is past, or null
+ */
+function getThresholdLevel(field, value, threshold) {
+    if (!threshold || value === null || value === undefined) return null;
+
+    const past = level => LOWER_IS_WORSE.includes(field) ? value < level : value > level;
+    return Object.keys(CHART_PALETTE.thresholds).reverse()
+        .find(level => threshold[level] !== null && threshold[level] !== undefined && past(threshold[level])) || null;
+}
+
+/**
+ * [from, to] x ranges where a series is past `level`, with the ends
+ * interpolated to where the line crosses it
+ */
+function getBreachSpans(points, level, lowerIsWorse) {
+    const past = y => lowerIsWorse ? y < level : y > level;
+    const spans = [];
+    let start = null;
+    let previous = null;
+
+    points.forEach(point => {
+        if (point.y === null || point.y === undefined) {
+            if (start !== null) spans.push([start, previous.x]);
+            start = null;
+            previous = null;
+            return;
+        }
+
+        const crossing = previous
+            ? previous.x + (point.x - previous.x) * (level - previous.y) / (point.y - previous.y)
+            : point.x;
+        if (past(point.y) && start === null) {
+            start = crossing;
+        } else if (!past(point.y) && start !== null) {
+            spans.push([start, crossing]);
+            start = null;
+        }
+        previous = point;
+    });
+
+    if (start !== null) spans.push([start, previous.x]);
+    return spans;
+}
+
+/**
+ * Draws threshold lines (chart.$thresholds, by series field) under the
+ * data and shades the spans where the series is past each of them
+ */
+const THRESHOLD_PLUGIN = {
+    id: 'thresholds',
+    beforeDatasetsDraw(chart) {
+        const thresholds = chart.$thresholds || {};
+        const { ctx, chartArea: { left, right, top, bottom }, scales: { x: xScale, y: yScale } } = chart;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(left, top, right - left, bottom - top);
+        ctx.clip();
+
+        chart.data.datasets.forEach((dataset, i) => {
+            const threshold = thresholds[dataset.field];
+            if (!threshold || dataset.baseline || !chart.isDatasetVisible(i)) return;
+            const lowerIsWorse = LOWER_IS_WORSE.includes(dataset.field);
+
+            Object.entries(CHART_PALETTE.thresholds).forEach(([level, color]) => {
+                const value = threshold[level];
+                if (value === null || value === undefined) return;
+                const y = yScale.getPixelForValue(value);
+
+                ctx.globalAlpha = 0.1;
+                ctx.fillStyle = color;
+                getBreachSpans(dataset.data, value, lowerIsWorse).forEach(([from, to]) => {
+                    const x = xScale.getPixelForValue(from);
+                    const width = Math.max(2, xScale.getPixelForValue(to) - x);
+                    ctx.fillRect(x, lowerIsWorse ? y : top, width, lowerIsWorse ? bottom - y : y - top);
+                });
+                ctx.globalAlpha = 1;
+
+                ctx.strokeStyle = color;
+                ctx.lineWidth = 1;
+                ctx.setLineDash([6, 4]);
+                ctx.beginPath();
+                ctx.moveTo(left, y);
+                ctx.lineTo(right, y);
+                ctx.stroke();
+                ctx.setLineDash([]);
+            });
+        });
+        ctx.restore();
+    }
+};
+
+/**
+ * Rings the points each dataset lists in $anomalies (x -> deviation in σ)
+ */
+const ANOMALY_PLUGIN = {
+    id: 'anomalies',
+    afterDatasetsDraw(chart) {
+        const { ctx, chartArea: { left, right, top, bottom }, scales: { x: xScale, y: yScale } } = chart;
+
+        ctx.save();
+        ctx.strokeStyle = CHART_PALETTE.anomaly;
+        ctx.lineWidth = 1.5;
+        chart.data.datasets.forEach((dataset, i) => {
+            if (!dataset.$anomalies?.size || !chart.isDatasetVisible(i)) return;
+
+            dataset.data.forEach(point => {
+                if (!dataset.$anomalies.has(point.x)) return;
+                const x = xScale.getPixelForValue(point.x);
+                const y = yScale.getPixelForValue(point.y);
+                if (x < left || x > right || y < top || y > bottom) return;
+
+                ctx.beginPath();
+                ctx.arc(x, y, 4, 0, 2 * Math.PI);
+                ctx.stroke();
+            });
+        });
+        ctx.restore();
+    }
+};
+
+/**
+ * Draws the drag selection (chart.$brush, in canvas pixels) over the plot area
+ */
+const BRUSH_PLUGIN = {
+    id: 'brush',
+    afterDraw(chart) {
+        const brush = chart.$brush;
+        if (!brush) return;
+
+        const { ctx, chartArea: { top, bottom } } = chart;
+        const left = Math.min(brush.startX, brush.endX);
+        const width = Math.abs(brush.endX - brush.startX);
+
+        ctx.save();
+        ctx.fillStyle = withAlpha(CHART_PALETTE.brush, 0.15);
+        ctx.strokeStyle = withAlpha(CHART_PALETTE.brush, 0.6);
+        ctx.fillRect(left, top, width, bottom - top);
+        ctx.strokeRect(left, top, width, bottom - top);
+        ctx.restore();
+    }
+};
+
 class ChartManager {
     constructor() {
         this.connectionsChart = null;
         this.memoryChart = null;
+        this.cpuChart = null;
+        this.bufferChart = null;
+
+        // Consecutive samples further apart than gapFactor x the typical
+        // interval (and at least minGapMs) are drawn as a gap
+        this.gapFactor = 3;
+        this.minGapMs = 10 * SECOND_MS;
+        this.maxTicks = 8;
+        this.minTargetPoints = 100;
+
+        // Gap threshold and newest sample time of what is plotted, so
+        // appendCharts can continue the series where updateCharts left it
+        this.gapThreshold = Infinity;
+        this.lastTime = null;
+
+        // Drag-to-zoom: called with { from, to } in epoch ms once a
+        // selection at least minBrushPx wide is released
+        this.onBrush = null;
+        this.minBrushPx = 5;
+
+        // Event markers shared by all charts; clicking one calls onAnnotationClick
+        this.annotations = [];
+        this.onAnnotationClick = null;
+        this.annotationHitPx = 6;
+        this.annotationTip = null;
+
+        // Threshold levels by series field: { cpu: { warning, critical }, ... }
+        this.thresholds = {};
+
+        // A point is an anomaly when it is more than anomalySigma standard
+        // deviations from the mean of the anomalyWindow points before it.
+        // The spread never counts as less than anomalyMinSpread x the mean
+        // (or anomalyMinSpreadAbs), so flat series do not flag tiny jitter.
+        this.anomalyWindow = 30;
+        this.anomalyMinSamples = 10;
+        this.anomalySigma = 3;
+        this.anomalyMinSpread = 0.02;
+        this.anomalyMinSpreadAbs = 0.5;
     }
 
     /**
-     * Get default chart options
+     * Get default chart options; yScale overrides the value axis
      */
-    getDefaultOptions() {
+    getDefaultOptions(yScale = {}) {
+        const manager = this;
         return {
             responsive: true,
             maintainAspectRatio: false,
             animation: { duration: 300 },
             scales: {
                 x: {
-                    type: 'category',
-                    grid: { color: 'rgba(255, 255, 255, 0.05)' },
-                    ticks: { color: '#9ca3af', maxTicksLimit: 8 }
+                    type: 'linear',
+                    grid: { color: CHART_PALETTE.grid },
+                    ticks: {
+                        color: CHART_PALETTE.text,
+                        maxRotation: 0,
+                        autoSkip: false,
+                        callback(value) {
+                            return manager.formatTick(value, this.max - this.min);
+                        }
+                    },
+                    afterBuildTicks: axis => {
+                        axis.ticks = this.buildTimeTicks(axis.min, axis.max).map(value => ({ value }));
+                    }
                 },
                 y: {
                     beginAtZero: true,
-                    grid: { color: 'rgba(255, 255, 255, 0.05)' },
-                    ticks: { color: '#9ca3af' }
+                    grid: { color: CHART_PALETTE.grid },
+                    ...yScale,
+                    ticks: { color: CHART_PALETTE.text, ...yScale.ticks }
                 }
             },
             plugins: {
                 legend: {
-                    labels: { color: '#9ca3af', usePointStyle: true }
+                    labels: { color: CHART_PALETTE.text, usePointStyle: true }
+                },
+                tooltip: {
+                    callbacks: {
+                        title: items => items.length ? new Date(items[0].parsed.x).toLocaleString() : '',
+                        // Downsampled points carry the number of raw samples they stand for
+                        afterTitle: items => {
+                            const samples = items[0]?.raw?.samples;
+                            return samples > 1 ? `Represents ${samples.toLocaleString()} samples` : '';
+                        },
+                        afterLabel: item => {
+                            const sigma = item.dataset.$anomalies?.get(item.parsed.x);
+                            return sigma ? `Unusual: ${sigma.toFixed(1)}σ from the recent mean` : '';
+                        }
+                    }
                 }
             }
         };
     }
 
     /**
-     * Initialize all charts
+     * Every chart that exists on the page
+     */
+    getCharts() {
+        return [this.connectionsChart, this.memoryChart, this.cpuChart, this.bufferChart].filter(Boolean);
+    }
+
+    /**
+     * Initialize every chart whose canvas is on the page
      */
     init() {
-        this.initConnectionsChart();
-        this.initMemoryChart();
+        CHART_NAMES.forEach(name => this.createChart(name));
     }
 
     /**
-     * Initialize connections & blocking chart
+     * Create one chart by name (e.g. 'cpuChart') on the canvas with that id,
+     * replacing any earlier instance. Returns null if the canvas is missing.
      */
-    initConnectionsChart() {
-        const ctx = document.getElementById('connectionsChart');
-        if (!ctx) return;
+    createChart(name) {
+        const initializers = {
+            connectionsChart: () => this.initConnectionsChart(),
+            memoryChart: () => this.initMemoryChart(),
+            cpuChart: () => this.initCpuChart(),
+            bufferChart: () => this.initBufferChart()
+        };
+        if (!initializers[name]) return null;
+
+        this.destroyChart(name);
+        initializers[name]();
+        return this[name];
+    }
 
-        this.connectionsChart = new Chart(ctx, {
+    /**
+     * Destroy one chart by name, e.g. when its dashboard widget is removed
+     */
+    destroyChart(name) {
+        if (!CHART_NAMES.includes(name)) return;
+        this[name]?.destroy();
+        this[name] = null;
+    }
+
+    /**
+     * Create a line chart on a canvas, or return null if the canvas is missing
+     */
+    createLineChart(canvasId, datasets, yScale) {
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) return null;
+
+        const chart = new Chart(ctx, {
             type: 'line',
             data: {
-                labels: [],
-                datasets: [
-                    {
-                        label: 'Connections',
-                        data: [],
-                        borderColor: '#3b82f6',
-                        backgroundColor: 'rgba(59, 130, 246, 0.1)',
-                        tension: 0.3,
-                        fill: true
+                datasets: datasets.map(dataset => ({
+                    data: [],
+                    tension: 0.3,
+                    fill: true,
+                    spanGaps: false,
+                    pointRadius: 0,
+                    pointHitRadius: 6,
+                    // Line segments past a threshold take the threshold's colour
+                    segment: {
+                        borderColor: segment => this.getSegmentColor(segment)
                     },
-                    {
-                        label: 'Blocked',
-                        data: [],
-                        borderColor: '#ef4444',
-                        backgroundColor: 'rgba(239, 68, 68, 0.1)',
-                        tension: 0.3,
-                        fill: true
-                    }
-                ]
+                    ...dataset,
+                    ...this.getDatasetColors(dataset)
+                }))
             },
-            options: this.getDefaultOptions()
+            options: this.getDefaultOptions(yScale),
+            plugins: [THRESHOLD_PLUGIN, ANOMALY_PLUGIN, ANNOTATION_PLUGIN, BRUSH_PLUGIN]
+        });
+        chart.$annotations = this.annotations;
+        chart.$thresholds = this.thresholds;
+
+        this.attachBrush(chart);
+        this.attachToolbar(chart);
+        return chart;
+    }
+
+    /**
+     * Line and fill colours for a dataset from the theme palette; baseline
+     * copies are faded and unfilled
+     */
+    getDatasetColors({ field, baseline = false }) {
+        const color = CHART_PALETTE.series[field];
+        if (!color) return {};
+        return baseline
+            ? { borderColor: withAlpha(color, 0.5), backgroundColor: 'transparent' }
+            : { borderColor: color, backgroundColor: withAlpha(color, 0.1) };
+    }
+
+    /**
+     * Re-read the chart palette from the page's CSS custom properties and
+     * recolour every chart; call after the page theme changes
+     */
+    applyTheme() {
+        readChartPalette();
+
+        this.getCharts().forEach(chart => {
+            const { x, y } = chart.options.scales;
+            [x, y].forEach(scale => {
+                scale.grid.color = CHART_PALETTE.grid;
+                scale.ticks.color = CHART_PALETTE.text;
+            });
+            chart.options.plugins.legend.labels.color = CHART_PALETTE.text;
+            chart.data.datasets.forEach(dataset => Object.assign(dataset, this.getDatasetColors(dataset)));
+            chart.update('none');
+        });
+    }
+
+    /**
+     * Report drag selections on any chart to `onSelect({ from, to })`
+     */
+    enableBrush(onSelect) {
+        this.onBrush = onSelect;
+    }
+
+    /**
+     * Call `onClick(annotation)` when an event marker is clicked
+     */
+    enableAnnotationClicks(onClick) {
+        this.onAnnotationClick = onClick;
+    }
+
+    /**
+     * Replace the event markers on every chart.
+     * Annotation: { time, end?, kind, label, details?: string[] } with times in epoch ms
+     */
+    setAnnotations(annotations) {
+        this.annotations = annotations || [];
+        this.getCharts().forEach(chart => {
+            chart.$annotations = this.annotations;
+            chart.draw();
         });
     }
 
+    /**
+     * Replace the threshold lines on every chart.
+     * Thresholds: { [field]: { warning?, critical? } }, e.g. { memory: { warning: 12000 } }
+     */
+    setThresholds(thresholds) {
+        this.thresholds = thresholds || {};
+        this.getCharts().forEach(chart => {
+            chart.$thresholds = this.thresholds;
+            chart.update('none');
+        });
+    }
+
+    /**
+     * Colour for a line segment whose worse end is past a threshold;
+     * undefined keeps the dataset colour
+     */
+    getSegmentColor({ chart, datasetIndex, p0, p1 }) {
+        const dataset = chart.data.datasets[datasetIndex];
+        const threshold = chart.$thresholds?.[dataset.field];
+        if (!threshold) return undefined;
+
+        const levels = [p0.parsed.y, p1.parsed.y].map(y => getThresholdLevel(dataset.field, y, threshold));
+        const level = levels.includes('critical') ? 'critical' : levels.find(Boolean);
+        return level ? CHART_PALETTE.thresholds[level] : undefined;
+    }
+
+    /**
+     * Points far from the rolling mean of the points before them,
+     * as a Map of x -> deviation in standard deviations
+     */
+    findAnomalies(points) {
+        const anomalies = new Map();
+        const recent = [];
+        let sum = 0;
+        let sumSquares = 0;
+
+        points.forEach(point => {
+            if (point.y === null || point.y === undefined) return;
+
+            if (recent.length >= this.anomalyMinSamples) {
+                const mean = sum / recent.length;
+                const deviation = Math.sqrt(Math.max(0, sumSquares / recent.length - mean * mean));
+                const spread = Math.max(deviation, Math.abs(mean) * this.anomalyMinSpread, this.anomalyMinSpreadAbs);
+                const sigma = Math.abs(point.y - mean) / spread;
+                if (sigma > this.anomalySigma) anomalies.set(point.x, sigma);
+            }
+
+            recent.push(point.y);
+            sum += point.y;
+            sumSquares += point.y * point.y;
+            if (recent.length > this.anomalyWindow) {
+                const dropped = recent.shift();
+                sum -= dropped;
+                sumSquares -= dropped * dropped;
+            }
+        });
+        return anomalies;
+    }
+
+    /**
+     * Recompute the anomalies of a chart's own (non-baseline) datasets
+     */
+    markAnomalies(chart) {
+        chart.data.datasets.forEach(dataset => {
+            if (!dataset.baseline) dataset.$anomalies = this.findAnomalies(dataset.data);
+        });
+    }
+
+    /**
+     * Marker closest to a canvas x position, if one is within reach
+     */
+    getAnnotationAt(chart, x) {
+        const scale = chart.scales.x;
+        let best = null;
+        let bestDistance = this.annotationHitPx;
+
+        (chart.$annotations || []).forEach(annotation => {
+            const distance = Math.abs(scale.getPixelForValue(annotation.time) - x);
+            if (distance <= bestDistance) {
+                best = annotation;
+                bestDistance = distance;
+            }
+        });
+        return best;
+    }
+
+    /**
+     * Show (or with null, hide) the details of a marker next to the pointer
+     */
+    showAnnotationTip(annotation, event) {
+        if (!annotation) {
+            if (this.annotationTip) this.annotationTip.style.display = 'none';
+            return;
+        }
+
+        if (!this.annotationTip) {
+            this.annotationTip = document.createElement('div');
+            this.annotationTip.className = 'chart-annotation-tip';
+            document.body.appendChild(this.annotationTip);
+        }
+
+        const tip = this.annotationTip;
+        tip.replaceChildren();
+        const title = document.createElement('strong');
+        title.textContent = annotation.label;
+        tip.appendChild(title);
+        [new Date(annotation.time).toLocaleString(), ...(annotation.details || [])].forEach(line => {
+            const row = document.createElement('div');
+            row.textContent = line;
+            tip.appendChild(row);
+        });
+        tip.style.left = `${event.clientX + 12}px`;
+        tip.style.top = `${event.clientY + 12}px`;
+        tip.style.display = 'block';
+    }
+
+    /**
+     * Add the export buttons to the card around a chart's canvas
+     */
+    attachToolbar(chart) {
+        const card = chart.canvas.closest('.chart-card');
+        if (!card || card.querySelector('.chart-toolbar')) return;
+
+        const toolbar = document.createElement('div');
+        toolbar.className = 'chart-toolbar';
+        [
+            { text: 'PNG', title: 'Download PNG', action: () => this.downloadPng(chart) },
+            { text: 'CSV', title: 'Download CSV of visible data', action: () => this.downloadCsv(chart) },
+            { text: 'Copy', title: 'Copy image', action: () => this.copyImage(chart) }
+        ].forEach(({ text, title, action }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = text;
+            button.title = title;
+            button.setAttribute('aria-label', title);
+            button.addEventListener('click', async () => {
+                try {
+                    await action();
+                    if (text === 'Copy') this.flashButton(button, 'Copied!');
+                } catch (error) {
+                    console.error(`${title} failed:`, error);
+                    this.flashButton(button, 'Failed');
+                }
+            });
+            toolbar.appendChild(button);
+        });
+        card.appendChild(toolbar);
+    }
+
+    /**
+     * Show feedback on a toolbar button for two seconds
+     */
+    flashButton(button, text) {
+        const original = button.textContent;
+        button.textContent = text;
+        button.disabled = true;
+        setTimeout(() => {
+            button.textContent = original;
+            button.disabled = false;
+        }, 2000);
+    }
+
+    /**
+     * Title shown on the chart's card, used for file names and image headers
+     */
+    getChartTitle(chart) {
+        return chart.canvas.closest('.chart-card')?.querySelector('h4')?.textContent.trim() || chart.canvas.id;
+    }
+
+    /**
+     * File name for an export: chart id plus the time it was taken
+     */
+    getExportFileName(chart, extension) {
+        return `${chart.canvas.id}_${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`;
+    }
+
+    /**
+     * CSV of the visible datasets inside the visible time window: one row
+     * per timestamp (ISO 8601, UTC), one column per series. Downsampled
+     * data adds the number of raw samples behind each row.
+     */
+    toCsv(chart) {
+        const { min, max } = chart.scales.x;
+        // Baseline series carry shifted timestamps, so they would add rows that never happened
+        const datasets = chart.data.datasets.filter((dataset, i) => !dataset.baseline && chart.isDatasetVisible(i));
+        const rows = new Map();
+        let downsampled = false;
+
+        datasets.forEach((dataset, column) => {
+            dataset.data.forEach(point => {
+                // Null points only mark gaps in the line
+                if (point.y === null || point.y === undefined || point.x < min || point.x > max) return;
+                if (!rows.has(point.x)) rows.set(point.x, { values: [], samples: 1 });
+                const row = rows.get(point.x);
+                row.values[column] = point.y;
+                if (point.samples > 1) {
+                    row.samples = Math.max(row.samples, point.samples);
+                    downsampled = true;
+                }
+            });
+        });
+
+        const escape = value => /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+        const header = ['timestamp', ...datasets.map(dataset => dataset.label), ...(downsampled ? ['samples'] : [])];
+        const lines = [...rows.entries()]
+            .sort(([a], [b]) => a - b)
+            .map(([x, row]) => [
+                new Date(x).toISOString(),
+                ...datasets.map((dataset, column) => row.values[column] ?? ''),
+                ...(downsampled ? [row.samples] : [])
+            ].join(','));
+
+        return [header.map(label => escape(String(label))).join(','), ...lines].join('\r\n');
+    }
+
+    downloadCsv(chart) {
+        // The BOM lets spreadsheet apps detect UTF-8 (series labels contain σ and ·)
+        const blob = new Blob(['\uFEFF' + this.toCsv(chart)], { type: 'text/csv;charset=utf-8' });
+        window.Utils.downloadBlob(blob, this.getExportFileName(chart, 'csv'));
+    }
+
+    /**
+     * The chart on the card's background with its title and time window
+     * above it, so the image reads on its own when pasted into a ticket
+     */
+    renderImage(chart) {
+        const ratio = chart.currentDevicePixelRatio || 1;
+        const headerHeight = Math.round(28 * ratio);
+        const card = chart.canvas.closest('.chart-card') || chart.canvas;
+        const styles = getComputedStyle(card);
+        const { min, max } = chart.scales.x;
+
+        const canvas = document.createElement('canvas');
+        canvas.width = chart.canvas.width;
+        canvas.height = chart.canvas.height + headerHeight;
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = styles.backgroundColor && styles.backgroundColor !== 'rgba(0, 0, 0, 0)' ? styles.backgroundColor : '#111827';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.fillStyle = styles.color || '#e5e7eb';
+        ctx.font = `${Math.round(13 * ratio)}px sans-serif`;
+        ctx.textBaseline = 'middle';
+        const span = Number.isFinite(min) && Number.isFinite(max)
+            ? `  ${new Date(min).toLocaleString()} – ${new Date(max).toLocaleString()}`
+            : '';
+        ctx.fillText(`${this.getChartTitle(chart)}${span}`, Math.round(8 * ratio), headerHeight / 2);
+        ctx.drawImage(chart.canvas, 0, headerHeight);
+        return canvas;
+    }
+
+    getImageBlob(chart) {
+        return new Promise((resolve, reject) => {
+            this.renderImage(chart).toBlob(blob => blob ? resolve(blob) : reject(new Error('Could not render chart image')), 'image/png');
+        });
+    }
+
+    async downloadPng(chart) {
+        window.Utils.downloadBlob(await this.getImageBlob(chart), this.getExportFileName(chart, 'png'));
+    }
+
+    /**
+     * Put the chart image on the clipboard. The blob is passed as a promise
+     * so the write still counts as part of the click in Safari.
+     */
+    async copyImage(chart) {
+        if (!navigator.clipboard?.write || typeof ClipboardItem === 'undefined') {
+            throw new Error('This browser cannot copy images to the clipboard');
+        }
+        await navigator.clipboard.write([new ClipboardItem({ 'image/png': this.getImageBlob(chart) })]);
+    }
+
+    /**
+     * Pointer handlers for the plot area: a horizontal drag selects a time
+     * window, a click on an event marker opens it, hovering one shows details
+     */
+    attachBrush(chart) {
+        const canvas = chart.canvas;
+
+        canvas.addEventListener('pointerdown', e => {
+            if (e.button !== 0) return;
+
+            const x = this.getPointerX(chart, e);
+            const { left, right, top, bottom } = chart.chartArea;
+            const y = e.clientY - canvas.getBoundingClientRect().top;
+            if (x < left || x > right || y < top || y > bottom) return;
+
+            chart.$brush = { startX: x, endX: x };
+            canvas.setPointerCapture(e.pointerId);
+        });
+
+        canvas.addEventListener('pointermove', e => {
+            if (!chart.$brush) {
+                const annotation = this.getAnnotationAt(chart, this.getPointerX(chart, e));
+                canvas.style.cursor = annotation ? 'pointer' : '';
+                this.showAnnotationTip(annotation, e);
+                return;
+            }
+
+            this.showAnnotationTip(null);
+            const { left, right } = chart.chartArea;
+            chart.$brush.endX = Math.min(Math.max(this.getPointerX(chart, e), left), right);
+            if (this.onBrush) chart.draw();
+        });
+
+        canvas.addEventListener('pointerleave', () => this.showAnnotationTip(null));
+
+        canvas.addEventListener('pointerup', () => {
+            const brush = chart.$brush;
+            if (!brush) return;
+
+            chart.$brush = null;
+            chart.draw();
+            if (Math.abs(brush.endX - brush.startX) < this.minBrushPx) {
+                const annotation = this.getAnnotationAt(chart, brush.startX);
+                if (annotation) {
+                    this.showAnnotationTip(null);
+                    this.onAnnotationClick?.(annotation);
+                }
+                return;
+            }
+            if (!this.onBrush) return;
+
+            const scale = chart.scales.x;
+            const from = scale.getValueForPixel(Math.min(brush.startX, brush.endX));
+            const to = scale.getValueForPixel(Math.max(brush.startX, brush.endX));
+            this.onBrush({ from: Math.round(from), to: Math.round(to) });
+        });
+
+        canvas.addEventListener('pointercancel', () => {
+            if (!chart.$brush) return;
+            chart.$brush = null;
+            chart.draw();
+        });
+    }
+
+    /**
+     * Pointer position in canvas (CSS) pixels, the unit chartArea uses
+     */
+    getPointerX(chart, event) {
+        return event.clientX - chart.canvas.getBoundingClientRect().left;
+    }
+
+    /**
+     * Initialize connections & blocking chart
+     */
+    initConnectionsChart() {
+        this.connectionsChart = this.createLineChart('connectionsChart', [
+            {
+                field: 'connections',
+                label: 'Connections'
+            },
+            {
+                field: 'blocked',
+                label: 'Blocked'
+            }
+        ]);
+    }
+
     /**
      * Initialize memory chart
      */
     initMemoryChart() {
-        const ctx = document.getElementById('memoryChart');
-        if (!ctx) return;
+        this.memoryChart = this.createLineChart('memoryChart', [{
+            field: 'memory',
+            label: 'Memory (MB)'
+        }]);
+    }
 
-        this.memoryChart = new Chart(ctx, {
-            type: 'line',
-            data: {
-                labels: [],
-                datasets: [{
-                    label: 'Memory (MB)',
-                    data: [],
-                    borderColor: '#10b981',
-                    backgroundColor: 'rgba(16, 185, 129, 0.1)',
-                    tension: 0.3,
-                    fill: true
-                }]
-            },
-            options: this.getDefaultOptions()
+    /**
+     * Initialize CPU chart (fixed 0-100% scale so spikes are comparable)
+     */
+    initCpuChart() {
+        this.cpuChart = this.createLineChart('cpuChart', [{
+            field: 'cpu',
+            label: 'CPU (%)'
+        }], {
+            min: 0,
+            max: 100,
+            ticks: { callback: value => `${value}%` }
+        });
+    }
+
+    /**
+     * Initialize buffer cache hit ratio chart.
+     * Healthy values sit just under 100%, so the axis is not zero-based:
+     * a drop from 99.9% to 97% must be visible.
+     */
+    initBufferChart() {
+        this.bufferChart = this.createLineChart('bufferChart', [{
+            field: 'bufferHitRatio',
+            label: 'Buffer Hit Ratio (%)'
+        }], {
+            beginAtZero: false,
+            suggestedMin: 95,
+            max: 100,
+            ticks: { callback: value => `${value}%` }
         });
     }
 
     /**
-     * Update charts with new data
+     * Update charts with new data.
+     *
+     * Options:
+     * - from / to: visible window in epoch ms (defaults to the data extent)
+     * - mode: Chart.js update mode, e.g. 'none' to skip animation
      */
-    updateCharts(data, useFullDate = false) {
+    updateCharts(data, { from = null, to = null, mode = undefined } = {}) {
         if (!data || data.length === 0) return;
 
-        const labels = data.map(d => this.formatTimestamp(d.timestamp, useFullDate));
+        const times = data.map(d => new Date(d.timestamp).getTime());
+        this.gapThreshold = this.getGapThreshold(times);
+
+        const series = this.buildSeries(data, this.gapThreshold, null);
+        this.lastTime = times[times.length - 1];
 
-        this.updateConnectionsChart(labels, data);
-        this.updateMemoryChart(labels, data);
+        this.getSeriesLayout().forEach(({ chart, fields }) =>
+            this.updateChart(chart, fields.map(field => series[field]), from, to, mode));
     }
 
     /**
-     * Format timestamp for chart labels
+     * Add points newer than anything plotted and drop those older than
+     * `from`, without rebuilding the series. `data` may be empty, which
+     * just moves the window forward.
      */
-    formatTimestamp(timestamp, useFullDate = false) {
-        const date = new Date(timestamp);
+    appendCharts(data, { from = null, to = null, mode = 'none' } = {}) {
+        const series = this.buildSeries(data || []);
+        if (data?.length) this.lastTime = new Date(data[data.length - 1].timestamp).getTime();
 
-        if (useFullDate) {
-            return date.toLocaleString('en-US', {
-                hour12: false,
-                month: 'short',
-                day: 'numeric',
-                hour: '2-digit',
-                minute: '2-digit'
-            });
+        this.getSeriesLayout().forEach(({ chart, fields }) =>
+            this.appendToChart(chart, fields.map(field => series[field]), from, to, mode));
+    }
+
+    /**
+     * Overlay a faded, dashed copy of every series from an earlier period,
+     * or remove it when `data` is empty. Points must already be shifted onto
+     * the current window; `label` names the period, e.g. "1 day ago".
+     */
+    setBaseline(data, label = '') {
+        const points = data || [];
+        const series = this.buildSeries(points, this.getGapThreshold(points.map(d => new Date(d.timestamp).getTime())), null);
+
+        this.getSeriesLayout().forEach(({ chart, fields }) => {
+            if (!chart) return;
+
+            chart.data.datasets = chart.data.datasets.filter(dataset => !dataset.baseline);
+            if (points.length) {
+                fields.forEach((field, i) => {
+                    const primary = chart.data.datasets[i];
+                    chart.data.datasets.push({
+                        label: `${primary.label} · ${label}`,
+                        data: series[field],
+                        field,
+                        baseline: true,
+                        ...this.getDatasetColors({ field, baseline: true }),
+                        borderDash: [6, 4],
+                        borderWidth: 1.5,
+                        fill: false,
+                        tension: 0.3,
+                        spanGaps: false,
+                        pointRadius: 0,
+                        pointHitRadius: 6,
+                        order: 1
+                    });
+                });
+            }
+            chart.update('none');
+        });
+    }
+
+    /**
+     * Series fields plotted by each chart, in dataset order
+     */
+    getSeriesLayout() {
+        return [
+            { chart: this.connectionsChart, fields: ['connections', 'blocked'] },
+            { chart: this.memoryChart, fields: ['memory'] },
+            { chart: this.cpuChart, fields: ['cpu'] },
+            { chart: this.bufferChart, fields: ['bufferHitRatio'] }
+        ];
+    }
+
+    /**
+     * Replace a chart's datasets and visible window
+     */
+    updateChart(chart, seriesList, from, to, mode) {
+        if (!chart) return;
+
+        seriesList.forEach((points, i) => chart.data.datasets[i].data = points);
+        this.markAnomalies(chart);
+        chart.options.scales.x.min = from ?? undefined;
+        chart.options.scales.x.max = to ?? undefined;
+        chart.update(mode);
+    }
+
+    /**
+     * Append series points to a chart's datasets and trim the ones before `from`
+     */
+    appendToChart(chart, seriesList, from, to, mode) {
+        if (!chart) return;
+
+        seriesList.forEach((points, i) => {
+            const dataset = chart.data.datasets[i];
+            dataset.data.push(...points);
+
+            if (from !== null) {
+                const firstKept = dataset.data.findIndex(point => point.x >= from);
+                dataset.data.splice(0, firstKept === -1 ? dataset.data.length : firstKept);
+            }
+        });
+        this.markAnomalies(chart);
+        chart.options.scales.x.min = from ?? undefined;
+        chart.options.scales.x.max = to ?? undefined;
+        chart.update(mode);
+    }
+
+    /**
+     * Convert metric points into {x, y} series per field, inserting a null
+     * point wherever samples are missing so the line breaks there.
+     * Continues from `previousTime` (by default the last plotted sample), so
+     * a gap before the first point is kept too.
+     */
+    buildSeries(data, gapThreshold = this.gapThreshold, previousTime = this.lastTime) {
+        const times = data.map(d => new Date(d.timestamp).getTime());
+        const series = Object.fromEntries(SERIES_FIELDS.map(field => [field, []]));
+
+        data.forEach((point, i) => {
+            const previous = i > 0 ? times[i - 1] : previousTime;
+            if (previous !== null && times[i] - previous > gapThreshold) {
+                SERIES_FIELDS.forEach(field => series[field].push({ x: previous + 1, y: null }));
+            }
+            SERIES_FIELDS.forEach(field => series[field].push({
+                x: times[i],
+                y: point[field] ?? null,
+                samples: point.samples ?? 1
+            }));
+        });
+
+        return series;
+    }
+
+    /**
+     * Largest spacing still treated as continuous, based on the median
+     * interval so it also works for downsampled data
+     */
+    getGapThreshold(times) {
+        if (times.length < 3) return Infinity;
+
+        const deltas = times.slice(1).map((t, i) => t - times[i]).sort((a, b) => a - b);
+        const median = deltas[Math.floor(deltas.length / 2)];
+        return Math.max(median * this.gapFactor, this.minGapMs);
+    }
+
+    /**
+     * Points worth requesting for a downsampled range: about one per pixel
+     * of the widest plot area
+     */
+    getTargetPointCount() {
+        const widths = this.getCharts().map(chart => chart.chartArea?.width || chart.width || 0);
+        return Math.max(this.minTargetPoints, Math.round(Math.max(0, ...widths)));
+    }
+
+    /**
+     * Tick spacing for a visible span
+     */
+    getTimeStep(spanMs) {
+        return TIME_STEPS.find(step => spanMs / step < this.maxTicks) || TIME_STEPS[TIME_STEPS.length - 1];
+    }
+
+    /**
+     * Tick positions on round local times (whole minutes, hours, midnights)
+     */
+    buildTimeTicks(min, max) {
+        if (!Number.isFinite(min) || !Number.isFinite(max) || max <= min) return [];
+
+        const step = this.getTimeStep(max - min);
+        const tzOffset = new Date(min).getTimezoneOffset() * MINUTE_MS;
+        const ticks = [];
+        for (let t = Math.ceil((min - tzOffset) / step) * step + tzOffset; t <= max; t += step) {
+            ticks.push(t);
         }
+        return ticks;
+    }
 
-        return date.toLocaleTimeString('en-US', {
-            hour12: false,
+    /**
+     * Tick label detail follows the span: seconds for short windows,
+     * hours and minutes for a day, dates beyond that
+     */
+    formatTick(value, spanMs) {
+        const date = new Date(value);
+        const step = this.getTimeStep(spanMs);
+        const day = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+        if (step >= DAY_MS) return day;
+
+        const time = date.toLocaleTimeString('en-US', {
+            hourCycle: 'h23',
             hour: '2-digit',
             minute: '2-digit',
-            second: '2-digit'
+            ...(step < MINUTE_MS ? { second: '2-digit' } : {})
         });
+        return spanMs > DAY_MS ? `${day} ${time}` : time;
     }
 
     /**
-     * Update connections chart
+     * Remove all points (e.g. after switching connections)
      */
-    updateConnectionsChart(labels, data) {
-        if (!this.connectionsChart) return;
-
-        this.connectionsChart.data.labels = labels;
-        this.connectionsChart.data.datasets[0].data = data.map(d => d.connections);
-        this.connectionsChart.data.datasets[1].data = data.map(d => d.blocked);
-        this.connectionsChart.update();
+    clear() {
+        this.gapThreshold = Infinity;
+        this.lastTime = null;
+        this.getCharts().forEach(chart => {
+            chart.data.datasets.forEach(ds => {
+                ds.data = [];
+                ds.$anomalies = null;
+            });
+            chart.update('none');
+        });
     }
 
     /**
-     * Update memory chart
+     * Re-measure charts that were laid out while hidden
      */
-    updateMemoryChart(labels, data) {
-        if (!this.memoryChart) return;
-
-        this.memoryChart.data.labels = labels;
-        this.memoryChart.data.datasets[0].data = data.map(d => d.memory);
-        this.memoryChart.update();
+    resize() {
+        this.getCharts().forEach(chart => chart.resize());
     }
 
     /**
      * Destroy all charts
      */
     destroy() {
-        if (this.connectionsChart) {
-            this.connectionsChart.destroy();
-            this.connectionsChart = null;
-        }
-        if (this.memoryChart) {
-            this.memoryChart.destroy();
-            this.memoryChart = null;
-        }
+        CHART_NAMES.forEach(name => this.destroyChart(name));
     }
 }
 
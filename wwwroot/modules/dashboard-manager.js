@@ -0,0 +1,334 @@
+/**
+ * Dashboard Manager Module
+ * Widget registry and the customizable dashboard grid
+ *
+ * Widgets are registered with:
+ * - id: stable name stored in saved layouts, e.g. 'cpuChart'
+ * - title: shown in the Add widget menu
+ * - template: id of the <template> holding the widget's markup
+ * - source: name of the data source that fills it (see registerSource)
+ * - refresh: 'live' (every refresh cycle) or a minimum interval in ms
+ * - width: default columns spanned; minWidth / maxWidth limit resizing
+ * - render(element) / dispose(element): optional hooks run after the
+ *   markup is in the page and before it is removed
+ */
+
+// Columns in the dashboard grid (MetricsConstants.DashboardColumns on the server)
+const DASHBOARD_COLUMNS = 4;
+
+class DashboardManager {
+    constructor() {
+        this.widgets = new Map(); // Registered widget definitions by id, in registration order
+        this.sources = new Map(); // Data sources by name: { load, streamed, required }
+        this.layout = []; // [{ id, width }] in display order
+        this.mounted = new Map(); // Widget id -> element in the grid
+        this.lastLoaded = {}; // Source name -> last load time (ms)
+
+        this.grid = null;
+        this.editing = false;
+        this.dragged = null;
+
+        // Called with the definitions of widgets newly placed on the grid,
+        // and after every layout change
+        this.onWidgetsAdded = null;
+        this.onLayoutChange = null;
+    }
+
+    /**
+     * Register a data source. `load()` fetches and renders everything the
+     * source feeds; `streamed` sources are kept current by the live metrics
+     * stream, so refresh cycles skip them while it is connected. `required`
+     * sources refresh like a 'live' widget even when no widget uses them.
+     */
+    registerSource(name, { load, streamed = false, required = false }) {
+        this.sources.set(name, { load, streamed, required });
+    }
+
+    /**
+     * Add a widget to the registry (see the module comment for the fields)
+     */
+    register(definition) {
+        const width = definition.width || 1;
+        this.widgets.set(definition.id, {
+            source: null,
+            refresh: 'live',
+            minWidth: 1,
+            maxWidth: DASHBOARD_COLUMNS,
+            ...definition,
+            width
+        });
+    }
+
+    /**
+     * Every registered widget at its default width, in registration order
+     */
+    getDefaultLayout() {
+        return [...this.widgets.values()].map(widget => ({ id: widget.id, width: widget.width }));
+    }
+
+    /**
+     * Render `layout` into the grid element. Widgets already on the grid are
+     * moved rather than rebuilt, so charts keep their data. Unknown ids
+     * (e.g. widgets since removed from the registry) are skipped.
+     */
+    setLayout(layout, grid = this.grid) {
+        this.grid = grid;
+        if (!this.grid) return;
+
+        const seen = new Set();
+        const added = [];
+        this.layout = (layout || []).filter(item => {
+            if (!this.widgets.has(item.id) || seen.has(item.id)) return false;
+            seen.add(item.id);
+            return true;
+        }).map(item => ({ id: item.id, width: this.clampWidth(this.widgets.get(item.id), item.width) }));
+
+        [...this.mounted.keys()]
+            .filter(id => !seen.has(id))
+            .forEach(id => this.unmount(id));
+
+        this.layout.forEach(item => {
+            const element = this.mounted.get(item.id) || this.mount(item.id);
+            this.grid.appendChild(element);
+            this.applyWidth(element, item.width);
+            // Hooks run once the element is in the page (charts need a sized canvas)
+            if (!element.dataset.rendered) {
+                element.dataset.rendered = 'true';
+                element.draggable = this.editing;
+                this.widgets.get(item.id).render?.(element);
+                added.push(this.widgets.get(item.id));
+            }
+        });
+        this.updateEditControls();
+
+        if (added.length) this.onWidgetsAdded?.(added);
+        this.onLayoutChange?.(this.getLayout());
+    }
+
+    /**
+     * Current layout as saved on the server: [{ id, width }]
+     */
+    getLayout() {
+        return this.layout.map(item => ({ ...item }));
+    }
+
+    /**
+     * True when a widget is on the grid
+     */
+    isMounted(id) {
+        return this.mounted.has(id);
+    }
+
+    /**
+     * Load every required source, and every source used by a widget on the
+     * grid, that is due:
+     * 'live' widgets every cycle (or every `streamDelay` ms while the
+     * metrics stream is connected), others after their own interval.
+     * `force` loads all of them, including streamed sources.
+     */
+    refresh({ force = false, streaming = false, streamDelay = 0 } = {}) {
+        const consumers = [
+            ...[...this.sources].filter(([, source]) => source.required).map(([name]) => ({ source: name, refresh: 'live' })),
+            ...this.layout.map(({ id }) => this.widgets.get(id))
+        ];
+
+        const intervals = new Map();
+        consumers.forEach(({ source: name, refresh }) => {
+            const source = this.sources.get(name);
+            if (!source || (source.streamed && streaming && !force)) return;
+
+            const interval = refresh === 'live' ? (streaming ? streamDelay : 0) : refresh;
+            intervals.set(name, Math.min(intervals.get(name) ?? Infinity, interval));
+        });
+
+        const now = Date.now();
+        return Promise.all([...intervals]
+            .filter(([name, interval]) => force || now - (this.lastLoaded[name] || 0) >= interval)
+            .map(([name]) => this.loadSource(name)));
+    }
+
+    /**
+     * Load one source now, whatever its cadence
+     */
+    loadSource(name) {
+        const source = this.sources.get(name);
+        if (!source) return Promise.resolve();
+        this.lastLoaded[name] = Date.now();
+        return source.load();
+    }
+
+    /**
+     * Forget when sources last loaded, so the next refresh loads them all
+     */
+    resetRefreshTimes() {
+        this.lastLoaded = {};
+    }
+
+    // ========== Editing ==========
+
+    /**
+     * Show or hide the edit controls (move, resize, remove, drag to reorder)
+     */
+    setEditing(editing) {
+        this.editing = editing;
+        this.grid?.classList.toggle('editing', editing);
+        this.mounted.forEach(element => element.draggable = editing);
+        this.updateEditControls();
+    }
+
+    /**
+     * Add a widget at the end of the grid at its default width
+     */
+    add(id) {
+        const widget = this.widgets.get(id);
+        if (!widget || this.isMounted(id)) return;
+
+        this.setLayout([...this.layout, { id, width: widget.width }]);
+    }
+
+    remove(id) {
+        this.setLayout(this.layout.filter(item => item.id !== id));
+    }
+
+    /**
+     * Move a widget `offset` places earlier (negative) or later (positive)
+     */
+    move(id, offset) {
+        const index = this.layout.findIndex(item => item.id === id);
+        const target = index + offset;
+        if (index === -1 || target < 0 || target >= this.layout.length) return;
+
+        const layout = [...this.layout];
+        layout.splice(target, 0, ...layout.splice(index, 1));
+        this.setLayout(layout);
+    }
+
+    /**
+     * Grow (positive) or shrink (negative) a widget by `change` columns
+     */
+    resize(id, change) {
+        this.setLayout(this.layout.map(item => item.id === id ? { ...item, width: item.width + change } : item));
+    }
+
+    /**
+     * Widgets that can still be added, for the Add widget menu
+     */
+    getAvailableWidgets() {
+        return [...this.widgets.values()].filter(widget => !this.isMounted(widget.id));
+    }
+
+    // ========== Rendering ==========
+
+    /**
+     * Build a widget's element from its template and edit bar
+     */
+    mount(id) {
+        const widget = this.widgets.get(id);
+        const element = document.createElement('div');
+        element.className = 'dashboard-widget';
+        element.dataset.widgetId = id;
+
+        const template = document.getElementById(widget.template);
+        if (template) element.appendChild(template.content.cloneNode(true));
+
+        const bar = document.createElement('div');
+        bar.className = 'widget-edit-bar';
+        bar.innerHTML = `
+            <span class="widget-edit-title">${Utils.escapeHtml(widget.title)}</span>
+            <button type="button" data-action="earlier" title="Move earlier" aria-label="Move ${Utils.escapeHtml(widget.title)} earlier">◀</button>
+            <button type="button" data-action="later" title="Move later" aria-label="Move ${Utils.escapeHtml(widget.title)} later">▶</button>
+            <button type="button" data-action="narrower" title="Narrower" aria-label="Make ${Utils.escapeHtml(widget.title)} narrower">−</button>
+            <button type="button" data-action="wider" title="Wider" aria-label="Make ${Utils.escapeHtml(widget.title)} wider">+</button>
+            <button type="button" data-action="remove" title="Remove" aria-label="Remove ${Utils.escapeHtml(widget.title)}">×</button>
+        `;
+        bar.addEventListener('click', (e) => {
+            const action = e.target.closest('button')?.dataset.action;
+            if (action === 'earlier') this.move(id, -1);
+            if (action === 'later') this.move(id, 1);
+            if (action === 'narrower') this.resize(id, -1);
+            if (action === 'wider') this.resize(id, 1);
+            if (action === 'remove') this.remove(id);
+        });
+        element.prepend(bar);
+
+        this.mounted.set(id, element);
+        return element;
+    }
+
+    unmount(id) {
+        const element = this.mounted.get(id);
+        if (!element) return;
+
+        this.widgets.get(id)?.dispose?.(element);
+        element.remove();
+        this.mounted.delete(id);
+    }
+
+    clampWidth(widget, width) {
+        const value = Math.round(Number(width)) || widget.width;
+        return Math.min(Math.max(value, widget.minWidth), widget.maxWidth);
+    }
+
+    applyWidth(element, width) {
+        for (let w = 1; w <= DASHBOARD_COLUMNS; w++) {
+            element.classList.toggle(`widget-w${w}`, w === width);
+        }
+    }
+
+    /**
+     * Disable edit buttons that would do nothing (first widget can't move earlier, ...)
+     */
+    updateEditControls() {
+        this.layout.forEach((item, index) => {
+            const widget = this.widgets.get(item.id);
+            const bar = this.mounted.get(item.id)?.querySelector('.widget-edit-bar');
+            if (!bar) return;
+
+            bar.querySelector('[data-action="earlier"]').disabled = index === 0;
+            bar.querySelector('[data-action="later"]').disabled = index === this.layout.length - 1;
+            bar.querySelector('[data-action="narrower"]').disabled = item.width <= widget.minWidth;
+            bar.querySelector('[data-action="wider"]').disabled = item.width >= widget.maxWidth;
+        });
+    }
+
+    /**
+     * Reorder widgets by dragging them while editing. The grid is reordered
+     * live under the pointer; the layout is read back from it on drop.
+     */
+    enableDragging(grid = this.grid) {
+        grid.addEventListener('dragstart', (e) => {
+            const element = e.target.closest?.('.dashboard-widget');
+            if (!this.editing || !element) return;
+            this.dragged = element;
+            element.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', element.dataset.widgetId);
+        });
+
+        grid.addEventListener('dragover', (e) => {
+            if (!this.dragged) return;
+            e.preventDefault();
+
+            const target = e.target.closest('.dashboard-widget');
+            if (!target || target === this.dragged) return;
+            const rect = target.getBoundingClientRect();
+            const after = e.clientX > rect.left + rect.width / 2;
+            grid.insertBefore(this.dragged, after ? target.nextSibling : target);
+        });
+
+        grid.addEventListener('drop', (e) => e.preventDefault());
+
+        grid.addEventListener('dragend', () => {
+            if (!this.dragged) return;
+            this.dragged.classList.remove('dragging');
+            this.dragged = null;
+
+            const widths = new Map(this.layout.map(item => [item.id, item.width]));
+            this.setLayout([...grid.querySelectorAll(':scope > .dashboard-widget')]
+                .map(element => ({ id: element.dataset.widgetId, width: widths.get(element.dataset.widgetId) })));
+        });
+    }
+}
+
+// Export singleton instance
+window.dashboardManager = new DashboardManager();
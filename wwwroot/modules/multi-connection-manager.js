@@ -106,18 +106,7 @@ const MultiConnectionManager = {
         const maxRetries = 3;
 
         try {
-            const response = await fetch('/api/connections');
-
-            if (!response.ok) {
-                // Handle authentication errors
-                if (response.status === 401) {
-                    console.log('Connection loading failed: Not authenticated');
-                    return { connections: [], maxConnections: 5 };
-                }
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-
-            const data = await response.json();
+            const data = await window.apiClient.getConnections();
 
             this.connections = data.connections || [];
             this.maxConnections = data.maxConnections || 5;
@@ -128,19 +117,23 @@ const MultiConnectionManager = {
 
             return data;
         } catch (error) {
+            // Handle authentication errors
+            if (error.kind === 'auth') {
+                console.log('Connection loading failed: Not authenticated');
+                return { connections: [], maxConnections: 5 };
+            }
+
             console.error('Failed to load connections:', error);
 
-            // Retry on network errors (but not auth errors)
-            if (retryCount < maxRetries && (error.message.includes('fetch') || error.message.includes('network'))) {
+            // Retry on network errors
+            if (retryCount < maxRetries && error.kind === 'network') {
                 const delay = Math.pow(2, retryCount) * 1000; // Exponential backoff
                 await new Promise(resolve => setTimeout(resolve, delay));
                 return this.loadConnections(retryCount + 1);
             }
 
-            // Show user-facing error after retries exhausted (but not for auth errors)
-            if (!error.message.includes('401')) {
-                this.showError('Unable to load connections. Please check your network and try again.');
-            }
+            // Show user-facing error after retries exhausted
+            this.showError(`Unable to load connections. ${error.userMessage || error.message}`);
             return { connections: [], maxConnections: 5 };
         }
     },
@@ -424,13 +417,7 @@ const MultiConnectionManager = {
         btn.disabled = true;
 
         try {
-            const response = await fetch('/api/connections', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(data)
-            });
-
-            const result = await response.json();
+            const result = await window.apiClient.addConnection(data);
 
             if (result.success) {
                 this.showModalResult(true, 'Connection added successfully!');
@@ -445,7 +432,7 @@ const MultiConnectionManager = {
                 this.showModalResult(false, result.message);
             }
         } catch (error) {
-            this.showModalResult(false, 'Failed to add connection: ' + error.message);
+            this.showModalResult(false, 'Failed to add connection: ' + (error.kind === 'validation' ? error.message : (error.userMessage || error.message)));
         } finally {
             btnText.textContent = 'Add & Test Connection';
             spinner.style.display = 'none';
@@ -476,18 +463,17 @@ const MultiConnectionManager = {
         }
 
         try {
-            const response = await fetch(`/api/connections/${connectionId}/test`, {
-                method: 'POST'
-            });
-
-            const result = await response.json();
-
-            // Reload to get updated status
-            await this.loadConnections();
-
+            await window.apiClient.testSavedConnection(connectionId);
         } catch (error) {
+            // A failed test is reported on the card via lastError
             console.error('Failed to test connection:', error);
+            if (error.kind !== 'validation') {
+                this.showError(`Failed to test connection: ${error.userMessage || error.message}`);
+            }
         } finally {
+            // Reload to get updated status
+            await this.loadConnections();
+
             if (btn) {
                 btn.textContent = 'Test';
                 btn.disabled = false;
@@ -500,15 +486,11 @@ const MultiConnectionManager = {
      */
     async toggleConnection(connectionId, enabled) {
         try {
-            const response = await fetch(`/api/connections/${connectionId}/enable`, {
-                method: 'PATCH',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ enabled })
-            });
-
+            await window.apiClient.setConnectionEnabled(connectionId, enabled);
             await this.loadConnections();
         } catch (error) {
             console.error('Failed to toggle connection:', error);
+            this.showError(`Failed to update connection: ${error.userMessage || error.message}`);
         }
     },
 
@@ -524,20 +506,19 @@ const MultiConnectionManager = {
         }
 
         try {
-            const response = await fetch(`/api/connections/${connectionId}/disconnect`, {
-                method: 'POST'
-            });
-
-            if (response.ok) {
+            const result = await window.apiClient.disconnectConnection(connectionId);
+            if (result.success) {
                 this.showSuccess('Connection disconnected');
+            } else {
+                this.showError(result.message || 'Failed to disconnect');
             }
-
-            // Reload to get updated status
-            await this.loadConnections();
         } catch (error) {
             console.error('Failed to disconnect:', error);
-            this.showError('Failed to disconnect');
+            this.showError(`Failed to disconnect: ${error.userMessage || error.message}`);
         }
+
+        // Reload to get updated status
+        await this.loadConnections();
     },
 
     /**
@@ -549,13 +530,11 @@ const MultiConnectionManager = {
         }
 
         try {
-            const response = await fetch(`/api/connections/${connectionId}`, {
-                method: 'DELETE'
-            });
-
+            await window.apiClient.removeConnection(connectionId);
             await this.loadConnections();
         } catch (error) {
             console.error('Failed to remove connection:', error);
+            this.showError(`Failed to remove connection: ${error.userMessage || error.message}`);
         }
     },
 
@@ -1,99 +1,471 @@
 /**
  * Table Manager Module
- * Handles data table rendering, sorting, and pagination
+ * Data grids built from column definitions, plus pagination
+ *
+ * A table is registered once with define(tableId, options) and filled with
+ * render(tableId, rows). Headers, sorting, escaping and the loading / empty /
+ * error rows are handled here, so every grid behaves the same and adding a
+ * column is a single entry in its definition.
+ *
+ * Column definition:
+ * - field: row property shown and sorted on
+ * - label: header text
+ * - type: 'text' (default), 'number' or 'date'; picks the default formatter
+ *   and the first sort direction (text ascending, others descending)
+ * - format(value, row): display text; the result is escaped
+ * - sortValue(row): value to sort on when it differs from row[field]
+ * - sortable: false to disable sorting on the column
+ * - align: 'right' or 'center'
+ * - className: extra class for the cells (e.g. 'query-text')
+ * - badge(value, row): class of a badge drawn around the text
+ * - tooltip: true to show the cell text on hover, or tooltip(row) for other text
+ * - onClick(row): run when the cell is clicked; with `button` set, the cell
+ *   holds a button with that label and only the button is clickable
+ * - filter: 'text' (match anywhere in the cell text; the default for text
+ *   columns), 'select' (pick one of the values present) or false for none
+ *
+ * Filterable grids get a filter row under the header and a quick-search box
+ * that matches any cell. Filters apply to the rows given to render() (the
+ * app's dataCache), so they survive poll refreshes; the toolbar shows how
+ * many rows match out of the total.
  */
 class TableManager {
     constructor() {
-        this.sortState = {
-            queriesTable: { col: null, dir: 'desc' },
-            topCpuTable: { col: null, dir: 'desc' },
-            runningTable: { col: null, dir: 'desc' },
-            indexesTable: { col: null, dir: 'desc' },
-            blockingTable: { col: null, dir: 'desc' },
-            blockingFullTable: { col: null, dir: 'desc' },
-            locksTable: { col: null, dir: 'desc' },
-            blockingHistoryTable: { col: 'time', dir: 'desc' }
-        };
+        this.tables = new Map(); // Table id -> { columns, emptyMessage, limit, rowClass, sort, filterable, filters, search, data, rows }
+    }
+
+    /**
+     * Register a grid. Options:
+     * - columns: column definitions (see the module comment)
+     * - emptyMessage: shown when there are no rows
+     * - limit: most rows drawn, after sorting
+     * - rowClass(row): extra class for a row
+     * - sort: initial { field, dir }
+     * - filterable: false to leave out the filter row and quick search
+     */
+    define(tableId, { columns, emptyMessage = 'No data available', limit = null, rowClass = null, sort = null, filterable = true }) {
+        this.tables.set(tableId, {
+            columns: columns.map(column => ({
+                type: 'text',
+                sortable: true,
+                filter: (column.type || 'text') === 'text' && !column.button ? 'text' : false,
+                ...column
+            })),
+            emptyMessage,
+            limit,
+            rowClass,
+            sort: sort ? { ...sort } : { field: null, dir: 'desc' },
+            filterable,
+            filters: {}, // Column index -> filter value
+            search: '',
+            data: null,
+            rows: []
+        });
+    }
+
+    /**
+     * Draw `data` in a grid, sorted by its current sort column. The rows are
+     * kept so sorting can redraw them. Does nothing if the table is not on
+     * the page (e.g. a dashboard widget removed while loading).
+     */
+    render(tableId, data) {
+        const grid = this.tables.get(tableId);
+        if (!grid) return;
+        grid.data = data || [];
+
+        const tbody = this.prepare(tableId);
+        if (!tbody) return;
+
+        const matching = this.filterRows(grid, grid.data);
+        const sorted = this.sortRows(grid, matching);
+        grid.rows = grid.limit ? sorted.slice(0, grid.limit) : sorted;
+
+        this.updateFilterOptions(tableId);
+        this.updateCount(tableId, matching.length);
+
+        if (grid.rows.length === 0) {
+            if (grid.data.length > 0) {
+                this.showMessage(tableId, 'empty-state no-matches', 'No rows match the current filters');
+            } else {
+                this.showMessage(tableId, 'empty-state', grid.emptyMessage);
+            }
+            return;
+        }
+
+        tbody.innerHTML = grid.rows.map((row, index) => {
+            const rowClass = grid.rowClass?.(row);
+            const cells = grid.columns.map((column, col) => this.renderCell(column, row, col)).join('');
+            return `<tr data-row="${index}"${rowClass ? ` class="${Utils.escapeHtml(rowClass)}"` : ''}>${cells}</tr>`;
+        }).join('');
+    }
+
+    /**
+     * Draw the last rows given to render() again (e.g. after a sort change)
+     */
+    redraw(tableId) {
+        const grid = this.tables.get(tableId);
+        if (grid?.data) this.render(tableId, grid.data);
+    }
+
+    showLoading(tableId, message = 'Loading...') {
+        const tbody = this.prepare(tableId);
+        if (!tbody) return;
+        const columns = this.tables.get(tableId).columns.length;
+        tbody.innerHTML = `<tr><td colspan="${columns}" class="loading-row"><span class="loading"></span> ${Utils.escapeHtml(message)}</td></tr>`;
+    }
+
+    /**
+     * Show an API failure as a single row
+     */
+    showError(tableId, error, fallback = 'Failed to load data') {
+        this.showMessage(tableId, 'error-state', error?.userMessage || fallback);
+    }
+
+    /**
+     * True when the grid shows real rows rather than a placeholder
+     * (rows hidden by filters still count)
+     */
+    hasData(tableId) {
+        const tbody = document.querySelector(`#${tableId} tbody`);
+        return !!tbody?.querySelector('tr')
+            && !tbody.querySelector('.loading-row, .empty-state:not(.no-matches), .error-state');
+    }
+
+    /**
+     * Sort on `field`: a new column starts in its type's first direction,
+     * the current one flips
+     */
+    sort(tableId, field) {
+        const grid = this.tables.get(tableId);
+        const column = grid?.columns.find(c => c.field === field);
+        if (!column?.sortable) return;
+
+        const dir = grid.sort.field === field
+            ? (grid.sort.dir === 'asc' ? 'desc' : 'asc')
+            : (column.type === 'text' ? 'asc' : 'desc');
+        this.setSort(tableId, field, dir);
     }
 
     /**
-     * Handle column sort
+     * Set a column's filter ('' clears it) and redraw
      */
-    handleSort(tableId, col, dataCache, renderFn) {
-        const state = this.sortState[tableId];
-        if (!state) return;
+    setFilter(tableId, field, value) {
+        const grid = this.tables.get(tableId);
+        const index = grid?.columns.findIndex(c => c.field === field && c.filter);
+        if (index === undefined || index === -1) return;
 
-        if (state.col === col) {
-            state.dir = state.dir === 'asc' ? 'desc' : 'asc';
+        if (value) {
+            grid.filters[index] = value;
         } else {
-            state.col = col;
-            state.dir = 'desc';
+            delete grid.filters[index];
         }
+        this.syncFilterInputs(tableId);
+        this.redraw(tableId);
+    }
+
+    setSearch(tableId, text) {
+        const grid = this.tables.get(tableId);
+        if (!grid) return;
+
+        grid.search = text.trim();
+        this.syncFilterInputs(tableId);
+        this.redraw(tableId);
+    }
+
+    clearFilters(tableId) {
+        const grid = this.tables.get(tableId);
+        if (!grid) return;
+
+        grid.filters = {};
+        grid.search = '';
+        this.syncFilterInputs(tableId);
+        this.redraw(tableId);
+    }
+
+    setSort(tableId, field, dir = 'desc') {
+        const grid = this.tables.get(tableId);
+        if (!grid) return;
 
+        grid.sort = { field, dir };
         this.updateSortIndicators(tableId);
+        this.redraw(tableId);
+    }
+
+    // ========== Rendering ==========
+
+    /**
+     * Build the header and click handlers the first time a table is seen
+     * (widget tables are recreated from templates). Returns its tbody, or
+     * null if the table is not on the page.
+     */
+    prepare(tableId) {
+        const grid = this.tables.get(tableId);
+        const table = document.getElementById(tableId);
+        if (!grid || !table) return null;
+
+        if (!table.dataset.grid) {
+            table.dataset.grid = 'true';
+            const thead = table.tHead || table.createTHead();
+            thead.innerHTML = `<tr>${grid.columns.map(column => column.sortable
+                ? `<th class="sortable${column.align ? ` align-${column.align}` : ''}" data-field="${Utils.escapeHtml(column.field)}" tabindex="0">${Utils.escapeHtml(column.label)} <span class="sort-icon"></span></th>`
+                : `<th${column.align ? ` class="align-${column.align}"` : ''}>${Utils.escapeHtml(column.label)}</th>`).join('')}</tr>`;
+
+            if (grid.filterable) this.buildFilters(tableId, table);
 
-        if (dataCache && renderFn) {
-            renderFn(dataCache);
+            thead.addEventListener('click', (e) => {
+                const th = e.target.closest('th[data-field]');
+                if (th) this.sort(tableId, th.dataset.field);
+            });
+            thead.addEventListener('keydown', (e) => {
+                const th = e.target.closest('th[data-field]');
+                if (!th || (e.key !== 'Enter' && e.key !== ' ')) return;
+                e.preventDefault();
+                this.sort(tableId, th.dataset.field);
+            });
+
+            const tbody = table.tBodies[0] || table.createTBody();
+            tbody.addEventListener('click', (e) => this.handleCellClick(tableId, e));
+
+            this.updateSortIndicators(tableId);
         }
+
+        return table.tBodies[0];
     }
 
     /**
-     * Update sort indicator icons
+     * Add the filter row to the header and the search box and row count above
+     * the table; inputs start from the grid's saved filters
      */
-    updateSortIndicators(tableId) {
-        const table = document.getElementById(tableId);
-        if (!table) return;
+    buildFilters(tableId, table) {
+        const grid = this.tables.get(tableId);
 
-        const state = this.sortState[tableId];
+        const filterRow = table.tHead.insertRow();
+        filterRow.className = 'filter-row';
+        filterRow.innerHTML = grid.columns.map((column, index) => {
+            const label = `Filter ${Utils.escapeHtml(column.label)}`;
+            if (column.filter === 'select') {
+                return `<th><select data-filter="${index}" aria-label="${label}"><option value="">All</option></select></th>`;
+            }
+            if (column.filter) {
+                return `<th><input type="search" data-filter="${index}" placeholder="Filter" aria-label="${label}"></th>`;
+            }
+            return '<th></th>';
+        }).join('');
 
-        table.querySelectorAll('th.sortable').forEach(th => {
-            th.classList.remove('sort-asc', 'sort-desc');
+        const toolbar = document.createElement('div');
+        toolbar.className = 'table-toolbar';
+        toolbar.dataset.table = tableId;
+        toolbar.innerHTML = `
+            <input type="search" class="table-search" placeholder="Search..." aria-label="Search table">
+            <button type="button" class="btn btn-sm btn-outline table-clear-filters" hidden>Clear filters</button>
+            <span class="table-count"></span>
+        `;
+        table.before(toolbar);
+
+        const applyFilter = Utils.debounce(input => {
+            const column = grid.columns[input.dataset.filter];
+            this.setFilter(tableId, column.field, input.value.trim());
+        }, 200);
+        filterRow.addEventListener('input', (e) => {
+            if (e.target.dataset.filter !== undefined) applyFilter(e.target);
         });
 
-        if (state.col) {
-            const activeHeader = table.querySelector(`th[onclick*="'${state.col}'"]`);
-            if (activeHeader) {
-                activeHeader.classList.add(state.dir === 'asc' ? 'sort-asc' : 'sort-desc');
-            }
+        const applySearch = Utils.debounce(text => this.setSearch(tableId, text), 200);
+        toolbar.querySelector('.table-search').addEventListener('input', (e) => applySearch(e.target.value));
+        toolbar.querySelector('.table-clear-filters').addEventListener('click', () => this.clearFilters(tableId));
+
+        this.updateFilterOptions(tableId);
+        this.syncFilterInputs(tableId);
+    }
+
+    /**
+     * Show the grid's filter state in its inputs
+     */
+    syncFilterInputs(tableId) {
+        const grid = this.tables.get(tableId);
+        const table = document.getElementById(tableId);
+        if (!grid || !table) return;
+
+        table.querySelectorAll('[data-filter]').forEach(input => {
+            const value = grid.filters[input.dataset.filter] || '';
+            if (input.value !== value && document.activeElement !== input) input.value = value;
+        });
+
+        const toolbar = this.getToolbar(tableId);
+        const search = toolbar?.querySelector('.table-search');
+        if (search && search.value.trim() !== grid.search && document.activeElement !== search) {
+            search.value = grid.search;
         }
+        const clear = toolbar?.querySelector('.table-clear-filters');
+        if (clear) clear.hidden = !this.isFiltered(grid);
     }
 
     /**
-     * Sort data array by column
+     * Fill 'select' filters with the values in the current data, keeping the
+     * chosen value listed even when no row has it any more
      */
-    sortData(data, col, dir) {
-        if (!data || !col) return data;
+    updateFilterOptions(tableId) {
+        const grid = this.tables.get(tableId);
+        const table = document.getElementById(tableId);
+        if (!grid?.filterable || !table) return;
 
-        return [...data].sort((a, b) => {
-            let aVal = a[col];
-            let bVal = b[col];
+        table.querySelectorAll('select[data-filter]').forEach(select => {
+            // Rebuilding the options would close a list the user has open
+            if (document.activeElement === select) return;
 
-            if (typeof aVal === 'string') {
-                aVal = aVal.toLowerCase();
-                bVal = (bVal || '').toLowerCase();
-            }
+            const column = grid.columns[select.dataset.filter];
+            const selected = grid.filters[select.dataset.filter] || '';
+            const values = new Set((grid.data || []).map(row => String(this.getCellText(column, row))));
+            if (selected) values.add(selected);
 
-            if (aVal === null || aVal === undefined) aVal = dir === 'asc' ? Infinity : -Infinity;
-            if (bVal === null || bVal === undefined) bVal = dir === 'asc' ? Infinity : -Infinity;
+            select.innerHTML = '<option value="">All</option>' + [...values]
+                .sort((a, b) => a.localeCompare(b))
+                .map(value => `<option value="${Utils.escapeHtml(value)}">${Utils.escapeHtml(value)}</option>`)
+                .join('');
+            select.value = selected;
+        });
+    }
 
-            if (aVal < bVal) return dir === 'asc' ? -1 : 1;
-            if (aVal > bVal) return dir === 'asc' ? 1 : -1;
-            return 0;
+    /**
+     * "N rows", or "N of M rows" while filters hide some
+     */
+    updateCount(tableId, matching) {
+        const grid = this.tables.get(tableId);
+        const count = this.getToolbar(tableId)?.querySelector('.table-count');
+        if (!count) return;
+
+        const total = grid.data.length;
+        count.textContent = this.isFiltered(grid)
+            ? `${Utils.formatNumber(matching)} of ${Utils.formatNumber(total)} rows`
+            : `${Utils.formatNumber(total)} rows`;
+    }
+
+    getToolbar(tableId) {
+        return document.querySelector(`.table-toolbar[data-table="${tableId}"]`);
+    }
+
+    isFiltered(grid) {
+        return !!grid.search || Object.keys(grid.filters).length > 0;
+    }
+
+    /**
+     * Rows passing every column filter and the quick search. Select filters
+     * match the displayed text exactly; text filters and the search match
+     * anywhere in it, ignoring case.
+     */
+    filterRows(grid, data) {
+        const filters = Object.entries(grid.filters).map(([index, value]) => ({
+            column: grid.columns[index],
+            value: grid.columns[index].filter === 'select' ? value : value.toLowerCase()
+        }));
+        const search = grid.search.toLowerCase();
+        if (filters.length === 0 && !search) return data;
+
+        return data.filter(row => {
+            const matchesFilters = filters.every(({ column, value }) => {
+                const text = String(this.getCellText(column, row));
+                return column.filter === 'select' ? text === value : text.toLowerCase().includes(value);
+            });
+            return matchesFilters && (!search || grid.columns.some(column =>
+                !column.button && String(this.getCellText(column, row)).toLowerCase().includes(search)));
         });
     }
 
     /**
-     * Render empty state for table
+     * A cell's display text, before escaping
      */
-    renderEmptyState(tbody, colSpan, message = 'No data available') {
-        tbody.innerHTML = `<tr><td colspan="${colSpan}" class="empty-state">${message}</td></tr>`;
+    getCellText(column, row) {
+        const value = row[column.field];
+        return (column.format ? column.format(value, row) : this.formatValue(column.type, value)) ?? '';
+    }
+
+    renderCell(column, row, index) {
+        const value = row[column.field];
+        const text = this.getCellText(column, row);
+        const title = column.tooltip === true ? text : column.tooltip?.(row);
+
+        const classes = [
+            column.type === 'number' && 'number',
+            column.align && `align-${column.align}`,
+            column.className
+        ].filter(Boolean).join(' ');
+
+        let content = Utils.escapeHtml(String(text ?? ''));
+        if (column.button) {
+            content = `<button type="button" class="copy-code">${Utils.escapeHtml(column.button)}</button>`;
+        } else if (column.badge) {
+            content = `<span class="badge ${Utils.escapeHtml(column.badge(value, row) || '')}">${content}</span>`;
+        }
+
+        return `<td data-col="${index}"${classes ? ` class="${classes}"` : ''}${title ? ` title="${Utils.escapeHtml(String(title))}"` : ''}>${content}</td>`;
+    }
+
+    formatValue(type, value) {
+        if (value === null || value === undefined || value === '') return '-';
+        if (type === 'number') return Utils.formatNumber(value);
+        if (type === 'date') return new Date(value).toLocaleString();
+        return String(value);
+    }
+
+    handleCellClick(tableId, e) {
+        const grid = this.tables.get(tableId);
+        const cell = e.target.closest('td[data-col]');
+        const row = grid?.rows[cell?.parentElement.dataset.row];
+        const column = grid?.columns[cell?.dataset.col];
+        if (!row || !column?.onClick) return;
+        if (column.button && !e.target.closest('button')) return;
+
+        column.onClick(row);
+    }
+
+    showMessage(tableId, className, message) {
+        const tbody = this.prepare(tableId);
+        if (!tbody) return;
+        const columns = this.tables.get(tableId).columns.length;
+        tbody.innerHTML = `<tr><td colspan="${columns}" class="${className}">${Utils.escapeHtml(message)}</td></tr>`;
     }
 
     /**
-     * Render loading state for table
+     * Mark the sorted column's header
      */
-    renderLoadingState(tbody, colSpan) {
-        tbody.innerHTML = `<tr><td colspan="${colSpan}" class="loading-row"><span class="loading"></span> Loading...</td></tr>`;
+    updateSortIndicators(tableId) {
+        const table = document.getElementById(tableId);
+        const grid = this.tables.get(tableId);
+        if (!table || !grid) return;
+
+        table.querySelectorAll('th.sortable').forEach(th => {
+            const active = th.dataset.field === grid.sort.field;
+            th.classList.toggle('sort-asc', active && grid.sort.dir === 'asc');
+            th.classList.toggle('sort-desc', active && grid.sort.dir === 'desc');
+            if (active) {
+                th.setAttribute('aria-sort', grid.sort.dir === 'asc' ? 'ascending' : 'descending');
+            } else {
+                th.removeAttribute('aria-sort');
+            }
+        });
+    }
+
+    /**
+     * Rows sorted by the grid's sort column; missing values sort as empty
+     */
+    sortRows(grid, data) {
+        const { field, dir } = grid.sort;
+        const column = grid.columns.find(c => c.field === field);
+        if (!column) return [...data];
+
+        const valueOf = row => {
+            const value = column.sortValue ? column.sortValue(row) : row[field];
+            if (value === null || value === undefined) return '';
+            return typeof value === 'string' ? value.toLowerCase() : value;
+        };
+
+        return [...data].sort((a, b) => {
+            const valA = valueOf(a);
+            const valB = valueOf(b);
+            if (valA < valB) return dir === 'asc' ? -1 : 1;
+            if (valA > valB) return dir === 'asc' ? 1 : -1;
+            return 0;
+        });
     }
 
     /**
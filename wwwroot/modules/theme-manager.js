@@ -0,0 +1,78 @@
+/**
+ * Theme Manager Module
+ * Applies the light, dark or high-contrast palette from styles.css
+ *
+ * The chosen theme is stored in the user's preferences on the server; a copy
+ * is kept in localStorage so the page can apply it before first paint (this
+ * script loads in <head>) instead of flashing the default palette.
+ * 'system' follows the OS: high contrast when it asks for more contrast,
+ * otherwise light or dark to match its colour scheme.
+ */
+
+const THEMES = ['system', 'dark', 'light', 'high-contrast'];
+
+class ThemeManager {
+    constructor() {
+        this.storageKey = 'theme';
+        this.theme = 'system'; // User's choice, one of THEMES
+        this.resolved = 'dark'; // Palette in effect, never 'system'
+
+        // Called with the resolved theme whenever the palette changes
+        this.onChange = null;
+
+        this.contrastQuery = window.matchMedia('(prefers-contrast: more)');
+        this.lightQuery = window.matchMedia('(prefers-color-scheme: light)');
+        [this.contrastQuery, this.lightQuery].forEach(query =>
+            query.addEventListener('change', () => {
+                if (this.theme === 'system') this.apply();
+            }));
+
+        this.setTheme(this.readStoredTheme());
+    }
+
+    /**
+     * Switch to `theme` (one of THEMES; anything else means 'system')
+     */
+    setTheme(theme) {
+        this.theme = THEMES.includes(theme) ? theme : 'system';
+        try {
+            localStorage.setItem(this.storageKey, this.theme);
+        } catch {
+            // Storage may be unavailable (private mode); the server copy still applies
+        }
+        this.apply();
+    }
+
+    getTheme() {
+        return this.theme;
+    }
+
+    /**
+     * Set the palette on <html> and notify listeners if it changed
+     */
+    apply() {
+        const resolved = this.resolve();
+        document.documentElement.dataset.theme = resolved;
+        if (resolved === this.resolved) return;
+
+        this.resolved = resolved;
+        this.onChange?.(resolved);
+    }
+
+    resolve() {
+        if (this.theme !== 'system') return this.theme;
+        if (this.contrastQuery.matches) return 'high-contrast';
+        return this.lightQuery.matches ? 'light' : 'dark';
+    }
+
+    readStoredTheme() {
+        try {
+            return localStorage.getItem(this.storageKey);
+        } catch {
+            return null;
+        }
+    }
+}
+
+// Export singleton instance
+window.themeManager = new ThemeManager();
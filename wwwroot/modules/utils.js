@@ -125,6 +125,21 @@ const Utils = {
         }
     },
 
+    /**
+     * Save a Blob as a file through a temporary download link
+     */
+    downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        // Some browsers start the download after click() returns
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    },
+
     /**
      * Update last refresh time display
      */